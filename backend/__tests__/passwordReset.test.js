@@ -0,0 +1,167 @@
+// Password reset through POST /api/auth/forgot-password and /reset-password,
+// with OTP emails written to a JSON file sink and read back from it
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const SQLITE_PATH = path.join(os.tmpdir(), `ecofinds-reset-${process.pid}.db`);
+const MAIL_SINK_PATH = path.join(os.tmpdir(), `ecofinds-reset-${process.pid}.jsonl`);
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_PATH = SQLITE_PATH;
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_SINK_PATH = MAIL_SINK_PATH;
+process.env.JWT_SECRET = 'test-secret';
+
+// The user model is read straight from the users table; validation only guards
+// the routes not exercised here
+jest.mock('../models/User', () => {
+  const bcrypt = require('bcryptjs');
+  const db = require('../config/database');
+  const load = async (column, value) => {
+    const [rows] = await db.execute(`SELECT * FROM users WHERE ${column} = ?`, [value]);
+    if (rows.length === 0) {
+      return null;
+    }
+    return {
+      ...rows[0],
+      async updatePassword(password) {
+        await db.execute('UPDATE users SET password = ? WHERE id = ?', [await bcrypt.hash(password, 4), rows[0].id]);
+      }
+    };
+  };
+  return {
+    findByEmail: (email) => load('email', email),
+    findById: (id) => load('id', id)
+  };
+}, { virtual: true });
+jest.mock('../middleware/validation', () => ({
+  validate: () => (req, res, next) => next(),
+  userValidation: {}
+}), { virtual: true });
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { migrate } = require('../database/migrator');
+const PasswordReset = require('../models/PasswordReset');
+const authRoutes = require('../routes/auth');
+
+const EMAIL = 'reset@example.in';
+
+let server;
+let baseUrl;
+let userId;
+
+const post = async (url, body) => {
+  const response = await fetch(baseUrl + url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const sentMail = () => (fs.existsSync(MAIL_SINK_PATH)
+  ? fs.readFileSync(MAIL_SINK_PATH, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+  : []);
+
+const lastOtp = () => {
+  const mail = sentMail();
+  return mail[mail.length - 1].text.match(/code is (\d{6})/)[1];
+};
+
+// Let the next forgot-password request through the re-send cooldown
+const expireCooldown = () => db.execute(
+  'UPDATE password_resets SET created_at = ? WHERE user_id = ?',
+  [new Date(Date.now() - PasswordReset.OTP_RESEND_SECONDS * 1000), userId]
+);
+
+beforeAll(async () => {
+  await migrate();
+  const [result] = await db.execute(
+    'INSERT INTO users (name, email, password) VALUES (?, ?, ?)',
+    ['Reset <User>', EMAIL, await bcrypt.hash('old-password', 4)]
+  );
+  userId = result.insertId;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(async () => {
+  await db.execute('DELETE FROM password_resets');
+  fs.rmSync(MAIL_SINK_PATH, { force: true });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+  [SQLITE_PATH, `${SQLITE_PATH}-wal`, `${SQLITE_PATH}-shm`, MAIL_SINK_PATH].forEach(file => fs.rmSync(file, { force: true }));
+});
+
+describe('password reset', () => {
+  test('the emailed OTP resets the password once', async () => {
+    const requested = await post('/api/auth/forgot-password', { email: EMAIL });
+    expect(requested.status).toBe(200);
+    expect(requested.body.data).toBeUndefined();
+
+    const [mail] = sentMail();
+    expect(mail.to).toBe(EMAIL);
+    expect(mail.html).toContain('Reset &lt;User&gt;');
+
+    const [stored] = (await db.execute('SELECT otp_hash FROM password_resets WHERE user_id = ?', [userId]))[0];
+    expect(stored.otp_hash).not.toContain(lastOtp());
+
+    const reset = await post('/api/auth/reset-password', { email: EMAIL, otp: lastOtp(), newPassword: 'new-password' });
+    expect(reset.status).toBe(200);
+
+    const [[user]] = await db.execute('SELECT password FROM users WHERE id = ?', [userId]);
+    expect(await bcrypt.compare('new-password', user.password)).toBe(true);
+
+    const reused = await post('/api/auth/reset-password', { email: EMAIL, otp: lastOtp(), newPassword: 'other-password' });
+    expect(reused.status).toBe(400);
+  });
+
+  test('a code locks after the maximum number of wrong attempts', async () => {
+    await post('/api/auth/forgot-password', { email: EMAIL });
+    const otp = lastOtp();
+    const wrong = otp === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < PasswordReset.OTP_MAX_ATTEMPTS; i++) {
+      expect((await post('/api/auth/reset-password', { email: EMAIL, otp: wrong, newPassword: 'new-password' })).status).toBe(400);
+    }
+
+    const locked = await post('/api/auth/reset-password', { email: EMAIL, otp, newPassword: 'new-password' });
+    expect(locked.status).toBe(429);
+  });
+
+  test('codes are not re-issued inside the cooldown or past the hourly limit', async () => {
+    await post('/api/auth/forgot-password', { email: EMAIL });
+    const again = await post('/api/auth/forgot-password', { email: EMAIL });
+
+    expect(again.status).toBe(200);
+    expect(sentMail()).toHaveLength(1);
+
+    for (let i = 1; i < PasswordReset.OTP_MAX_PER_HOUR; i++) {
+      await expireCooldown();
+      await post('/api/auth/forgot-password', { email: EMAIL });
+    }
+    expect(sentMail()).toHaveLength(PasswordReset.OTP_MAX_PER_HOUR);
+
+    await expireCooldown();
+    await post('/api/auth/forgot-password', { email: EMAIL });
+    expect(sentMail()).toHaveLength(PasswordReset.OTP_MAX_PER_HOUR);
+  });
+
+  test('unknown addresses get the same answer and no mail', async () => {
+    const requested = await post('/api/auth/forgot-password', { email: 'nobody@example.in' });
+
+    expect(requested.status).toBe(200);
+    expect(sentMail()).toHaveLength(0);
+  });
+});
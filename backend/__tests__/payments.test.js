@@ -0,0 +1,201 @@
+// Payment webhooks applied through handleWebhookEvent with the mock provider:
+// order state, duplicate deliveries, amount checks and refunds. Runs against a
+// migrated and seeded SQLite database.
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const SQLITE_PATH = path.join(os.tmpdir(), `ecofinds-payments-${process.pid}.db`);
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_PATH = SQLITE_PATH;
+
+const db = require('../config/database');
+const { migrate } = require('../database/migrator');
+const { seed } = require('../database/seed');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const MockProvider = require('../services/payments/mockProvider');
+const { setProvider, createIntentForOrder, handleWebhookEvent } = require('../services/payments');
+
+const BUYER_ID = 6;
+
+let provider;
+
+// Place an order for a seeded product and start paying for it
+const checkout = async (productId) => {
+  const [[product]] = await db.execute('SELECT id, title, price, seller_id FROM products WHERE id = ?', [productId]);
+  const { order } = await Order.createForProduct(BUYER_ID, product, { payment_method: 'upi' });
+  const { payment, checkout } = await createIntentForOrder(order);
+  return { order, payment, intentId: checkout.intent_id };
+};
+
+const deliver = (webhook) => handleWebhookEvent(provider.parseWebhookEvent(webhook.body));
+
+const reload = async ({ order, payment }) => ({
+  order: await Order.findById(order.id),
+  payment: await Payment.findById(payment.id)
+});
+
+const refundsOf = async (payment) => (await db.execute('SELECT * FROM refunds WHERE payment_id = ? ORDER BY id', [payment.id]))[0];
+
+const productStatus = async (productId) => (await db.execute('SELECT status FROM products WHERE id = ?', [productId]))[0][0].status;
+
+// Pay for a product in full and return the paid order, payment and gateway payment ID
+const paidCheckout = async (productId) => {
+  const placed = await checkout(productId);
+  const webhook = provider.simulatePayment(placed.intentId);
+  await deliver(webhook);
+  return { ...(await reload(placed)), paymentId: webhook.body.payment.id };
+};
+
+beforeAll(async () => {
+  await migrate();
+  await seed();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeEach(() => {
+  provider = new MockProvider({ webhookSecret: 'test-secret' });
+  setProvider(provider);
+});
+
+afterAll(async () => {
+  await db.close();
+  [SQLITE_PATH, `${SQLITE_PATH}-wal`, `${SQLITE_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+});
+
+describe('payment webhooks', () => {
+  test('a captured payment marks the order paid and a duplicate delivery is ignored', async () => {
+    const placed = await checkout(1);
+    const webhook = provider.simulatePayment(placed.intentId);
+
+    expect(await deliver(webhook)).toMatchObject({ handled: true });
+    const { order, payment } = await reload(placed);
+    expect(order.status).toBe('paid');
+    expect(payment.status).toBe('captured');
+    expect((await order.getPurchases()).map(purchase => purchase.status)).toEqual(['confirmed']);
+
+    expect(await deliver(webhook)).toEqual({ handled: false, reason: 'duplicate' });
+  });
+
+  test('an authorized payment is captured after the commit', async () => {
+    const placed = await checkout(2);
+    const capture = jest.spyOn(provider, 'capture');
+
+    const result = await deliver(provider.simulatePayment(placed.intentId, { event: 'payment.authorized' }));
+
+    expect(result).toMatchObject({ handled: true });
+    expect(capture).toHaveBeenCalledWith(expect.stringMatching(/^mock_pay_/), Number(placed.payment.amount));
+    expect((await reload(placed)).payment.status).toBe('authorized');
+  });
+
+  test('a failed capture leaves the event unclaimed for the retry', async () => {
+    const placed = await checkout(3);
+    const webhook = provider.simulatePayment(placed.intentId, { event: 'payment.authorized' });
+    jest.spyOn(provider, 'capture').mockRejectedValueOnce(new Error('gateway down'));
+
+    await expect(deliver(webhook)).rejects.toThrow('gateway down');
+    expect(await deliver(webhook)).toMatchObject({ handled: true });
+  });
+
+  test('an amount that does not match the payment is not applied', async () => {
+    const placed = await checkout(4);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const webhook = provider.simulatePayment(placed.intentId);
+    webhook.body.payment.amount = Number(placed.payment.amount) - 1;
+
+    expect(await deliver(webhook)).toEqual({ handled: false, reason: 'amount_mismatch' });
+    expect((await reload(placed)).order.status).toBe('pending');
+  });
+
+  test('a failed payment releases the items', async () => {
+    const placed = await checkout(5);
+
+    await deliver(provider.simulatePayment(placed.intentId, { event: 'payment.failed' }));
+
+    const { order, payment } = await reload(placed);
+    expect(order.status).toBe('payment_failed');
+    expect(payment.status).toBe('failed');
+    expect(await productStatus(5)).toBe('approved');
+  });
+
+  test('events for an unknown payment are left unclaimed', async () => {
+    const webhook = provider.buildWebhook('payment.captured', { id: 'mock_pay_unknown', intent_id: 'mock_order_unknown', amount: 10 });
+
+    expect(await deliver(webhook)).toEqual({ handled: false, reason: 'unknown_payment' });
+    const [claimed] = await db.execute('SELECT * FROM payment_webhook_events WHERE event_id = ?', [webhook.body.id]);
+    expect(claimed).toHaveLength(0);
+  });
+
+  test('a capture for an order that can no longer be paid is refunded after the commit', async () => {
+    const placed = await checkout(6);
+    await placed.order.markPaymentFailed();
+    const refund = jest.spyOn(provider, 'refund');
+
+    const result = await deliver(provider.simulatePayment(placed.intentId));
+
+    expect(result).toEqual({ handled: false, reason: 'order_not_payable', payment: expect.anything() });
+    expect(refund).toHaveBeenCalledWith(expect.stringMatching(/^mock_pay_/), Number(placed.payment.amount));
+    const [recorded] = await refundsOf(placed.payment);
+    expect(recorded.status).toBe('pending');
+    expect(recorded.provider_refund_id).toMatch(/^mock_rfnd_/);
+  });
+});
+
+describe('refund webhooks', () => {
+  test('confirming a refund the app issued marks it processed', async () => {
+    const { payment, paymentId } = await paidCheckout(7);
+    const providerRefund = await provider.refund(paymentId, 100);
+    const refund = await Payment.createRefund({ payment_id: payment.id, amount: 100, reason: 'Dispute' });
+    await Payment.setRefundProviderId(refund.id, providerRefund.id);
+
+    expect(await deliver(provider.simulateRefund(paymentId, providerRefund.id))).toMatchObject({ handled: true });
+
+    const [processed] = await refundsOf(payment);
+    expect(processed.status).toBe('processed');
+    expect((await Payment.findById(payment.id)).status).toBe('partially_refunded');
+  });
+
+  test('a full refund from the gateway refunds the order', async () => {
+    const paid = await paidCheckout(8);
+
+    await deliver(provider.simulateRefund(paid.paymentId));
+
+    const { order, payment } = await reload(paid);
+    expect(payment.status).toBe('refunded');
+    expect(order.status).toBe('refunded');
+    expect((await refundsOf(payment)).map(refund => [refund.status, Number(refund.amount)]))
+      .toEqual([['processed', Number(payment.amount)]]);
+  });
+
+  test('a partial refund from the gateway only refunds its amount', async () => {
+    const paid = await paidCheckout(9);
+    const webhook = provider.simulateRefund(paid.paymentId);
+    webhook.body.refund = { id: 'mock_rfnd_dashboard', amount: 50 };
+
+    await deliver(webhook);
+
+    const { order, payment } = await reload(paid);
+    expect(payment.status).toBe('partially_refunded');
+    expect(order.status).toBe('paid');
+    expect((await refundsOf(payment)).map(refund => Number(refund.amount))).toEqual([50]);
+  });
+
+  test('an unmatched refund waits while one of ours has not been issued', async () => {
+    const paid = await paidCheckout(10);
+    await Payment.createRefund({ payment_id: paid.payment.id, amount: 100, reason: 'Dispute' });
+    const webhook = provider.simulateRefund(paid.paymentId);
+    webhook.body.refund = { id: 'mock_rfnd_not_stored_yet', amount: 100 };
+
+    expect(await deliver(webhook)).toEqual({ handled: false, reason: 'unknown_refund' });
+
+    const { order, payment } = await reload(paid);
+    expect(payment.status).toBe('captured');
+    expect(order.status).toBe('paid');
+    const [claimed] = await db.execute('SELECT * FROM payment_webhook_events WHERE event_id = ?', [webhook.body.id]);
+    expect(claimed).toHaveLength(0);
+  });
+});
@@ -0,0 +1,93 @@
+// The product listing endpoints load a page's images, sellers, ratings and
+// favorites in batches, so the number of queries must not grow with the page
+// size. Runs the listings against a migrated and seeded SQLite database.
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const SQLITE_PATH = path.join(os.tmpdir(), `ecofinds-listings-${process.pid}.db`);
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_PATH = SQLITE_PATH;
+
+// Only the listing routes are exercised; the models and validation they don't use
+// are kept out of the way
+jest.mock('../models/Product', () => ({}), { virtual: true });
+jest.mock('../models/User', () => ({}), { virtual: true });
+jest.mock('../middleware/validation', () => ({
+  validate: () => (req, res, next) => next(),
+  productValidation: {}
+}), { virtual: true });
+jest.mock('../models/Category', () => ({
+  findByIdWithCount: async (id) => ({ id, name: 'Category' })
+}), { virtual: true });
+
+const express = require('express');
+const db = require('../config/database');
+const { migrate } = require('../database/migrator');
+const { seed } = require('../database/seed');
+const productRoutes = require('../routes/products');
+
+const SMALL_PAGE = 1;
+const LARGE_PAGE = 5;
+
+let server;
+let baseUrl;
+
+const get = async (url) => {
+  const response = await fetch(baseUrl + url);
+  expect(response.status).toBe(200);
+  return response.json();
+};
+
+// Number of db.execute calls made while serving the request, and its page size
+const countQueries = async (url) => {
+  const execute = jest.spyOn(db, 'execute');
+  try {
+    const body = await get(url);
+    return { queries: execute.mock.calls.length, items: body.data.products.length };
+  } finally {
+    execute.mockRestore();
+  }
+};
+
+const withLimit = (url, limit) => `${url}${url.includes('?') ? '&' : '?'}limit=${limit}`;
+
+beforeAll(async () => {
+  await migrate();
+  await seed();
+
+  const app = express();
+  app.use('/api/products', productRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+  [SQLITE_PATH, `${SQLITE_PATH}-wal`, `${SQLITE_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+});
+
+describe('product listing query count', () => {
+  test.each([
+    ['all products', '/api/products'],
+    ['all products by price', '/api/products?sort_by=price_low'],
+    ['all products with facets', '/api/products?facets=true'],
+    ['text search', '/api/products?search=a'],
+    ['search endpoint', '/api/products/search/an?sort_by=newest'],
+    ['nearby', '/api/products?near=560034&radius_km=50'],
+    ['category', '/api/products/category/1'],
+    ['seller', '/api/products/user/2']
+  ])('%s does not depend on the page size', async (name, url) => {
+    // Warm up one-off work such as building the search index
+    await get(url);
+
+    const small = await countQueries(withLimit(url, SMALL_PAGE));
+    const large = await countQueries(withLimit(url, LARGE_PAGE));
+
+    expect(large.items).toBeGreaterThan(small.items);
+    expect(large.queries).toBe(small.queries);
+  });
+});
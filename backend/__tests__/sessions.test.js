@@ -0,0 +1,126 @@
+// Refresh token rotation through POST /api/auth/refresh, reuse detection and
+// signing out every session
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const SQLITE_PATH = path.join(os.tmpdir(), `ecofinds-sessions-${process.pid}.db`);
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_PATH = SQLITE_PATH;
+process.env.JWT_SECRET = 'test-secret';
+
+// The user model is read straight from the users table; validation only guards
+// the routes not exercised here
+jest.mock('../models/User', () => {
+  const db = require('../config/database');
+  return {
+    findById: async (id) => {
+      const [rows] = await db.execute('SELECT * FROM users WHERE id = ?', [id]);
+      return rows[0] || null;
+    }
+  };
+}, { virtual: true });
+jest.mock('../middleware/validation', () => ({
+  validate: () => (req, res, next) => next(),
+  userValidation: {}
+}), { virtual: true });
+
+const express = require('express');
+const db = require('../config/database');
+const { migrate } = require('../database/migrator');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+let userId;
+
+const refresh = async (refreshToken) => {
+  const response = await fetch(`${baseUrl}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+beforeAll(async () => {
+  await migrate();
+  const [result] = await db.execute(
+    'INSERT INTO users (name, email, password) VALUES (?, ?, ?)',
+    ['Session User', 'sessions@example.in', 'not-a-real-hash']
+  );
+  userId = result.insertId;
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await db.close();
+  [SQLITE_PATH, `${SQLITE_PATH}-wal`, `${SQLITE_PATH}-shm`].forEach(file => fs.rmSync(file, { force: true }));
+});
+
+describe('refresh tokens', () => {
+  test('every refresh rotates the token for the same session', async () => {
+    const { session, refreshToken } = await Session.create(userId);
+
+    const first = await refresh(refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.session_id).toBe(session.id);
+    expect(first.body.data.refreshToken).not.toBe(refreshToken);
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+    expect(second.body.data.session_id).toBe(session.id);
+  });
+
+  test('reusing a rotated token revokes the whole session', async () => {
+    const { session, refreshToken } = await Session.create(userId);
+    const rotated = await refresh(refreshToken);
+
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await Session.findById(session.id)).isActive()).toBe(false);
+
+    // The token issued by the legitimate rotation dies with the session
+    expect((await refresh(rotated.body.data.refreshToken)).status).toBe(401);
+  });
+
+  test('only one of two concurrent refreshes with the same token succeeds', async () => {
+    const { refreshToken } = await Session.create(userId);
+    const statuses = (await Promise.all([refresh(refreshToken), refresh(refreshToken)])).map(result => result.status);
+
+    expect(statuses.sort()).toEqual([200, 401]);
+  });
+
+  test('unknown tokens are rejected', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+  });
+});
+
+describe('revokeAllForUser', () => {
+  test('revokes every session but the kept one and returns their IDs', async () => {
+    await db.execute('UPDATE user_sessions SET revoked_at = ? WHERE user_id = ?', [new Date(Date.now() - 60 * 1000), userId]);
+    const kept = await Session.create(userId);
+    const others = [await Session.create(userId), await Session.create(userId)];
+
+    const revoked = await Session.revokeAllForUser(userId, kept.session.id);
+
+    expect(revoked.sort()).toEqual(others.map(other => other.session.id).sort());
+    expect((await Session.findActiveByUser(userId)).map(session => session.id)).toEqual([kept.session.id]);
+    expect((await refresh(others[0].refreshToken)).status).toBe(401);
+    expect((await refresh(kept.refreshToken)).status).toBe(200);
+  });
+
+  test('returns nothing when no session is active', async () => {
+    await Session.revokeAllForUser(userId);
+
+    expect(await Session.revokeAllForUser(userId)).toEqual([]);
+  });
+});
@@ -0,0 +1,263 @@
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+// One interface over SQLite (the default, for development) and MySQL, picked with
+// DB_CLIENT. execute(sql, params) resolves to [rows] for queries and to
+// [{ insertId, affectedRows }] for other statements on both engines, and dates
+// come back as Date objects. Write SQL that both engines accept: single-quoted
+// string literals, and the helpers in db.sql for date arithmetic and booleans.
+const CLIENT = (process.env.DB_CLIENT || 'sqlite').toLowerCase();
+
+const SQLITE_PATH = process.env.SQLITE_PATH
+  ? path.resolve(process.env.SQLITE_PATH)
+  : path.join(__dirname, '../database/ecofinds.db');
+const SQLITE_BUSY_TIMEOUT_MS = 5000;
+
+const INTERVAL_UNITS = ['minute', 'hour', 'day', 'month', 'year'];
+const BUCKET_UNITS = ['day', 'week', 'month'];
+
+// Wrap a driver connection so callers can tell whether a transaction is still open
+const createConnection = ({ execute, begin, commit, rollback, release }) => {
+  const connection = {
+    inTransaction: false,
+    execute,
+    async beginTransaction() {
+      await begin();
+      connection.inTransaction = true;
+    },
+    async commit() {
+      await commit();
+      connection.inTransaction = false;
+    },
+    async rollback() {
+      await rollback();
+      connection.inTransaction = false;
+    },
+    release
+  };
+  return connection;
+};
+
+const createMysqlAdapter = () => {
+  const mysql = require('mysql2/promise');
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    port: parseInt(process.env.DB_PORT) || 3306,
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'ecofinds',
+    charset: 'utf8mb4',
+    // Dates are read and written as UTC, like SQLite's CURRENT_TIMESTAMP
+    timezone: 'Z',
+    waitForConnections: true,
+    connectionLimit: parseInt(process.env.DB_CONNECTION_LIMIT) || 10
+  });
+
+  // NOW() and CURRENT_TIMESTAMP defaults in UTC too, whatever the server's zone
+  pool.on('connection', (connection) => {
+    connection.query("SET time_zone = '+00:00'");
+  });
+
+  // query rather than execute: prepared statements reject numbers for LIMIT ?
+  const run = (target, sql, params = []) => target.query(sql, params.map(value => (value === undefined ? null : value)));
+
+  return {
+    execute: (sql, params) => run(pool, sql, params),
+    async getConnection() {
+      const connection = await pool.getConnection();
+      return createConnection({
+        execute: (sql, params) => run(connection, sql, params),
+        begin: () => connection.beginTransaction(),
+        commit: () => connection.commit(),
+        rollback: () => connection.rollback(),
+        release: () => connection.release()
+      });
+    },
+    close: () => pool.end(),
+    isUniqueViolation: (error) => error.code === 'ER_DUP_ENTRY',
+    sql: {
+      ago: (amount, unit) => `DATE_SUB(NOW(), INTERVAL ${amount} ${unit.toUpperCase()})`,
+      boolean: (value) => (value ? 'TRUE' : 'FALSE'),
+      dateBucket: (column, unit) => ({
+        day: `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+        week: `DATE_FORMAT(DATE_SUB(${column}, INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`,
+        month: `DATE_FORMAT(${column}, '%Y-%m-01')`
+      })[unit]
+    }
+  };
+};
+
+const createSqliteAdapter = () => {
+  const sqlite3 = require('sqlite3');
+
+  // SQLite stores CURRENT_TIMESTAMP as UTC 'YYYY-MM-DD HH:MM:SS'; bound dates use
+  // the same format so they compare correctly, and such values are read back as Dates
+  const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d+)?$/;
+
+  const toParam = (value) => {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().replace('T', ' ').replace(/\.\d+Z$/, '');
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+  };
+
+  const fromRow = (row) => {
+    Object.keys(row).forEach(key => {
+      if (typeof row[key] === 'string' && TIMESTAMP_PATTERN.test(row[key])) {
+        row[key] = new Date(row[key].replace(' ', 'T') + 'Z');
+      }
+    });
+    return row;
+  };
+
+  const returnsRows = (sql) => /^\s*(SELECT|WITH|PRAGMA|EXPLAIN)\b/i.test(sql) || /\bRETURNING\b/i.test(sql);
+
+  const run = (handle, sql, params = []) => new Promise((resolve, reject) => {
+    const values = params.map(toParam);
+
+    if (returnsRows(sql)) {
+      handle.all(sql, values, (error, rows) => (error ? reject(error) : resolve([rows.map(fromRow), []])));
+    } else {
+      handle.run(sql, values, function (error) {
+        if (error) {
+          return reject(error);
+        }
+        resolve([{ insertId: /^\s*INSERT\b/i.test(sql) ? this.lastID : 0, affectedRows: this.changes }, undefined]);
+      });
+    }
+  });
+
+  const open = () => new Promise((resolve, reject) => {
+    fs.mkdirSync(path.dirname(SQLITE_PATH), { recursive: true });
+    const handle = new sqlite3.Database(SQLITE_PATH, error => {
+      if (error) {
+        return reject(error);
+      }
+      handle.configure('busyTimeout', SQLITE_BUSY_TIMEOUT_MS);
+      run(handle, 'PRAGMA foreign_keys = ON').then(() => resolve(handle), reject);
+    });
+  });
+
+  // Queries share one handle. Each transaction gets a handle of its own so that
+  // statements from concurrent requests never run inside it; WAL mode lets those
+  // reads go on while it is open.
+  let mainHandle = null;
+  const getMainHandle = () => {
+    if (!mainHandle) {
+      mainHandle = open()
+        .then(handle => run(handle, 'PRAGMA journal_mode = WAL').then(() => handle))
+        .catch(error => {
+          mainHandle = null;
+          throw error;
+        });
+    }
+    return mainHandle;
+  };
+
+  const close = (handle) => new Promise((resolve, reject) => {
+    handle.close(error => (error ? reject(error) : resolve()));
+  });
+
+  return {
+    execute: async (sql, params) => run(await getMainHandle(), sql, params),
+    async getConnection() {
+      await getMainHandle();
+      const handle = await open();
+      return createConnection({
+        execute: (sql, params) => run(handle, sql, params),
+        // IMMEDIATE takes the write lock up front, so two transactions cannot
+        // deadlock upgrading from read to write
+        begin: () => run(handle, 'BEGIN IMMEDIATE'),
+        commit: () => run(handle, 'COMMIT'),
+        rollback: () => run(handle, 'ROLLBACK'),
+        release: () => {
+          close(handle).catch(error => console.error('Closing SQLite connection failed:', error));
+        }
+      });
+    },
+    close: async () => {
+      if (mainHandle) {
+        const handle = await mainHandle;
+        mainHandle = null;
+        await close(handle);
+      }
+    },
+    isUniqueViolation: (error) => error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message),
+    sql: {
+      ago: (amount, unit) => `datetime('now', '-${amount} ${unit}s')`,
+      boolean: (value) => (value ? '1' : '0'),
+      // 'weekday 0' moves forward to Sunday (or stays on one), so -6 days is Monday
+      dateBucket: (column, unit) => ({
+        day: `date(${column})`,
+        week: `date(${column}, 'weekday 0', '-6 days')`,
+        month: `strftime('%Y-%m-01', ${column})`
+      })[unit]
+    }
+  };
+};
+
+const adapters = {
+  sqlite: createSqliteAdapter,
+  mysql: createMysqlAdapter
+};
+
+if (!adapters[CLIENT]) {
+  throw new Error(`Unsupported DB_CLIENT "${CLIENT}": use sqlite or mysql`);
+}
+
+const adapter = adapters[CLIENT]();
+
+// Run work(connection) in a transaction: committed when it resolves, rolled back
+// when it throws. work may roll back itself to give up early; its result is
+// returned either way.
+const transaction = async (work) => {
+  const connection = await adapter.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    if (connection.inTransaction) {
+      await connection.commit();
+    }
+    return result;
+  } catch (error) {
+    if (connection.inTransaction) {
+      await connection.rollback();
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const db = {
+  client: CLIENT,
+  execute: adapter.execute,
+  getConnection: adapter.getConnection,
+  transaction,
+  close: adapter.close,
+  // Whether an error is an insert or update hitting a unique key
+  isUniqueViolation: adapter.isUniqueViolation,
+  sql: {
+    // SQL expression for the time `amount` units (minute, hour, day, month or year) ago
+    ago: (amount, unit) => {
+      if (!Number.isInteger(amount) || !INTERVAL_UNITS.includes(unit)) {
+        throw new Error(`Invalid interval: ${amount} ${unit}`);
+      }
+      return adapter.sql.ago(amount, unit);
+    },
+    // Boolean literal
+    boolean: adapter.sql.boolean,
+    // SQL expression for the start of the day, week (from Monday) or month that a
+    // date column falls in, as a 'YYYY-MM-DD' string
+    dateBucket: (column, unit) => {
+      if (!BUCKET_UNITS.includes(unit)) {
+        throw new Error(`Invalid date bucket: ${unit}`);
+      }
+      return adapter.sql.dateBucket(column, unit);
+    }
+  }
+};
+
+module.exports = db;
@@ -0,0 +1,25 @@
+// Usage: node database/init.js
+// Set up a fresh database: run every migration, then load the seed data
+const db = require('../config/database');
+const { migrate } = require('./migrator');
+const { seed } = require('./seed');
+
+const run = async () => {
+  try {
+    const migrations = await migrate();
+    console.log(`Ran ${migrations.length} migration(s)`);
+
+    const result = await seed();
+    console.log(`Seeded ${result.categories} categories, ${result.sellersCreated} sample sellers and ${result.products} listings`);
+    if (result.adminCreated) {
+      console.log('Created the admin account; change its password after the first sign in');
+    }
+  } catch (error) {
+    console.error('Database setup failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+};
+
+run();
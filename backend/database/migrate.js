@@ -0,0 +1,43 @@
+// Usage: node database/migrate.js [up|rollback|status]
+// (npm run migrate, npm run migrate:rollback, npm run migrate:status)
+const db = require('../config/database');
+const { migrate, rollback, status } = require('./migrator');
+
+const commands = {
+  async up() {
+    const names = await migrate();
+    console.log(names.length > 0 ? `Migrated:\n  ${names.join('\n  ')}` : 'Nothing to migrate');
+  },
+
+  async rollback() {
+    const names = await rollback();
+    console.log(names.length > 0 ? `Rolled back:\n  ${names.join('\n  ')}` : 'Nothing to roll back');
+  },
+
+  async status() {
+    (await status()).forEach(migration => {
+      console.log(`${migration.batch ? `batch ${migration.batch}` : 'pending'}\t${migration.name}`);
+    });
+  }
+};
+
+const run = async () => {
+  const command = process.argv[2] || 'up';
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use up, rollback or status.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await commands[command]();
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+};
+
+run();
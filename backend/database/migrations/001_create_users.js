@@ -0,0 +1,77 @@
+const { CREATED_AT, UPDATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Accounts, follows and everything sign-in needs: sessions with their rotating
+// refresh tokens, and password reset OTPs
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'users', [
+      'name VARCHAR(100) NOT NULL',
+      'email VARCHAR(255) NOT NULL UNIQUE',
+      'phone VARCHAR(20) UNIQUE',
+      'password VARCHAR(255) NOT NULL',
+      'age INT',
+      'gender VARCHAR(20)',
+      'location VARCHAR(255)',
+      'pincode VARCHAR(6)',
+      'avatar VARCHAR(500)',
+      'bio TEXT',
+      'is_active BOOLEAN NOT NULL DEFAULT TRUE',
+      'is_verified BOOLEAN NOT NULL DEFAULT FALSE',
+      'is_admin BOOLEAN NOT NULL DEFAULT FALSE',
+      'followers_count INT NOT NULL DEFAULT 0',
+      'following_count INT NOT NULL DEFAULT 0',
+      'listings_count INT NOT NULL DEFAULT 0',
+      'sales_count INT NOT NULL DEFAULT 0',
+      'last_seen_at DATETIME',
+      CREATED_AT,
+      UPDATED_AT
+    ]);
+    await createIndex(connection, 'users', ['created_at']);
+
+    await createTable(connection, 'user_follows', [
+      'follower_id INT NOT NULL',
+      'following_id INT NOT NULL',
+      CREATED_AT,
+      'UNIQUE (follower_id, following_id)',
+      'FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'user_follows', ['following_id']);
+
+    await createTable(connection, 'user_sessions', [
+      'user_id INT NOT NULL',
+      'user_agent VARCHAR(255)',
+      'ip_address VARCHAR(45)',
+      CREATED_AT,
+      'last_used_at DATETIME',
+      'revoked_at DATETIME',
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'user_sessions', ['user_id']);
+
+    await createTable(connection, 'refresh_tokens', [
+      'session_id INT NOT NULL',
+      'token_hash VARCHAR(64) NOT NULL UNIQUE',
+      'expires_at DATETIME NOT NULL',
+      'used_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'refresh_tokens', ['session_id']);
+
+    await createTable(connection, 'password_resets', [
+      'user_id INT NOT NULL',
+      'otp_hash VARCHAR(255) NOT NULL',
+      'attempts INT NOT NULL DEFAULT 0',
+      'expires_at DATETIME NOT NULL',
+      'used_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'password_resets', ['user_id']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['password_resets', 'refresh_tokens', 'user_sessions', 'user_follows', 'users']);
+  }
+};
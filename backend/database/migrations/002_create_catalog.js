@@ -0,0 +1,92 @@
+const { CREATED_AT, UPDATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Categories, listings with their photos and price history, and the favorites and
+// carts that point at them
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'categories', [
+      'name VARCHAR(100) NOT NULL UNIQUE',
+      'description TEXT',
+      'icon VARCHAR(50)',
+      CREATED_AT
+    ]);
+
+    // status: pending (awaiting moderation), approved, rejected, reserved (in a
+    // placed order) or sold. latitude/longitude are geocoded from pincode.
+    await createTable(connection, 'products', [
+      'seller_id INT NOT NULL',
+      'category_id INT NOT NULL',
+      'title VARCHAR(200) NOT NULL',
+      'description TEXT NOT NULL',
+      'price DECIMAL(10, 2) NOT NULL',
+      '`condition` VARCHAR(20) NOT NULL',
+      'brand VARCHAR(100)',
+      'location VARCHAR(255)',
+      'pincode VARCHAR(6)',
+      'latitude DOUBLE',
+      'longitude DOUBLE',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      'rejection_reason TEXT',
+      'views INT NOT NULL DEFAULT 0',
+      CREATED_AT,
+      UPDATED_AT,
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (category_id) REFERENCES categories(id)'
+    ]);
+    await createIndex(connection, 'products', ['status', 'created_at']);
+    await createIndex(connection, 'products', ['seller_id']);
+    await createIndex(connection, 'products', ['category_id']);
+    await createIndex(connection, 'products', ['latitude', 'longitude']);
+
+    await createTable(connection, 'product_images', [
+      'product_id INT NOT NULL',
+      'image_url VARCHAR(500) NOT NULL',
+      'thumbnail_url VARCHAR(500)',
+      'card_url VARCHAR(500)',
+      'width INT',
+      'height INT',
+      'blurhash VARCHAR(100)',
+      'dominant_color VARCHAR(7)',
+      'is_primary BOOLEAN NOT NULL DEFAULT FALSE',
+      'sort_order INT NOT NULL DEFAULT 0',
+      CREATED_AT,
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'product_images', ['product_id', 'sort_order']);
+
+    await createTable(connection, 'product_price_history', [
+      'product_id INT NOT NULL',
+      'old_price DECIMAL(10, 2)',
+      'price DECIMAL(10, 2) NOT NULL',
+      'changed_by INT',
+      CREATED_AT,
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE',
+      'FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'product_price_history', ['product_id']);
+
+    await createTable(connection, 'favorites', [
+      'user_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      CREATED_AT,
+      'UNIQUE (user_id, product_id)',
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'favorites', ['product_id']);
+
+    await createTable(connection, 'cart', [
+      'user_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      'quantity INT NOT NULL DEFAULT 1',
+      'added_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'UNIQUE (user_id, product_id)',
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['cart', 'favorites', 'product_price_history', 'product_images', 'products', 'categories']);
+  }
+};
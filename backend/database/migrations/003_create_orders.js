@@ -0,0 +1,137 @@
+const { CREATED_AT, UPDATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Checkout: an order per cart checkout, split into a sub-order per seller with a
+// purchase per item, plus payments, refunds and the reviews left after a sale
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'orders', [
+      'buyer_id INT NOT NULL',
+      'subtotal DECIMAL(10, 2) NOT NULL',
+      'service_fee DECIMAL(10, 2) NOT NULL DEFAULT 0',
+      'total DECIMAL(10, 2) NOT NULL',
+      'payment_method VARCHAR(50)',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      CREATED_AT,
+      UPDATED_AT,
+      'FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'orders', ['buyer_id']);
+
+    await createTable(connection, 'sub_orders', [
+      'order_id INT NOT NULL',
+      'seller_id INT NOT NULL',
+      'subtotal DECIMAL(10, 2) NOT NULL',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      CREATED_AT,
+      'FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE',
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'sub_orders', ['order_id']);
+
+    await createTable(connection, 'purchases', [
+      'order_id INT',
+      'sub_order_id INT',
+      'buyer_id INT NOT NULL',
+      'seller_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      'price DECIMAL(10, 2) NOT NULL',
+      'quantity INT NOT NULL DEFAULT 1',
+      'payment_method VARCHAR(50)',
+      'transaction_id VARCHAR(255)',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      'purchase_date DATETIME DEFAULT CURRENT_TIMESTAMP',
+      'completed_at DATETIME',
+      'FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE',
+      'FOREIGN KEY (sub_order_id) REFERENCES sub_orders(id) ON DELETE CASCADE',
+      'FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'purchases', ['order_id']);
+    await createIndex(connection, 'purchases', ['buyer_id', 'purchase_date']);
+    await createIndex(connection, 'purchases', ['seller_id', 'purchase_date']);
+    await createIndex(connection, 'purchases', ['product_id']);
+
+    // Audit trail of every purchase status change
+    await createTable(connection, 'purchase_events', [
+      'purchase_id INT NOT NULL',
+      'from_status VARCHAR(20)',
+      'to_status VARCHAR(20) NOT NULL',
+      'actor_id INT',
+      'actor_role VARCHAR(20) NOT NULL',
+      'note TEXT',
+      CREATED_AT,
+      'FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE',
+      'FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'purchase_events', ['purchase_id']);
+
+    await createTable(connection, 'payments', [
+      'order_id INT NOT NULL',
+      'provider VARCHAR(20) NOT NULL',
+      'provider_intent_id VARCHAR(255) NOT NULL',
+      'provider_payment_id VARCHAR(255)',
+      'amount DECIMAL(10, 2) NOT NULL',
+      "currency VARCHAR(3) NOT NULL DEFAULT 'INR'",
+      'method VARCHAR(50)',
+      "status VARCHAR(20) NOT NULL DEFAULT 'created'",
+      CREATED_AT,
+      UPDATED_AT,
+      'UNIQUE (provider, provider_intent_id)',
+      'FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'payments', ['order_id']);
+
+    // Webhook deliveries already handled, so retries are acknowledged only once
+    await createTable(connection, 'payment_webhook_events', [
+      'provider VARCHAR(20) NOT NULL',
+      'event_id VARCHAR(255) NOT NULL',
+      'event_type VARCHAR(100)',
+      CREATED_AT,
+      'UNIQUE (provider, event_id)'
+    ]);
+
+    await createTable(connection, 'refunds', [
+      'payment_id INT NOT NULL',
+      'purchase_id INT',
+      'amount DECIMAL(10, 2) NOT NULL',
+      'provider_refund_id VARCHAR(255)',
+      'reason TEXT',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      'processed_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE',
+      'FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'refunds', ['payment_id']);
+
+    await createTable(connection, 'reviews', [
+      'purchase_id INT NOT NULL',
+      'reviewer_id INT NOT NULL',
+      'reviewee_id INT NOT NULL',
+      'reviewer_role VARCHAR(10) NOT NULL',
+      'rating INT NOT NULL',
+      'comment TEXT',
+      'photos TEXT',
+      CREATED_AT,
+      'UNIQUE (purchase_id, reviewer_id)',
+      'FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE',
+      'FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (reviewee_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'reviews', ['reviewee_id', 'created_at']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, [
+      'reviews',
+      'refunds',
+      'payment_webhook_events',
+      'payments',
+      'purchase_events',
+      'purchases',
+      'sub_orders',
+      'orders'
+    ]);
+  }
+};
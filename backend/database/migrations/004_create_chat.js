@@ -0,0 +1,69 @@
+const { CREATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Buyer-seller conversations about a product, with their messages and the price
+// offers made in them
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'chat_rooms', [
+      'buyer_id INT NOT NULL',
+      'seller_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      'last_message_at DATETIME',
+      CREATED_AT,
+      'UNIQUE (buyer_id, seller_id, product_id)',
+      'FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'chat_rooms', ['seller_id']);
+
+    await createTable(connection, 'offers', [
+      'room_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      'buyer_id INT NOT NULL',
+      'seller_id INT NOT NULL',
+      'proposed_by INT NOT NULL',
+      'amount DECIMAL(10, 2) NOT NULL',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      'parent_offer_id INT',
+      'purchase_id INT',
+      'expires_at DATETIME NOT NULL',
+      'responded_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (room_id) REFERENCES chat_rooms(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE',
+      'FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (parent_offer_id) REFERENCES offers(id) ON DELETE SET NULL',
+      'FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'offers', ['room_id', 'status']);
+
+    await createTable(connection, 'messages', [
+      'room_id INT NOT NULL',
+      'sender_id INT NOT NULL',
+      'message TEXT NOT NULL',
+      "message_type VARCHAR(10) NOT NULL DEFAULT 'text'",
+      'attachment_url VARCHAR(500)',
+      'attachment_name VARCHAR(255)',
+      'attachment_mime_type VARCHAR(100)',
+      'attachment_size INT',
+      'attachment_width INT',
+      'attachment_height INT',
+      'offer_id INT',
+      'is_read BOOLEAN NOT NULL DEFAULT FALSE',
+      'delivered_at DATETIME',
+      'read_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (room_id) REFERENCES chat_rooms(id) ON DELETE CASCADE',
+      'FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (offer_id) REFERENCES offers(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'messages', ['room_id', 'created_at']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['messages', 'offers', 'chat_rooms']);
+  }
+};
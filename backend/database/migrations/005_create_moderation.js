@@ -0,0 +1,63 @@
+const { CREATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Purchase disputes with the evidence both sides upload, and user reports of
+// people, listings and messages for the admins to review
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'disputes', [
+      'purchase_id INT NOT NULL',
+      'buyer_id INT NOT NULL',
+      'seller_id INT NOT NULL',
+      'reason VARCHAR(255) NOT NULL',
+      'description TEXT',
+      "status VARCHAR(20) NOT NULL DEFAULT 'open'",
+      'purchase_status_before VARCHAR(20) NOT NULL',
+      'respond_by DATETIME NOT NULL',
+      'seller_response TEXT',
+      'seller_responded_at DATETIME',
+      'decision VARCHAR(20)',
+      'refund_amount DECIMAL(10, 2)',
+      'admin_notes TEXT',
+      'resolved_by INT',
+      'resolved_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE',
+      'FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL'
+    ]);
+    await createIndex(connection, 'disputes', ['purchase_id']);
+    await createIndex(connection, 'disputes', ['status', 'created_at']);
+
+    await createTable(connection, 'dispute_evidence', [
+      'dispute_id INT NOT NULL',
+      'user_id INT NOT NULL',
+      'image_url VARCHAR(500) NOT NULL',
+      CREATED_AT,
+      'FOREIGN KEY (dispute_id) REFERENCES disputes(id) ON DELETE CASCADE',
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'dispute_evidence', ['dispute_id']);
+
+    await createTable(connection, 'reports', [
+      'reporter_id INT NOT NULL',
+      'reported_user_id INT',
+      'reported_product_id INT',
+      'report_type VARCHAR(20) NOT NULL',
+      'reason VARCHAR(255) NOT NULL',
+      'description TEXT',
+      "status VARCHAR(20) NOT NULL DEFAULT 'pending'",
+      'admin_notes TEXT',
+      'resolved_at DATETIME',
+      CREATED_AT,
+      'FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (reported_user_id) REFERENCES users(id) ON DELETE CASCADE',
+      'FOREIGN KEY (reported_product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'reports', ['status', 'created_at']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['reports', 'dispute_evidence', 'disputes']);
+  }
+};
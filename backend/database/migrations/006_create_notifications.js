@@ -0,0 +1,49 @@
+const { CREATED_AT, UPDATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// In-app notifications, and the saved searches that raise them for new listings
+module.exports = {
+  async up(connection) {
+    // data holds a JSON object with the IDs the notification links to
+    await createTable(connection, 'notifications', [
+      'user_id INT NOT NULL',
+      'type VARCHAR(30) NOT NULL',
+      'title VARCHAR(255) NOT NULL',
+      'message TEXT NOT NULL',
+      'data TEXT',
+      'is_read BOOLEAN NOT NULL DEFAULT FALSE',
+      CREATED_AT,
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'notifications', ['user_id', 'created_at']);
+
+    // filters holds the normalized listing filters as JSON
+    await createTable(connection, 'saved_searches', [
+      'user_id INT NOT NULL',
+      'name VARCHAR(100) NOT NULL',
+      'filters TEXT NOT NULL',
+      "alert_mode VARCHAR(10) NOT NULL DEFAULT 'instant'",
+      'last_digest_at DATETIME',
+      CREATED_AT,
+      UPDATED_AT,
+      'FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'saved_searches', ['user_id']);
+
+    // Listings already matched, so no one is alerted twice; notified_at stays null
+    // until a daily digest picks the match up
+    await createTable(connection, 'saved_search_matches', [
+      'saved_search_id INT NOT NULL',
+      'product_id INT NOT NULL',
+      'notified_at DATETIME',
+      CREATED_AT,
+      'UNIQUE (saved_search_id, product_id)',
+      'FOREIGN KEY (saved_search_id) REFERENCES saved_searches(id) ON DELETE CASCADE',
+      'FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'saved_search_matches', ['product_id']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['saved_search_matches', 'saved_searches', 'notifications']);
+  }
+};
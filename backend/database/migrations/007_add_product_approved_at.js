@@ -0,0 +1,16 @@
+const { addColumn, dropColumn } = require('../schema');
+
+// When a listing was first approved, for the approvals series in admin analytics.
+// Listings approved before this migration take their last update as an estimate.
+module.exports = {
+  async up(connection) {
+    await addColumn(connection, 'products', 'approved_at DATETIME');
+    await connection.execute(
+      "UPDATE products SET approved_at = COALESCE(updated_at, created_at) WHERE status IN ('approved', 'reserved', 'sold')"
+    );
+  },
+
+  async down(connection) {
+    await dropColumn(connection, 'products', 'approved_at');
+  }
+};
@@ -0,0 +1,27 @@
+const { CREATED_AT, createTable, createIndex, dropTables } = require('../schema');
+
+// Admin data exports too large to stream straight to the browser, generated in the
+// background and downloaded from file_path until expires_at
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'export_jobs', [
+      'admin_id INT NOT NULL',
+      'dataset VARCHAR(20) NOT NULL',
+      'format VARCHAR(10) NOT NULL',
+      'filters TEXT NOT NULL',
+      "status VARCHAR(20) NOT NULL DEFAULT 'queued'",
+      'row_count INT',
+      'file_path VARCHAR(500)',
+      'error TEXT',
+      CREATED_AT,
+      'completed_at DATETIME',
+      'expires_at DATETIME',
+      'FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE'
+    ]);
+    await createIndex(connection, 'export_jobs', ['admin_id', 'created_at']);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['export_jobs']);
+  }
+};
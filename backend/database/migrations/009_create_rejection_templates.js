@@ -0,0 +1,19 @@
+const { CREATED_AT, UPDATED_AT, createTable, dropTables } = require('../schema');
+
+// Reusable reasons admins pick from when rejecting listings
+module.exports = {
+  async up(connection) {
+    await createTable(connection, 'rejection_templates', [
+      'title VARCHAR(100) NOT NULL UNIQUE',
+      'message TEXT NOT NULL',
+      'created_by INT',
+      CREATED_AT,
+      UPDATED_AT,
+      'FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL'
+    ]);
+  },
+
+  async down(connection) {
+    await dropTables(connection, ['rejection_templates']);
+  }
+};
@@ -0,0 +1,21 @@
+const { addColumn, createIndex, dropColumn, dropIndex } = require('../schema');
+
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 30;
+
+// How long an unpaid order holds its products. Orders still unpaid when this
+// migration runs get a fresh reservation window instead of expiring at once.
+module.exports = {
+  async up(connection) {
+    await addColumn(connection, 'orders', 'reserved_until DATETIME');
+    await connection.execute(
+      "UPDATE orders SET reserved_until = ? WHERE status IN ('pending', 'payment_failed')",
+      [new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)]
+    );
+    await createIndex(connection, 'orders', ['status', 'reserved_until']);
+  },
+
+  async down(connection) {
+    await dropIndex(connection, 'orders', ['status', 'reserved_until']);
+    await dropColumn(connection, 'orders', 'reserved_until');
+  }
+};
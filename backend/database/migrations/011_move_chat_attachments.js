@@ -0,0 +1,30 @@
+const path = require('path');
+const fs = require('fs');
+const { UPLOADS_ROOT, STORAGE_ROOT } = require('../../middleware/upload');
+
+const PUBLIC_DIR = path.join(UPLOADS_ROOT, 'chat');
+const PRIVATE_DIR = path.join(STORAGE_ROOT, 'chat');
+
+const moveFiles = (from, to) => {
+  if (!fs.existsSync(from)) {
+    return;
+  }
+
+  fs.mkdirSync(to, { recursive: true });
+  fs.readdirSync(from).forEach(filename => {
+    fs.renameSync(path.join(from, filename), path.join(to, filename));
+  });
+  fs.rmdirSync(from);
+};
+
+// Chat attachments moved out of the statically served uploads/ directory.
+// Their URLs point at the chat API, so no rows change.
+module.exports = {
+  async up() {
+    moveFiles(PUBLIC_DIR, PRIVATE_DIR);
+  },
+
+  async down() {
+    moveFiles(PRIVATE_DIR, PUBLIC_DIR);
+  }
+};
@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_[a-z0-9_]+\.js$/;
+
+// Migrations are files named <number>_<description>.js in database/migrations that
+// export up(connection) and down(connection). Each one runs in a transaction and is
+// recorded in schema_migrations with the batch it ran in, so a rollback undoes the
+// whole of the last `npm run migrate`. MySQL commits DDL statements immediately, so
+// there a migration that fails halfway has to be cleaned up by hand.
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => MIGRATION_FILE_PATTERN.test(file))
+  .sort((a, b) => Number(a.match(MIGRATION_FILE_PATTERN)[1]) - Number(b.match(MIGRATION_FILE_PATTERN)[1]))
+  .map(file => ({
+    name: path.basename(file, '.js'),
+    ...require(path.join(MIGRATIONS_DIR, file))
+  }));
+
+const ensureMigrationsTable = () => db.execute(
+  `CREATE TABLE IF NOT EXISTS schema_migrations (
+     name VARCHAR(255) NOT NULL PRIMARY KEY,
+     batch INT NOT NULL,
+     migrated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+   )`
+);
+
+const getApplied = async () => {
+  await ensureMigrationsTable();
+  const [rows] = await db.execute('SELECT name, batch, migrated_at FROM schema_migrations ORDER BY batch ASC, name ASC');
+  return rows;
+};
+
+// Run every pending migration in order as one new batch. Returns the names run.
+const migrate = async () => {
+  const applied = await getApplied();
+  const appliedNames = new Set(applied.map(row => row.name));
+  const pending = loadMigrations().filter(migration => !appliedNames.has(migration.name));
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const batch = applied.reduce((max, row) => Math.max(max, Number(row.batch)), 0) + 1;
+
+  for (const migration of pending) {
+    await db.transaction(async (connection) => {
+      await migration.up(connection);
+      await connection.execute(
+        'INSERT INTO schema_migrations (name, batch) VALUES (?, ?)',
+        [migration.name, batch]
+      );
+    });
+  }
+
+  return pending.map(migration => migration.name);
+};
+
+// Undo the last batch, newest migration first. Returns the names rolled back.
+const rollback = async () => {
+  const applied = await getApplied();
+  if (applied.length === 0) {
+    return [];
+  }
+
+  const lastBatch = applied.reduce((max, row) => Math.max(max, Number(row.batch)), 0);
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+  const names = applied
+    .filter(row => Number(row.batch) === lastBatch)
+    .map(row => row.name)
+    .reverse();
+
+  const missing = names.filter(name => !migrations.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Cannot roll back, migration files are missing: ${missing.join(', ')}`);
+  }
+
+  for (const name of names) {
+    await db.transaction(async (connection) => {
+      await migrations.get(name).down(connection);
+      await connection.execute('DELETE FROM schema_migrations WHERE name = ?', [name]);
+    });
+  }
+
+  return names;
+};
+
+// Every migration with the batch it ran in, or null while pending
+const status = async () => {
+  const applied = new Map((await getApplied()).map(row => [row.name, row]));
+  return loadMigrations().map(migration => {
+    const row = applied.get(migration.name);
+    return {
+      name: migration.name,
+      batch: row ? Number(row.batch) : null,
+      migrated_at: row ? row.migrated_at : null
+    };
+  });
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
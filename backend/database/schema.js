@@ -0,0 +1,48 @@
+const db = require('../config/database');
+
+// DDL helpers for migrations. Column definitions are written in SQL that SQLite and
+// MySQL both accept; only the primary key and table options differ per engine.
+const isMysql = db.client === 'mysql';
+
+const PRIMARY_KEY = isMysql ? 'id INT AUTO_INCREMENT PRIMARY KEY' : 'id INTEGER PRIMARY KEY AUTOINCREMENT';
+const TABLE_OPTIONS = isMysql ? ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci' : '';
+
+const CREATED_AT = 'created_at DATETIME DEFAULT CURRENT_TIMESTAMP';
+const UPDATED_AT = 'updated_at DATETIME DEFAULT CURRENT_TIMESTAMP';
+
+// Create a table with an auto-incrementing id followed by the given column and
+// constraint definitions
+const createTable = (connection, name, definitions) => connection.execute(
+  `CREATE TABLE ${name} (\n  ${[PRIMARY_KEY, ...definitions].join(',\n  ')}\n)${TABLE_OPTIONS}`
+);
+
+const createIndex = (connection, table, columns, { unique = false } = {}) => connection.execute(
+  `CREATE ${unique ? 'UNIQUE ' : ''}INDEX idx_${table}_${columns.join('_')} ON ${table} (${columns.join(', ')})`
+);
+
+// MySQL names the table an index belongs to; SQLite index names are global
+const dropIndex = (connection, table, columns) => connection.execute(
+  `DROP INDEX idx_${table}_${columns.join('_')}${isMysql ? ` ON ${table}` : ''}`
+);
+
+const addColumn = (connection, table, definition) => connection.execute(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+
+const dropColumn = (connection, table, column) => connection.execute(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+
+// Drop tables in the order given, so list tables before the ones they reference
+const dropTables = async (connection, names) => {
+  for (const name of names) {
+    await connection.execute(`DROP TABLE IF EXISTS ${name}`);
+  }
+};
+
+module.exports = {
+  CREATED_AT,
+  UPDATED_AT,
+  addColumn,
+  createTable,
+  createIndex,
+  dropColumn,
+  dropIndex,
+  dropTables
+};
@@ -0,0 +1,248 @@
+// Usage: node database/seed.js (npm run seed)
+// Fills a migrated database with the categories, an admin account and sample
+// listings. Safe to run again: rows that already exist are left alone.
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const ProductImage = require('../models/ProductImage');
+const PriceHistory = require('../models/PriceHistory');
+const { geocodePincode } = require('../services/geocoding');
+
+const PASSWORD_SALT_ROUNDS = 12;
+const SAMPLE_USER_PASSWORD = 'Password@123';
+
+const CATEGORIES = [
+  { name: 'Electronics', icon: 'fa-laptop', description: 'Phones, laptops, cameras and gadgets' },
+  { name: 'Clothing', icon: 'fa-tshirt', description: 'Pre-loved apparel, footwear and accessories' },
+  { name: 'Books', icon: 'fa-book', description: 'Textbooks, novels and comics' },
+  { name: 'Home & Garden', icon: 'fa-seedling', description: 'Kitchenware, decor and gardening supplies' },
+  { name: 'Sports & Outdoors', icon: 'fa-futbol', description: 'Fitness gear, bicycles and camping equipment' },
+  { name: 'Toys & Games', icon: 'fa-puzzle-piece', description: 'Toys, board games and puzzles' },
+  { name: 'Furniture', icon: 'fa-couch', description: 'Tables, chairs, storage and beds' },
+  { name: 'Art & Crafts', icon: 'fa-palette', description: 'Paintings, handicrafts and craft supplies' }
+];
+
+const SAMPLE_SELLERS = [
+  { name: 'Priya Sharma', email: 'priya.sharma@example.in', phone: '9845012345', location: 'Koramangala, Bengaluru', pincode: '560034' },
+  { name: 'Rahul Verma', email: 'rahul.verma@example.in', phone: '9820098765', location: 'Bandra West, Mumbai', pincode: '400050' },
+  { name: 'Ananya Iyer', email: 'ananya.iyer@example.in', phone: '9840011223', location: 'Adyar, Chennai', pincode: '600020' },
+  { name: 'Arjun Mehta', email: 'arjun.mehta@example.in', phone: '9811044556', location: 'Malviya Nagar, New Delhi', pincode: '110017' },
+  { name: 'Sneha Kulkarni', email: 'sneha.kulkarni@example.in', phone: '9890077889', location: 'Shivajinagar, Pune', pincode: '411001' }
+];
+
+const SAMPLE_PRODUCTS = [
+  {
+    seller: 'priya.sharma@example.in',
+    category: 'Electronics',
+    title: 'Redmi Note 12 Pro, 8GB/128GB',
+    description: 'Used for a year, no scratches on the screen thanks to a tempered glass from day one. Comes with the original box, charger and a back cover.',
+    price: 13500,
+    condition: 'excellent',
+    brand: 'Xiaomi'
+  },
+  {
+    seller: 'priya.sharma@example.in',
+    category: 'Books',
+    title: 'NCERT Physics and Chemistry set, Class 11 and 12',
+    description: 'Complete set of four books with a few pencil notes in the margins. Ideal for JEE and NEET preparation.',
+    price: 650,
+    condition: 'good'
+  },
+  {
+    seller: 'rahul.verma@example.in',
+    category: 'Sports & Outdoors',
+    title: 'Hercules Roadeo geared cycle',
+    description: '21-speed hybrid cycle, serviced last month with new brake pads. Minor paint marks on the frame.',
+    price: 7800,
+    condition: 'good',
+    brand: 'Hercules'
+  },
+  {
+    seller: 'rahul.verma@example.in',
+    category: 'Clothing',
+    title: 'FabIndia cotton kurta, size L',
+    description: 'Indigo block-printed kurta worn twice for a wedding. Dry cleaned and ready to wear.',
+    price: 900,
+    condition: 'like-new',
+    brand: 'FabIndia'
+  },
+  {
+    seller: 'ananya.iyer@example.in',
+    category: 'Art & Crafts',
+    title: 'Tanjore painting of Ganesha, 12 x 15 inch',
+    description: 'Traditional Thanjavur painting with gold foil work and a teak frame. A few years old, kept away from sunlight.',
+    price: 6500,
+    condition: 'excellent'
+  },
+  {
+    seller: 'ananya.iyer@example.in',
+    category: 'Home & Garden',
+    title: 'Prestige pressure cooker, 5 litre',
+    description: 'Stainless steel cooker with a new gasket and safety valve. Moving out, so selling extra kitchenware.',
+    price: 1200,
+    condition: 'good',
+    brand: 'Prestige'
+  },
+  {
+    seller: 'arjun.mehta@example.in',
+    category: 'Furniture',
+    title: 'Sheesham wood study table with drawer',
+    description: 'Solid sheesham table, 4 x 2 ft, with one drawer and a bookshelf. Buyer arranges pickup from the ground floor.',
+    price: 5500,
+    condition: 'good'
+  },
+  {
+    seller: 'arjun.mehta@example.in',
+    category: 'Electronics',
+    title: 'Canon EOS 1500D with 18-55mm lens',
+    description: 'Shutter count around 8,000. Includes battery, charger, camera bag and a 32GB memory card.',
+    price: 24000,
+    condition: 'excellent',
+    brand: 'Canon'
+  },
+  {
+    seller: 'sneha.kulkarni@example.in',
+    category: 'Toys & Games',
+    title: 'Business board game, Hindi and English edition',
+    description: 'All notes, cards and tokens included. Box corners slightly worn.',
+    price: 350,
+    condition: 'good',
+    brand: 'Funskool'
+  },
+  {
+    seller: 'sneha.kulkarni@example.in',
+    category: 'Sports & Outdoors',
+    title: 'Yonex badminton racquet pair with shuttle box',
+    description: 'Two Yonex racquets with covers and a half-used box of nylon shuttles.',
+    price: 1800,
+    condition: 'like-new',
+    brand: 'Yonex'
+  }
+];
+
+// Insert the categories that do not exist yet; returns their IDs by name
+const seedCategories = async (connection) => {
+  const ids = new Map();
+
+  for (const category of CATEGORIES) {
+    const [rows] = await connection.execute('SELECT id FROM categories WHERE name = ?', [category.name]);
+
+    if (rows.length > 0) {
+      ids.set(category.name, rows[0].id);
+    } else {
+      const [result] = await connection.execute(
+        'INSERT INTO categories (name, description, icon) VALUES (?, ?, ?)',
+        [category.name, category.description, category.icon]
+      );
+      ids.set(category.name, result.insertId);
+    }
+  }
+
+  return ids;
+};
+
+// Create a user unless the email is taken; returns the user ID and whether it is new
+const seedUser = async (connection, user, password) => {
+  const [rows] = await connection.execute('SELECT id FROM users WHERE email = ?', [user.email]);
+  if (rows.length > 0) {
+    return { id: rows[0].id, created: false };
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO users (name, email, phone, password, location, pincode, is_verified, is_admin)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      user.name,
+      user.email,
+      user.phone || null,
+      await bcrypt.hash(password, PASSWORD_SALT_ROUNDS),
+      user.location || null,
+      user.pincode || null,
+      true,
+      Boolean(user.is_admin)
+    ]
+  );
+  return { id: result.insertId, created: true };
+};
+
+// Approved listings for sample sellers created in this run, located at the
+// seller's pincode and shown with the placeholder image
+const seedProducts = async (connection, sellers, categoryIds) => {
+  let count = 0;
+
+  for (const product of SAMPLE_PRODUCTS) {
+    const seller = sellers.get(product.seller);
+    if (!seller.created) {
+      continue;
+    }
+
+    const point = geocodePincode(seller.pincode);
+    const [result] = await connection.execute(
+      `INSERT INTO products (seller_id, category_id, title, description, price, \`condition\`, brand,
+                             location, pincode, latitude, longitude, status, approved_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'approved', CURRENT_TIMESTAMP)`,
+      [
+        seller.id,
+        categoryIds.get(product.category),
+        product.title,
+        product.description,
+        product.price,
+        product.condition,
+        product.brand || null,
+        seller.location,
+        seller.pincode,
+        point ? point.latitude : null,
+        point ? point.longitude : null
+      ]
+    );
+
+    await ProductImage.addPlaceholder(result.insertId, connection);
+    await PriceHistory.record(result.insertId, { price: product.price, changedBy: seller.id }, connection);
+    await connection.execute('UPDATE users SET listings_count = listings_count + 1 WHERE id = ?', [seller.id]);
+    count++;
+  }
+
+  return count;
+};
+
+const seed = () => db.transaction(async (connection) => {
+  const categoryIds = await seedCategories(connection);
+
+  const admin = await seedUser(connection, {
+    name: 'EcoFinds Admin',
+    email: process.env.SEED_ADMIN_EMAIL || 'admin@ecofinds.in',
+    is_admin: true
+  }, process.env.SEED_ADMIN_PASSWORD || 'Admin@123');
+
+  const sellers = new Map();
+  for (const seller of SAMPLE_SELLERS) {
+    sellers.set(seller.email, { ...seller, ...(await seedUser(connection, seller, SAMPLE_USER_PASSWORD)) });
+  }
+
+  const products = await seedProducts(connection, sellers, categoryIds);
+
+  return {
+    categories: categoryIds.size,
+    adminCreated: admin.created,
+    sellersCreated: [...sellers.values()].filter(seller => seller.created).length,
+    products
+  };
+});
+
+if (require.main === module) {
+  seed()
+    .then(result => {
+      console.log(`Seeded ${result.categories} categories, ${result.sellersCreated} sample sellers and ${result.products} listings`);
+      if (result.adminCreated) {
+        console.log('Created the admin account; change its password after the first sign in');
+      }
+    })
+    .catch(error => {
+      console.error('Seeding failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  seed
+};
@@ -0,0 +1,114 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// Sign a short-lived access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Resolve an access token to its user, session and expiry time. Returns null when
+// the session has been revoked or the user no longer exists or is inactive.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.user_id !== decoded.userId) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.is_active) {
+    return null;
+  }
+
+  return { user, session, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+const authenticateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required'
+    });
+  }
+
+  try {
+    const auth = await verifyAccessToken(token);
+
+    if (!auth) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    req.user = auth.user;
+    req.sessionId = auth.session.id;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+    next(error);
+  }
+};
+
+// Attach the user if a valid token is present, but never reject the request
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const auth = await verifyAccessToken(token);
+    if (auth) {
+      req.user = auth.user;
+      req.sessionId = auth.session.id;
+    }
+  } catch (error) {
+    // Ignore invalid tokens for optional authentication
+  }
+
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  generateToken,
+  verifyAccessToken,
+  authenticateToken,
+  optionalAuth,
+  requireAdmin
+};
@@ -0,0 +1,195 @@
+const db = require('../config/database');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url JSON holding either the sort key values
+// of the last row returned ({ after: [...] }) or, for lists that can only be read
+// by offset, the offset of the next page ({ offset }).
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const valid = payload && (Array.isArray(payload.after) || Number.isInteger(payload.offset));
+    return valid ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse ?page, ?limit and ?cursor into req.pagination = { page, limit, offset, cursor }.
+// A cursor takes precedence over page.
+const paginate = ({ defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => (req, res, next) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  let cursor = null;
+
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pagination cursor'
+      });
+    }
+  }
+
+  const offset = cursor && cursor.offset !== undefined ? cursor.offset : (page - 1) * limit;
+  req.pagination = { page, limit, offset, cursor };
+  next();
+};
+
+const paginationInfo = ({ page, limit }, { total, hasMore, nextCursor }) => ({
+  page,
+  limit,
+  total,
+  hasMore,
+  next_cursor: hasMore ? nextCursor : null
+});
+
+// Keyset condition for rows after the cursor. keys are the ORDER BY columns, most
+// significant first, ending with a unique column so the order is total.
+const keysetCondition = (cursor, keys) => {
+  if (!cursor || !Array.isArray(cursor.after) || cursor.after.length !== keys.length) {
+    return { clause: '', params: [] };
+  }
+
+  const values = cursor.after.map((value, i) => (keys[i].type === 'date' && value !== null ? new Date(value) : value));
+  const alternatives = [];
+  const params = [];
+
+  keys.forEach((key, i) => {
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      parts.push(`${keys[j].column} = ?`);
+      params.push(values[j]);
+    }
+    parts.push(`${key.column} ${key.direction === 'ASC' ? '>' : '<'} ?`);
+    params.push(values[i]);
+    alternatives.push(parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]);
+  });
+
+  return { clause: ` AND (${alternatives.join(' OR ')})`, params };
+};
+
+// Run a list query with a true total and a keyset cursor for the next page.
+// select is the column list, from the FROM/JOIN part and where a WHERE clause
+// (use 'WHERE 1=1' when there is nothing to filter); each key is
+// { column, field, direction, type } where field is the row property holding the
+// column's value. Without a cursor the page number is used as an offset.
+const paginateQuery = async (pagination, { select, from, where, params = [], keys }) => {
+  const { limit, offset, cursor } = pagination;
+  const keyset = keysetCondition(cursor, keys);
+  const orderBy = keys.map(key => `${key.column} ${key.direction || 'DESC'}`).join(', ');
+
+  let sql = `SELECT ${select} ${from} ${where}${keyset.clause} ORDER BY ${orderBy} LIMIT ?`;
+  const queryParams = [...params, ...keyset.params, limit + 1];
+  if (!keyset.clause) {
+    sql += ' OFFSET ?';
+    queryParams.push(offset);
+  }
+
+  const [[rows], [countRows]] = await Promise.all([
+    db.execute(sql, queryParams),
+    db.execute(`SELECT COUNT(*) as total ${from} ${where}`, params)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: paginationInfo(pagination, {
+      total: Number(countRows[0].total),
+      hasMore,
+      nextCursor: last ? encodeCursor({ after: keys.map(key => last[key.field]) }) : null
+    })
+  };
+};
+
+// Comparator ordering rows by keys the way ORDER BY would, for lists sorted in
+// memory. Key values must be numbers or (for type 'date') dates.
+const compareByKeys = (keys) => (a, b) => {
+  for (const key of keys) {
+    const valueOf = (row) => (key.type === 'date' ? new Date(row[key.field]).getTime() : Number(row[key.field]));
+    const difference = valueOf(a) - valueOf(b);
+    if (difference !== 0) {
+      return key.direction === 'ASC' ? difference : -difference;
+    }
+  }
+  return 0;
+};
+
+// paginateQuery for rows already loaded and filtered in memory: sorts them by
+// keys and returns the page after the cursor, or at the page offset without one.
+const paginateRows = (pagination, rows, keys) => {
+  const { limit, offset, cursor } = pagination;
+  const compare = compareByKeys(keys);
+  const sorted = [...rows].sort(compare);
+
+  let start = offset;
+  if (cursor && Array.isArray(cursor.after) && cursor.after.length === keys.length) {
+    const after = {};
+    keys.forEach((key, i) => {
+      after[key.field] = cursor.after[i];
+    });
+    start = sorted.findIndex(row => compare(row, after) > 0);
+    start = start === -1 ? sorted.length : start;
+  }
+
+  const items = sorted.slice(start, start + limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: paginationInfo(pagination, {
+      total: sorted.length,
+      hasMore: start + limit < sorted.length,
+      nextCursor: last ? encodeCursor({ after: keys.map(key => last[key.field]) }) : null
+    })
+  };
+};
+
+// Pagination info for one offset-based page of itemCount items out of total
+const offsetPagination = (pagination, { total, itemCount }) => {
+  const next = pagination.offset + itemCount;
+
+  return paginationInfo(pagination, {
+    total,
+    hasMore: next < total,
+    nextCursor: encodeCursor({ offset: next })
+  });
+};
+
+// Paginate a list that can only be read by offset (e.g. through a model method).
+// count returns the true total and fetch(limit, offset) one page of items.
+const paginateList = async (pagination, { count, fetch }) => {
+  const { limit, offset } = pagination;
+  const [total, items] = await Promise.all([count(), fetch(limit, offset)]);
+
+  return {
+    items,
+    pagination: offsetPagination(pagination, { total, itemCount: items.length })
+  };
+};
+
+// Total number of rows for a COUNT(*) query
+const countRows = async (sql, params = []) => {
+  const [rows] = await db.execute(sql, params);
+  return Number(rows[0].total);
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  keysetCondition,
+  paginateQuery,
+  compareByKeys,
+  paginateRows,
+  offsetPagination,
+  paginateList,
+  countRows
+};
@@ -0,0 +1,73 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+const UPLOADS_ROOT = path.join(__dirname, '../uploads');
+// Private files, never served statically
+const STORAGE_ROOT = path.join(__dirname, '../storage');
+
+const IMAGE_TYPES = /jpeg|jpg|png|gif|webp/;
+const IMAGE_TYPES_MESSAGE = 'Only image files (JPEG, PNG, GIF, WebP) are allowed';
+
+// Multer disk upload into <root>/<directory>, uploads/ unless a root is given.
+// Files are renamed to <prefix>-<timestamp>-<random><ext> and checked against
+// allowedTypes by both extension and mime type.
+const createUpload = ({
+  root = UPLOADS_ROOT,
+  directory,
+  prefix,
+  maxFiles,
+  maxFileSize = 5 * 1024 * 1024, // 5MB limit
+  allowedTypes = IMAGE_TYPES,
+  typeErrorMessage = IMAGE_TYPES_MESSAGE
+}) => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      const uploadPath = path.join(root, directory);
+      if (!fs.existsSync(uploadPath)) {
+        fs.mkdirSync(uploadPath, { recursive: true });
+      }
+      cb(null, uploadPath);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, (prefix || file.fieldname) + '-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+    }
+  });
+
+  return multer({
+    storage: storage,
+    limits: {
+      fileSize: maxFileSize,
+      files: maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+      const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+      const mimetype = allowedTypes.test(file.mimetype);
+
+      if (mimetype && extname) {
+        return cb(null, true);
+      } else {
+        cb(new Error(typeErrorMessage));
+      }
+    }
+  });
+};
+
+// Delete files multer stored for a request that failed
+const removeUploadedFiles = (files) => {
+  const list = Array.isArray(files) ? files : (files ? [files] : []);
+
+  list.forEach(file => {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+module.exports = {
+  UPLOADS_ROOT,
+  STORAGE_ROOT,
+  createUpload,
+  removeUploadedFiles
+};
@@ -0,0 +1,59 @@
+const db = require('../config/database');
+
+// A one-to-one conversation between a buyer and the seller of a product
+class ChatRoom {
+  constructor(data) {
+    this.id = data.id;
+    this.buyer_id = data.buyer_id;
+    this.seller_id = data.seller_id;
+    this.product_id = data.product_id;
+    this.last_message_at = data.last_message_at;
+    this.created_at = data.created_at;
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM chat_rooms WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new ChatRoom(rows[0]) : null;
+  }
+
+  // The room, only if the user is its buyer or seller
+  static async findForParticipant(id, userId) {
+    const room = await ChatRoom.findById(id);
+    return room && room.isParticipant(userId) ? room : null;
+  }
+
+  // IDs of everyone the user has a chat room with
+  static async findCounterpartIds(userId) {
+    const [rows] = await db.execute(
+      `SELECT DISTINCT CASE WHEN buyer_id = ? THEN seller_id ELSE buyer_id END as user_id
+       FROM chat_rooms
+       WHERE buyer_id = ? OR seller_id = ?`,
+      [userId, userId, userId]
+    );
+    return rows.map(row => row.user_id);
+  }
+
+  isParticipant(userId) {
+    return userId === this.buyer_id || userId === this.seller_id;
+  }
+
+  getOtherParticipantId(userId) {
+    return userId === this.buyer_id ? this.seller_id : this.buyer_id;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      buyer_id: this.buyer_id,
+      seller_id: this.seller_id,
+      product_id: this.product_id,
+      last_message_at: this.last_message_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ChatRoom;
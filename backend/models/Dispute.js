@@ -0,0 +1,306 @@
+const db = require('../config/database');
+const { recordPurchaseRefund, issueRefund } = require('../services/payments');
+
+const SELLER_RESPONSE_HOURS = parseInt(process.env.DISPUTE_SELLER_RESPONSE_HOURS) || 72;
+
+// Dispute lifecycle: open -> seller_responded -> resolved. An admin can settle a
+// dispute at any point; the seller may only respond before respond_by.
+class Dispute {
+  constructor(data) {
+    this.id = data.id;
+    this.purchase_id = data.purchase_id;
+    this.buyer_id = data.buyer_id;
+    this.seller_id = data.seller_id;
+    this.reason = data.reason;
+    this.description = data.description;
+    this.status = data.status;
+    this.purchase_status_before = data.purchase_status_before;
+    this.respond_by = data.respond_by;
+    this.seller_response = data.seller_response;
+    this.seller_responded_at = data.seller_responded_at;
+    this.decision = data.decision;
+    this.refund_amount = data.refund_amount;
+    this.admin_notes = data.admin_notes;
+    this.resolved_by = data.resolved_by;
+    this.resolved_at = data.resolved_at;
+    this.created_at = data.created_at;
+  }
+
+  // Open a dispute and move the purchase to disputed in one transaction
+  static async open(purchase, { reason, description, evidence = [] }) {
+    const disputeId = await db.transaction(async (connection) => {
+      const respondBy = new Date(Date.now() + SELLER_RESPONSE_HOURS * 60 * 60 * 1000);
+      const purchaseStatusBefore = purchase.status;
+
+      const transitioned = await purchase.transitionTo('disputed', {
+        role: 'buyer',
+        actorId: purchase.buyer_id,
+        note: reason,
+        notify: false,
+        connection
+      });
+
+      if (!transitioned) {
+        await connection.rollback();
+        return null;
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO disputes (purchase_id, buyer_id, seller_id, reason, description, status, purchase_status_before, respond_by)
+         VALUES (?, ?, ?, ?, ?, 'open', ?, ?)`,
+        [purchase.id, purchase.buyer_id, purchase.seller_id, reason, description || null, purchaseStatusBefore, respondBy]
+      );
+      const disputeId = result.insertId;
+
+      for (const imageUrl of evidence) {
+        await connection.execute(
+          'INSERT INTO dispute_evidence (dispute_id, user_id, image_url) VALUES (?, ?, ?)',
+          [disputeId, purchase.buyer_id, imageUrl]
+        );
+      }
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'dispute', 'Dispute Opened', ?, ?)`,
+        [
+          purchase.seller_id,
+          `A buyer has opened a dispute: ${reason}. Please respond within ${SELLER_RESPONSE_HOURS} hours`,
+          JSON.stringify({ dispute_id: disputeId, purchase_id: purchase.id, respond_by: respondBy })
+        ]
+      );
+
+      return disputeId;
+    });
+
+    return disputeId ? Dispute.findById(disputeId) : null;
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM disputes WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Dispute(rows[0]) : null;
+  }
+
+  static async findOpenByPurchase(purchaseId) {
+    const [rows] = await db.execute(
+      "SELECT * FROM disputes WHERE purchase_id = ? AND status != 'resolved'",
+      [purchaseId]
+    );
+    return rows.length > 0 ? new Dispute(rows[0]) : null;
+  }
+
+  // Disputes the user is a party to
+  static async findByUser(userId, { status, limit = 20, offset = 0 } = {}) {
+    let query = `
+      SELECT d.*, p.title as product_title, buyer.name as buyer_name, seller.name as seller_name
+      FROM disputes d
+      JOIN purchases pur ON d.purchase_id = pur.id
+      JOIN products p ON pur.product_id = p.id
+      JOIN users buyer ON d.buyer_id = buyer.id
+      JOIN users seller ON d.seller_id = seller.id
+      WHERE (d.buyer_id = ? OR d.seller_id = ?)
+    `;
+    const params = [userId, userId];
+
+    if (status) {
+      query += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY d.created_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+  }
+
+  static async countByUser(userId, { status } = {}) {
+    let query = 'SELECT COUNT(*) as count FROM disputes WHERE (buyer_id = ? OR seller_id = ?)';
+    const params = [userId, userId];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    const [rows] = await db.execute(query, params);
+    return Number(rows[0].count);
+  }
+
+  // All disputes for the admin queue
+  static async findAll({ status, limit = 20, offset = 0 } = {}) {
+    let query = `
+      SELECT d.*, p.title as product_title, pur.price, pur.quantity,
+             buyer.name as buyer_name, buyer.email as buyer_email,
+             seller.name as seller_name, seller.email as seller_email
+      FROM disputes d
+      JOIN purchases pur ON d.purchase_id = pur.id
+      JOIN products p ON pur.product_id = p.id
+      JOIN users buyer ON d.buyer_id = buyer.id
+      JOIN users seller ON d.seller_id = seller.id
+      WHERE 1=1
+    `;
+    const params = [];
+
+    if (status) {
+      query += ' AND d.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY d.created_at ASC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await db.execute(query, params);
+    return rows;
+  }
+
+  static async countAll({ status } = {}) {
+    let query = 'SELECT COUNT(*) as count FROM disputes';
+    const params = [];
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    const [rows] = await db.execute(query, params);
+    return Number(rows[0].count);
+  }
+
+  isParty(userId) {
+    return userId === this.buyer_id || userId === this.seller_id;
+  }
+
+  canSellerRespond() {
+    return this.status === 'open' && new Date(this.respond_by).getTime() > Date.now();
+  }
+
+  async getEvidence() {
+    const [rows] = await db.execute(
+      `SELECT e.id, e.user_id, e.image_url, e.created_at, u.name as user_name
+       FROM dispute_evidence e
+       JOIN users u ON e.user_id = u.id
+       WHERE e.dispute_id = ?
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [this.id]
+    );
+    return rows;
+  }
+
+  // Record the seller's response. Returns null if the dispute was resolved or the
+  // response window closed in the meantime.
+  async respond(response, evidence = []) {
+    const responded = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `UPDATE disputes SET status = 'seller_responded', seller_response = ?, seller_responded_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'open' AND respond_by > ?`,
+        [response, this.id, new Date()]
+      );
+
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      for (const imageUrl of evidence) {
+        await connection.execute(
+          'INSERT INTO dispute_evidence (dispute_id, user_id, image_url) VALUES (?, ?, ?)',
+          [this.id, this.seller_id, imageUrl]
+        );
+      }
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'dispute', 'Seller Responded', 'The seller has responded to your dispute', ?)`,
+        [this.buyer_id, JSON.stringify({ dispute_id: this.id, purchase_id: this.purchase_id })]
+      );
+
+      return true;
+    });
+
+    return responded ? Dispute.findById(this.id) : null;
+  }
+
+  // Settle the dispute. A full refund refunds the purchase, a partial refund
+  // completes it and a rejection puts it back in the status it had before the
+  // dispute. The dispute is claimed with a conditional update so only one admin
+  // settles it. Any refund is recorded with the resolution and requested from the
+  // payment gateway after the commit; a failed request leaves the refund marked
+  // failed. Returns null if the dispute was resolved or its purchase changed in
+  // the meantime.
+  async resolve({ decision, refundAmount, adminNotes, adminId }, purchase) {
+    const amount = decision === 'refund'
+      ? Number(purchase.price) * purchase.quantity
+      : (decision === 'partial_refund' ? Number(refundAmount) : null);
+    const purchaseStatus = {
+      refund: 'refunded',
+      partial_refund: 'completed',
+      reject: this.purchase_status_before
+    }[decision];
+
+    let refund = null;
+    const resolved = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `UPDATE disputes SET status = 'resolved', decision = ?, refund_amount = ?, admin_notes = ?,
+                resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status != 'resolved'`,
+        [decision, amount, adminNotes || null, adminId, this.id]
+      );
+
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      const transitioned = await purchase.transitionTo(purchaseStatus, {
+        role: 'admin',
+        actorId: adminId,
+        note: `Dispute #${this.id} resolved: ${decision}`,
+        notify: false,
+        connection
+      });
+
+      if (!transitioned) {
+        await connection.rollback();
+        return false;
+      }
+
+      const messages = {
+        refund: `Dispute resolved: the buyer has been refunded ₹${amount}`,
+        partial_refund: `Dispute resolved: the buyer has been partially refunded ₹${amount}`,
+        reject: 'Dispute resolved: the claim was rejected and the sale stands'
+      };
+
+      for (const userId of [this.buyer_id, this.seller_id]) {
+        await connection.execute(
+          `INSERT INTO notifications (user_id, type, title, message, data)
+           VALUES (?, 'dispute', 'Dispute Resolved', ?, ?)`,
+          [userId, messages[decision], JSON.stringify({ dispute_id: this.id, purchase_id: this.purchase_id, decision })]
+        );
+      }
+
+      if (amount) {
+        refund = await recordPurchaseRefund(purchase, amount, `Dispute #${this.id}: ${decision}`, connection);
+      }
+
+      return true;
+    });
+
+    if (!resolved) {
+      return null;
+    }
+
+    // The money only moves once the resolution is committed
+    if (refund) {
+      await issueRefund(refund);
+    }
+
+    return Dispute.findById(this.id);
+  }
+}
+
+Dispute.SELLER_RESPONSE_HOURS = SELLER_RESPONSE_HOURS;
+Dispute.DECISIONS = ['refund', 'partial_refund', 'reject'];
+
+module.exports = Dispute;
@@ -0,0 +1,106 @@
+const db = require('../config/database');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A background admin export (see services/adminExports). filters are the query
+// filters the export was requested with.
+class ExportJob {
+  constructor(data) {
+    this.id = data.id;
+    this.admin_id = data.admin_id;
+    this.dataset = data.dataset;
+    this.format = data.format;
+    this.filters = typeof data.filters === 'string' ? JSON.parse(data.filters) : (data.filters || {});
+    this.status = data.status;
+    this.row_count = data.row_count;
+    this.file_path = data.file_path;
+    this.error = data.error;
+    this.created_at = data.created_at;
+    this.completed_at = data.completed_at;
+    this.expires_at = data.expires_at;
+  }
+
+  static async create({ adminId, dataset, format, filters }) {
+    const [result] = await db.execute(
+      "INSERT INTO export_jobs (admin_id, dataset, format, filters, status) VALUES (?, ?, ?, ?, 'queued')",
+      [adminId, dataset, format, JSON.stringify(filters)]
+    );
+    return ExportJob.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM export_jobs WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new ExportJob(rows[0]) : null;
+  }
+
+  // Completed exports whose download has expired and still have a file
+  static async findExpired() {
+    const [rows] = await db.execute(
+      "SELECT * FROM export_jobs WHERE status = 'completed' AND file_path IS NOT NULL AND expires_at <= ?",
+      [new Date()]
+    );
+    return rows.map(row => new ExportJob(row));
+  }
+
+  // Jobs cut off by a server restart never finish; mark them failed
+  static async failInterrupted() {
+    const [result] = await db.execute(
+      "UPDATE export_jobs SET status = 'failed', error = 'Interrupted by a server restart' WHERE status IN ('queued', 'running')"
+    );
+    return result.affectedRows;
+  }
+
+  async markRunning() {
+    await db.execute("UPDATE export_jobs SET status = 'running' WHERE id = ?", [this.id]);
+    this.status = 'running';
+  }
+
+  async markCompleted({ rowCount, filePath, expiresAt }) {
+    await db.execute(
+      "UPDATE export_jobs SET status = 'completed', row_count = ?, file_path = ?, completed_at = CURRENT_TIMESTAMP, expires_at = ? WHERE id = ?",
+      [rowCount, filePath, expiresAt, this.id]
+    );
+    Object.assign(this, { status: 'completed', row_count: rowCount, file_path: filePath, expires_at: expiresAt });
+  }
+
+  async markFailed(message) {
+    await db.execute(
+      "UPDATE export_jobs SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [message, this.id]
+    );
+    Object.assign(this, { status: 'failed', error: message });
+  }
+
+  // The file was removed after expiring
+  async clearFile() {
+    await db.execute('UPDATE export_jobs SET file_path = NULL WHERE id = ?', [this.id]);
+    this.file_path = null;
+  }
+
+  isDownloadable() {
+    return this.status === 'completed' && Boolean(this.file_path) && new Date(this.expires_at).getTime() > Date.now();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      dataset: this.dataset,
+      format: this.format,
+      filters: this.filters,
+      status: this.status,
+      row_count: this.row_count,
+      error: this.error,
+      download_url: this.isDownloadable() ? `/api/admin/exports/${this.id}/download` : null,
+      created_at: this.created_at,
+      completed_at: this.completed_at,
+      expires_at: this.expires_at
+    };
+  }
+}
+
+ExportJob.STATUSES = STATUSES;
+
+module.exports = ExportJob;
@@ -0,0 +1,152 @@
+const db = require('../config/database');
+
+// Clients send 'text' messages directly. 'image' and 'file' messages are written by
+// the attachment upload and 'offer' messages by the offer endpoints.
+const MESSAGE_TYPES = ['text', 'image', 'file', 'offer'];
+const MAX_MESSAGE_LENGTH = 2000;
+
+class Message {
+  // Returns an error message for an invalid message payload, or null
+  static validate({ message, message_type = 'text' }) {
+    if (typeof message !== 'string' || message.trim().length === 0) {
+      return 'Message cannot be empty';
+    }
+
+    if (message.trim().length > MAX_MESSAGE_LENGTH) {
+      return `Message cannot exceed ${MAX_MESSAGE_LENGTH} characters`;
+    }
+
+    if (message_type !== 'text') {
+      return 'Only text messages can be sent here. Upload images and files as attachments';
+    }
+
+    return null;
+  }
+
+  static async create({ room_id, sender_id, message, message_type = 'text', attachment, offer_id }) {
+    const file = attachment || {};
+    const [result] = await db.execute(
+      `INSERT INTO messages (room_id, sender_id, message, message_type, attachment_url, attachment_name,
+                             attachment_mime_type, attachment_size, attachment_width, attachment_height, offer_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        room_id, sender_id, message.trim(), message_type,
+        file.url || null, file.name || null, file.mime_type || null, file.size || null,
+        file.width || null, file.height || null, offer_id || null
+      ]
+    );
+
+    // Update room's last message time
+    await db.execute(
+      'UPDATE chat_rooms SET last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [room_id]
+    );
+
+    return Message.findById(result.insertId);
+  }
+
+  // Message with sender details
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT m.*, u.name as sender_name, u.avatar as sender_avatar
+       FROM messages m
+       JOIN users u ON m.sender_id = u.id
+       WHERE m.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  static async findByAttachmentUrl(url) {
+    const [rows] = await db.execute(
+      'SELECT * FROM messages WHERE attachment_url = ?',
+      [url]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  static async markDelivered(id, deliveredAt = new Date()) {
+    await db.execute(
+      'UPDATE messages SET delivered_at = ? WHERE id = ? AND delivered_at IS NULL',
+      [deliveredAt, id]
+    );
+    return deliveredAt;
+  }
+
+  // Mark every message waiting for the user as delivered. Returns the messages
+  // that changed so their senders can be told. One update covers all of the
+  // user's rooms however many messages are waiting; the messages are read back by
+  // the delivery time it set, which may include some delivered in the same second.
+  static async markDeliveredTo(userId) {
+    // Whole seconds, as DATETIME stores them, so the value compares equal
+    const deliveredAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    const inUserRooms = `room_id IN (SELECT id FROM chat_rooms WHERE buyer_id = ? OR seller_id = ?)
+       AND sender_id != ?`;
+
+    const [result] = await db.execute(
+      `UPDATE messages SET delivered_at = ?
+       WHERE ${inUserRooms} AND delivered_at IS NULL`,
+      [deliveredAt, userId, userId, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return { deliveredAt: null, messages: [] };
+    }
+
+    const [rows] = await db.execute(
+      `SELECT id, room_id, sender_id FROM messages
+       WHERE ${inUserRooms} AND delivered_at = ?`,
+      [userId, userId, userId, deliveredAt]
+    );
+
+    return { deliveredAt, messages: rows };
+  }
+
+  // Mark the other party's messages in a room as read. Returns the IDs that changed.
+  static async markRoomRead(roomId, readerId) {
+    const [rows] = await db.execute(
+      'SELECT id FROM messages WHERE room_id = ? AND sender_id != ? AND read_at IS NULL',
+      [roomId, readerId]
+    );
+
+    if (rows.length === 0) {
+      return { readAt: null, messageIds: [] };
+    }
+
+    const readAt = new Date();
+    const messageIds = rows.map(row => row.id);
+    await db.execute(
+      `UPDATE messages SET is_read = TRUE, read_at = ?, delivered_at = COALESCE(delivered_at, ?)
+       WHERE id IN (${messageIds.map(() => '?').join(', ')})`,
+      [readAt, readAt, ...messageIds]
+    );
+
+    return { readAt, messageIds };
+  }
+
+  // Unread messages for the user, in one room or across all of their rooms
+  static async countUnread(userId, roomId) {
+    let query = `
+      SELECT COUNT(*) as unread_count
+      FROM messages m
+      JOIN chat_rooms cr ON m.room_id = cr.id
+      WHERE (cr.buyer_id = ? OR cr.seller_id = ?)
+      AND m.sender_id != ?
+      AND m.is_read = FALSE
+    `;
+    const params = [userId, userId, userId];
+
+    if (roomId) {
+      query += ' AND m.room_id = ?';
+      params.push(roomId);
+    }
+
+    const [rows] = await db.execute(query, params);
+    return Number(rows[0].unread_count);
+  }
+}
+
+Message.MESSAGE_TYPES = MESSAGE_TYPES;
+Message.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = Message;
@@ -0,0 +1,179 @@
+const db = require('../config/database');
+const Order = require('./Order');
+
+const OFFER_EXPIRY_HOURS = parseInt(process.env.OFFER_EXPIRY_HOURS) || 24;
+
+// A price proposal inside a chat room. The buyer opens with an offer and the two
+// parties take turns: the other side accepts, rejects or counters with a new offer
+// (linked through parent_offer_id). Only one offer per room is pending at a time
+// and a pending offer lapses after OFFER_EXPIRY_HOURS.
+class Offer {
+  constructor(data) {
+    this.id = data.id;
+    this.room_id = data.room_id;
+    this.product_id = data.product_id;
+    this.buyer_id = data.buyer_id;
+    this.seller_id = data.seller_id;
+    this.proposed_by = data.proposed_by;
+    this.amount = data.amount;
+    this.status = data.status;
+    this.parent_offer_id = data.parent_offer_id;
+    this.purchase_id = data.purchase_id;
+    this.expires_at = data.expires_at;
+    this.responded_at = data.responded_at;
+    this.created_at = data.created_at;
+  }
+
+  static async create(room, { proposedBy, amount, parentOfferId = null }) {
+    const expiresAt = new Date(Date.now() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000);
+
+    const [result] = await db.execute(
+      `INSERT INTO offers (room_id, product_id, buyer_id, seller_id, proposed_by, amount, status, parent_offer_id, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+      [room.id, room.product_id, room.buyer_id, room.seller_id, proposedBy, amount, parentOfferId, expiresAt]
+    );
+    return Offer.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM offers WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Offer(rows[0]) : null;
+  }
+
+  // Mark pending offers in the room that have run out of time as expired
+  static async expireStale(roomId) {
+    await db.execute(
+      "UPDATE offers SET status = 'expired' WHERE room_id = ? AND status = 'pending' AND expires_at <= ?",
+      [roomId, new Date()]
+    );
+  }
+
+  static async findPendingByRoom(roomId) {
+    await Offer.expireStale(roomId);
+
+    const [rows] = await db.execute(
+      "SELECT * FROM offers WHERE room_id = ? AND status = 'pending' ORDER BY created_at DESC LIMIT 1",
+      [roomId]
+    );
+    return rows.length > 0 ? new Offer(rows[0]) : null;
+  }
+
+  static async findByRoom(roomId) {
+    await Offer.expireStale(roomId);
+
+    const [rows] = await db.execute(
+      'SELECT * FROM offers WHERE room_id = ? ORDER BY created_at ASC, id ASC',
+      [roomId]
+    );
+    return rows.map(row => new Offer(row));
+  }
+
+  isExpired() {
+    return this.status === 'expired' ||
+      (this.status === 'pending' && new Date(this.expires_at).getTime() <= Date.now());
+  }
+
+  // Only the party the offer was made to can answer it, and only while it is pending
+  canRespond(userId) {
+    return this.status === 'pending' &&
+      !this.isExpired() &&
+      userId !== this.proposed_by &&
+      (userId === this.buyer_id || userId === this.seller_id);
+  }
+
+  // Move a pending offer to its final status. Returns false if it was answered
+  // (or expired) concurrently.
+  async close(status, connection = db) {
+    const respondedAt = new Date();
+    const [result] = await connection.execute(
+      "UPDATE offers SET status = ?, responded_at = ? WHERE id = ? AND status = 'pending'",
+      [status, respondedAt, this.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    this.status = status;
+    this.responded_at = respondedAt;
+    return true;
+  }
+
+  async reject() {
+    return this.close('rejected');
+  }
+
+  // Close this offer and propose a new amount in reply
+  async counter(room, userId, amount) {
+    const closed = await this.close('countered');
+    if (!closed) {
+      return null;
+    }
+
+    return Offer.create(room, { proposedBy: userId, amount, parentOfferId: this.id });
+  }
+
+  // Accept the offer and buy the product at the agreed amount, closing the offer,
+  // placing the order and linking its purchase in one transaction. Returns the new
+  // order, or null if the offer was answered concurrently; when the product has
+  // been sold or reserved in the meantime the offer is cancelled instead.
+  async accept(product) {
+    const { order, unavailable } = await db.transaction(async (connection) => {
+      if (!(await this.close('accepted', connection))) {
+        await connection.rollback();
+        return { order: null, unavailable: false };
+      }
+
+      // Rolls back the offer being closed too when the product is taken
+      const { order } = await Order.createForProduct(this.buyer_id, product, {
+        quantity: 1,
+        price: this.amount
+      }, connection);
+
+      if (!order) {
+        return { order: null, unavailable: true };
+      }
+
+      const [purchase] = await order.getPurchases(connection);
+      await connection.execute(
+        'UPDATE offers SET purchase_id = ? WHERE id = ?',
+        [purchase.id, this.id]
+      );
+      this.purchase_id = purchase.id;
+
+      return { order, unavailable: false };
+    });
+
+    if (unavailable) {
+      await this.close('cancelled');
+    }
+
+    return { order, unavailable };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      room_id: this.room_id,
+      product_id: this.product_id,
+      buyer_id: this.buyer_id,
+      seller_id: this.seller_id,
+      proposed_by: this.proposed_by,
+      amount: this.amount,
+      status: this.isExpired() ? 'expired' : this.status,
+      parent_offer_id: this.parent_offer_id,
+      purchase_id: this.purchase_id,
+      expires_at: this.expires_at,
+      responded_at: this.responded_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+Offer.OFFER_EXPIRY_HOURS = OFFER_EXPIRY_HOURS;
+Offer.RESPONSES = ['accept', 'reject', 'counter'];
+
+module.exports = Offer;
@@ -0,0 +1,481 @@
+const db = require('../config/database');
+const Purchase = require('./Purchase');
+const { notifyReserved } = require('../services/favoriteAlerts');
+
+const SERVICE_FEE = 50; // Fixed service fee per order
+
+// How long an unpaid order holds its products before they go back on sale
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 30;
+
+// Run work in the caller's transaction when there is one, otherwise in its own
+const inTransaction = (connection, work) => (connection ? work(connection) : db.transaction(work));
+
+// Reserve the items and write the order, one sub-order per seller and a purchase per
+// item using the caller's transaction. Items that are no longer for sale (including
+// ones just taken by a concurrent buyer) are all reported as unavailable, and
+// nothing else is written; the caller rolls back the reservations made so far.
+const placeOrder = async (connection, buyerId, items, paymentMethod) => {
+  const unavailableItems = [];
+  for (const item of items) {
+    const [result] = await connection.execute(
+      "UPDATE products SET status = 'reserved' WHERE id = ? AND status = 'approved'",
+      [item.product_id]
+    );
+
+    if (result.affectedRows === 0) {
+      unavailableItems.push(item);
+    }
+  }
+
+  if (unavailableItems.length > 0) {
+    return { orderId: null, unavailableItems };
+  }
+
+  for (const item of items) {
+    await notifyReserved({ id: item.product_id, title: item.title }, buyerId, connection);
+  }
+
+  const summary = Order.summarize(items);
+
+  const [orderResult] = await connection.execute(
+    `INSERT INTO orders (buyer_id, subtotal, service_fee, total, payment_method, status, reserved_until)
+     VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+    [
+      buyerId,
+      summary.subtotal,
+      summary.serviceFee,
+      summary.total,
+      paymentMethod || null,
+      new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000)
+    ]
+  );
+  const orderId = orderResult.insertId;
+
+  // Group items by seller
+  const itemsBySeller = new Map();
+  for (const item of items) {
+    if (!itemsBySeller.has(item.seller_id)) {
+      itemsBySeller.set(item.seller_id, []);
+    }
+    itemsBySeller.get(item.seller_id).push(item);
+  }
+
+  for (const [sellerId, sellerItems] of itemsBySeller) {
+    const sellerSubtotal = sellerItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+
+    const [subOrderResult] = await connection.execute(
+      `INSERT INTO sub_orders (order_id, seller_id, subtotal, status)
+       VALUES (?, ?, ?, 'pending')`,
+      [orderId, sellerId, sellerSubtotal]
+    );
+    const subOrderId = subOrderResult.insertId;
+
+    const purchaseIds = [];
+    for (const item of sellerItems) {
+      const [purchaseResult] = await connection.execute(
+        `INSERT INTO purchases (order_id, sub_order_id, buyer_id, seller_id, product_id, price, quantity, payment_method, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [orderId, subOrderId, buyerId, sellerId, item.product_id, item.price, item.quantity, paymentMethod || null]
+      );
+      purchaseIds.push(purchaseResult.insertId);
+
+      await Purchase.recordEvent(
+        purchaseResult.insertId,
+        { toStatus: 'pending', role: 'buyer', actorId: buyerId },
+        connection
+      );
+    }
+
+    await connection.execute(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES (?, 'purchase', 'New Order', ?, ?)`,
+      [
+        sellerId,
+        sellerItems.length === 1
+          ? `Someone wants to buy your product: ${sellerItems[0].title}`
+          : `You have a new order for ${sellerItems.length} items`,
+        JSON.stringify({ order_id: orderId, sub_order_id: subOrderId, purchase_ids: purchaseIds, buyer_id: buyerId })
+      ]
+    );
+  }
+
+  return { orderId, unavailableItems: [] };
+};
+
+class Order {
+  constructor(data) {
+    this.id = data.id;
+    this.buyer_id = data.buyer_id;
+    this.subtotal = data.subtotal;
+    this.service_fee = data.service_fee;
+    this.total = data.total;
+    this.payment_method = data.payment_method;
+    this.status = data.status;
+    this.reserved_until = data.reserved_until;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Totals shown in the cart and charged at checkout
+  static summarize(items) {
+    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const serviceFee = SERVICE_FEE;
+
+    return {
+      subtotal,
+      serviceFee,
+      total: subtotal + serviceFee,
+      itemCount: items.length
+    };
+  }
+
+  // Turn the buyer's cart into one order with a sub-order per seller. Items are priced
+  // exactly as GET /api/cart shows them and reserved so no other buyer can check them
+  // out; if any item is no longer for sale the whole checkout is rolled back and
+  // every unavailable item is returned instead.
+  static async checkout(buyerId, { payment_method } = {}) {
+    const { orderId, unavailableItems } = await db.transaction(async (connection) => {
+      const [items] = await connection.execute(
+        `SELECT c.product_id, c.quantity, p.title, p.price, p.seller_id
+         FROM cart c
+         JOIN products p ON c.product_id = p.id
+         WHERE c.user_id = ?
+         ORDER BY c.added_at ASC`,
+        [buyerId]
+      );
+
+      if (items.length === 0) {
+        await connection.rollback();
+        return { orderId: null, unavailableItems: [] };
+      }
+
+      const placed = await placeOrder(connection, buyerId, items, payment_method);
+      if (!placed.orderId) {
+        await connection.rollback();
+        return placed;
+      }
+
+      // Only the rows that were ordered; items added meanwhile stay in the cart
+      const productIds = items.map(item => item.product_id);
+      await connection.execute(
+        `DELETE FROM cart WHERE user_id = ? AND product_id IN (${productIds.map(() => '?').join(', ')})`,
+        [buyerId, ...productIds]
+      );
+
+      return placed;
+    });
+
+    return { order: orderId ? await Order.findById(orderId) : null, unavailableItems };
+  }
+
+  // Buy a single product directly as a one-item order. price overrides the listed
+  // price when the buyer and seller agreed on one in chat. When run in the caller's
+  // transaction, an unavailable product rolls that whole transaction back.
+  static async createForProduct(buyerId, product, { quantity = 1, payment_method, price = product.price } = {}, connection) {
+    const { orderId, unavailableItems } = await inTransaction(connection, async (connection) => {
+      const items = [{
+        product_id: product.id,
+        quantity,
+        title: product.title,
+        price,
+        seller_id: product.seller_id
+      }];
+
+      const placed = await placeOrder(connection, buyerId, items, payment_method);
+      if (!placed.orderId) {
+        await connection.rollback();
+        return placed;
+      }
+
+      await connection.execute(
+        'DELETE FROM cart WHERE user_id = ? AND product_id = ?',
+        [buyerId, product.id]
+      );
+
+      return placed;
+    });
+
+    return { order: orderId ? await Order.findById(orderId, connection) : null, unavailableItems };
+  }
+
+  static async findById(id, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM orders WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Order(rows[0]) : null;
+  }
+
+  // Cancel every unpaid order whose reservation has run out, putting its products
+  // back on sale. Returns how many orders expired.
+  static async expireReservations() {
+    const [rows] = await db.execute(
+      "SELECT * FROM orders WHERE status = 'pending' AND reserved_until <= ?",
+      [new Date()]
+    );
+
+    let count = 0;
+    for (const row of rows) {
+      if (await new Order(row).expire()) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Whether the buyer can still pay for the order
+  isPayable() {
+    return this.status === 'pending' &&
+      (!this.reserved_until || new Date(this.reserved_until).getTime() > Date.now());
+  }
+
+  async getPurchases(connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM purchases WHERE order_id = ? ORDER BY id ASC',
+      [this.id]
+    );
+    return rows.map(row => new Purchase(row));
+  }
+
+  // Sub-orders with their purchased items
+  async getSubOrders() {
+    const [subOrders] = await db.execute(
+      `SELECT so.*, u.name as seller_name, u.phone as seller_phone, u.avatar as seller_avatar
+       FROM sub_orders so
+       JOIN users u ON so.seller_id = u.id
+       WHERE so.order_id = ?
+       ORDER BY so.id ASC`,
+      [this.id]
+    );
+
+    const [items] = await db.execute(
+      `SELECT pur.*, p.title, p.condition, p.brand,
+              (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image
+       FROM purchases pur
+       JOIN products p ON pur.product_id = p.id
+       WHERE pur.order_id = ?
+       ORDER BY pur.id ASC`,
+      [this.id]
+    );
+
+    return subOrders.map(subOrder => ({
+      ...subOrder,
+      items: items.filter(item => item.sub_order_id === subOrder.id)
+    }));
+  }
+
+  // Payment captured: funds are held until the buyer receives the items, so every
+  // purchase in the order becomes confirmed and sellers are told to hand over.
+  // Returns false unless the order was still pending. Runs in connection's
+  // transaction when one is given, as do markPaymentFailed and markRefunded.
+  async markPaid({ transactionId, paymentMethod }, connection) {
+    const paid = await inTransaction(connection, async (connection) => {
+      const [result] = await connection.execute(
+        "UPDATE orders SET status = 'paid', payment_method = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+        [paymentMethod || this.payment_method, this.id]
+      );
+
+      // Already paid, or expired or failed so its items were released
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      await connection.execute(
+        "UPDATE sub_orders SET status = 'paid' WHERE order_id = ? AND status = 'pending'",
+        [this.id]
+      );
+
+      await connection.execute(
+        "UPDATE purchases SET transaction_id = ?, payment_method = ? WHERE order_id = ? AND status = 'pending'",
+        [transactionId, paymentMethod || this.payment_method, this.id]
+      );
+
+      const purchases = await this.getPurchases(connection);
+      for (const purchase of purchases.filter(p => p.status === 'pending')) {
+        await purchase.transitionTo('confirmed', {
+          role: 'system',
+          note: `Payment ${transactionId} captured`,
+          notify: false,
+          connection
+        });
+      }
+
+      const [subOrders] = await connection.execute(
+        'SELECT id, seller_id FROM sub_orders WHERE order_id = ?',
+        [this.id]
+      );
+
+      for (const subOrder of subOrders) {
+        await connection.execute(
+          `INSERT INTO notifications (user_id, type, title, message, data)
+           VALUES (?, 'purchase', 'Payment Received', 'Payment has been received. Please hand over the item(s) to the buyer.', ?)`,
+          [subOrder.seller_id, JSON.stringify({ order_id: this.id, sub_order_id: subOrder.id })]
+        );
+      }
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'purchase', 'Payment Successful', 'Your payment was successful and is held until you receive your order', ?)`,
+        [this.buyer_id, JSON.stringify({ order_id: this.id, transaction_id: transactionId })]
+      );
+
+      return true;
+    });
+
+    if (paid) {
+      this.status = 'paid';
+    }
+    return paid;
+  }
+
+  // Cancel the order's unpaid purchases and sub-orders in the caller's transaction;
+  // cancelling a purchase puts its product back on sale
+  async cancelPendingPurchases(connection, note) {
+    await connection.execute(
+      "UPDATE sub_orders SET status = 'cancelled' WHERE order_id = ? AND status = 'pending'",
+      [this.id]
+    );
+
+    const purchases = await this.getPurchases(connection);
+    for (const purchase of purchases.filter(p => p.status === 'pending')) {
+      await purchase.transitionTo('cancelled', {
+        role: 'system',
+        note,
+        notify: false,
+        connection
+      });
+    }
+  }
+
+  // The reservation ran out before the order was paid
+  async expire() {
+    const expired = await db.transaction(async (connection) => {
+      const [result] = await connection.execute(
+        "UPDATE orders SET status = 'expired', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending' AND reserved_until <= ?",
+        [this.id, new Date()]
+      );
+
+      // Paid or expired in the meantime
+      if (result.affectedRows === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await this.cancelPendingPurchases(connection, 'Reservation expired before payment');
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'purchase', 'Order Expired', 'Your order was not paid in time and has been cancelled. The items are back on sale.', ?)`,
+        [this.buyer_id, JSON.stringify({ order_id: this.id })]
+      );
+
+      return true;
+    });
+
+    if (expired) {
+      this.status = 'expired';
+    }
+    return expired;
+  }
+
+  // The payment failed: the order is closed and its items go back on sale, so the
+  // buyer checks out again to retry
+  async markPaymentFailed(connection) {
+    const failed = await inTransaction(connection, async (connection) => {
+      const [result] = await connection.execute(
+        "UPDATE orders SET status = 'payment_failed', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+        [this.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      await this.cancelPendingPurchases(connection, 'Payment failed');
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'purchase', 'Payment Failed', 'Your payment could not be completed and the items have been released. Please check out again.', ?)`,
+        [this.buyer_id, JSON.stringify({ order_id: this.id })]
+      );
+
+      return true;
+    });
+
+    if (failed) {
+      this.status = 'payment_failed';
+    }
+    return failed;
+  }
+
+  // Full refund: purchases are refunded and the items go back on sale
+  async markRefunded(connection) {
+    const refunded = await inTransaction(connection, async (connection) => {
+      const [result] = await connection.execute(
+        "UPDATE orders SET status = 'refunded', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'paid'",
+        [this.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return false;
+      }
+
+      await connection.execute(
+        "UPDATE sub_orders SET status = 'refunded' WHERE order_id = ?",
+        [this.id]
+      );
+
+      const purchases = await this.getPurchases(connection);
+      for (const purchase of purchases) {
+        if (Purchase.canTransition(purchase.status, 'refunded', 'system')) {
+          await purchase.transitionTo('refunded', {
+            role: 'system',
+            note: 'Payment refunded',
+            notify: false,
+            connection
+          });
+        }
+      }
+
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'purchase', 'Refund Processed', 'Your refund has been processed', ?)`,
+        [this.buyer_id, JSON.stringify({ order_id: this.id })]
+      );
+
+      return true;
+    });
+
+    if (refunded) {
+      this.status = 'refunded';
+    }
+    return refunded;
+  }
+
+  async toDetailedJSON() {
+    return {
+      ...this.toJSON(),
+      sub_orders: await this.getSubOrders()
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      buyer_id: this.buyer_id,
+      subtotal: this.subtotal,
+      service_fee: this.service_fee,
+      total: this.total,
+      payment_method: this.payment_method,
+      status: this.status,
+      reserved_until: this.reserved_until,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+Order.SERVICE_FEE = SERVICE_FEE;
+Order.RESERVATION_MINUTES = RESERVATION_MINUTES;
+
+module.exports = Order;
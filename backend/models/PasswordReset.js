@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+
+class PasswordReset {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.otp_hash = data.otp_hash;
+    this.attempts = data.attempts;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Generate a 6 digit OTP for the user, invalidating any outstanding codes.
+  // Returns the plain OTP; only its hash is stored.
+  static async create(userId) {
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const otpHash = await bcrypt.hash(otp, 10);
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+    await PasswordReset.invalidateAll(userId);
+
+    const [result] = await db.execute(
+      'INSERT INTO password_resets (user_id, otp_hash, attempts, expires_at) VALUES (?, ?, 0, ?)',
+      [userId, otpHash, expiresAt]
+    );
+
+    return {
+      reset: await PasswordReset.findById(result.insertId),
+      otp
+    };
+  }
+
+  // Whether another code may be sent to the user: one per OTP_RESEND_SECONDS and
+  // OTP_MAX_PER_HOUR an hour, so asking again neither resets the attempt limit
+  // indefinitely nor floods the inbox
+  static async canIssue(userId) {
+    const [rows] = await db.execute(
+      `SELECT COUNT(*) as issued, MAX(created_at) as last_issued_at
+       FROM password_resets
+       WHERE user_id = ? AND created_at >= ?`,
+      [userId, new Date(Date.now() - 60 * 60 * 1000)]
+    );
+    const { issued, last_issued_at: lastIssuedAt } = rows[0];
+
+    if (Number(issued) >= OTP_MAX_PER_HOUR) {
+      return false;
+    }
+    return !lastIssuedAt || Date.now() - new Date(lastIssuedAt).getTime() >= OTP_RESEND_SECONDS * 1000;
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM password_resets WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new PasswordReset(rows[0]) : null;
+  }
+
+  // Latest code for the user that has not been used yet
+  static async findActiveByUser(userId) {
+    const [rows] = await db.execute(
+      `SELECT * FROM password_resets
+       WHERE user_id = ? AND used_at IS NULL
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [userId]
+    );
+    return rows.length > 0 ? new PasswordReset(rows[0]) : null;
+  }
+
+  static async invalidateAll(userId) {
+    await db.execute(
+      'UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+  }
+
+  isExpired() {
+    return new Date(this.expires_at).getTime() <= Date.now();
+  }
+
+  // Count an attempt against the code. The check and the increment are one
+  // statement so parallel requests cannot exceed OTP_MAX_ATTEMPTS; returns false
+  // once the code is locked.
+  async claimAttempt() {
+    const [result] = await db.execute(
+      'UPDATE password_resets SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+      [this.id, OTP_MAX_ATTEMPTS]
+    );
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    this.attempts += 1;
+    return true;
+  }
+
+  // Check an OTP against the stored hash; claim an attempt first
+  async verify(otp) {
+    return bcrypt.compare(otp, this.otp_hash);
+  }
+
+  async markUsed() {
+    await PasswordReset.invalidateAll(this.user_id);
+    this.used_at = new Date();
+  }
+}
+
+PasswordReset.OTP_EXPIRY_MINUTES = OTP_EXPIRY_MINUTES;
+PasswordReset.OTP_MAX_ATTEMPTS = OTP_MAX_ATTEMPTS;
+PasswordReset.OTP_RESEND_SECONDS = OTP_RESEND_SECONDS;
+PasswordReset.OTP_MAX_PER_HOUR = OTP_MAX_PER_HOUR;
+
+module.exports = PasswordReset;
@@ -0,0 +1,200 @@
+const db = require('../config/database');
+
+class Payment {
+  constructor(data) {
+    this.id = data.id;
+    this.order_id = data.order_id;
+    this.provider = data.provider;
+    this.provider_intent_id = data.provider_intent_id;
+    this.provider_payment_id = data.provider_payment_id;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.method = data.method;
+    this.status = data.status;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create({ order_id, provider, provider_intent_id, amount, currency }) {
+    const [result] = await db.execute(
+      `INSERT INTO payments (order_id, provider, provider_intent_id, amount, currency, status)
+       VALUES (?, ?, ?, ?, ?, 'created')`,
+      [order_id, provider, provider_intent_id, amount, currency]
+    );
+    return Payment.findById(result.insertId);
+  }
+
+  static async findById(id, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM payments WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Payment(rows[0]) : null;
+  }
+
+  static async findByProviderIntentId(provider, intentId, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM payments WHERE provider = ? AND provider_intent_id = ?',
+      [provider, intentId]
+    );
+    return rows.length > 0 ? new Payment(rows[0]) : null;
+  }
+
+  static async findByProviderPaymentId(provider, paymentId, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ?',
+      [provider, paymentId]
+    );
+    return rows.length > 0 ? new Payment(rows[0]) : null;
+  }
+
+  // Most recent payment attempt for an order
+  static async findLatestByOrder(orderId, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM payments WHERE order_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+      [orderId]
+    );
+    return rows.length > 0 ? new Payment(rows[0]) : null;
+  }
+
+  // Record a webhook delivery in the caller's transaction. Returns false when the
+  // event was already handled; a concurrent delivery of the same event waits on
+  // the unique key until this transaction ends and then gets false.
+  static async claimWebhookEvent(provider, eventId, eventType, connection) {
+    try {
+      await connection.execute(
+        'INSERT INTO payment_webhook_events (provider, event_id, event_type) VALUES (?, ?, ?)',
+        [provider, eventId, eventType]
+      );
+      return true;
+    } catch (error) {
+      if (db.isUniqueViolation(error)) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Forget a claimed event so the gateway's retry is handled again (e.g. when the
+  // provider call that follows the commit failed)
+  static async releaseWebhookEvent(provider, eventId) {
+    await db.execute(
+      'DELETE FROM payment_webhook_events WHERE provider = ? AND event_id = ?',
+      [provider, eventId]
+    );
+  }
+
+  // A refund of part or all of a payment: for a single purchase (dispute
+  // resolutions), for an order that could not be paid, or started from the gateway
+  // dashboard (no purchase). Refunds the app makes are recorded as pending before
+  // the provider is asked and get their provider ID afterwards.
+  static async createRefund({ payment_id, purchase_id = null, amount, provider_refund_id = null, reason, status = 'pending' }, connection = db) {
+    const [result] = await connection.execute(
+      `INSERT INTO refunds (payment_id, purchase_id, amount, provider_refund_id, reason, status, processed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [payment_id, purchase_id, amount, provider_refund_id, reason || null, status, status === 'processed' ? new Date() : null]
+    );
+
+    const [rows] = await connection.execute(
+      'SELECT * FROM refunds WHERE id = ?',
+      [result.insertId]
+    );
+    return rows[0];
+  }
+
+  static async findRefundByProviderId(paymentId, providerRefundId, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM refunds WHERE payment_id = ? AND provider_refund_id = ?',
+      [paymentId, providerRefundId]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Refunds recorded for the payment that the provider has not been asked for yet
+  static async hasUnissuedRefunds(paymentId, connection = db) {
+    const [rows] = await connection.execute(
+      "SELECT COUNT(*) as count FROM refunds WHERE payment_id = ? AND status = 'pending' AND provider_refund_id IS NULL",
+      [paymentId]
+    );
+    return Number(rows[0].count) > 0;
+  }
+
+  static async setRefundProviderId(refundId, providerRefundId) {
+    await db.execute(
+      'UPDATE refunds SET provider_refund_id = ? WHERE id = ?',
+      [providerRefundId, refundId]
+    );
+  }
+
+  static async markRefundFailed(refundId) {
+    await db.execute(
+      "UPDATE refunds SET status = 'failed' WHERE id = ?",
+      [refundId]
+    );
+  }
+
+  static async markRefundProcessed(refundId, connection = db) {
+    await connection.execute(
+      "UPDATE refunds SET status = 'processed', processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [refundId]
+    );
+  }
+
+  async getRefundedAmount(connection = db) {
+    const [rows] = await connection.execute(
+      "SELECT COALESCE(SUM(amount), 0) as total FROM refunds WHERE payment_id = ? AND status != 'failed'",
+      [this.id]
+    );
+    return Number(rows[0].total);
+  }
+
+  async update({ status, provider_payment_id, method }, connection = db) {
+    const fields = [];
+    const params = [];
+
+    if (status) {
+      fields.push('status = ?');
+      params.push(status);
+    }
+    if (provider_payment_id) {
+      fields.push('provider_payment_id = ?');
+      params.push(provider_payment_id);
+    }
+    if (method) {
+      fields.push('method = ?');
+      params.push(method);
+    }
+
+    if (fields.length === 0) {
+      return this;
+    }
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(this.id);
+
+    await connection.execute(
+      `UPDATE payments SET ${fields.join(', ')} WHERE id = ?`,
+      params
+    );
+
+    return Payment.findById(this.id, connection);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      order_id: this.order_id,
+      provider: this.provider,
+      provider_intent_id: this.provider_intent_id,
+      provider_payment_id: this.provider_payment_id,
+      amount: this.amount,
+      currency: this.currency,
+      method: this.method,
+      status: this.status,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = Payment;
@@ -0,0 +1,40 @@
+const db = require('../config/database');
+
+// One row per listed price of a product: the price it was created with and every
+// change after that. old_price is null for the first row.
+class PriceHistory {
+  constructor(data) {
+    this.id = data.id;
+    this.product_id = data.product_id;
+    this.old_price = data.old_price === null || data.old_price === undefined ? null : Number(data.old_price);
+    this.price = Number(data.price);
+    this.changed_by = data.changed_by;
+    this.created_at = data.created_at;
+  }
+
+  static async record(productId, { oldPrice = null, price, changedBy }, connection = db) {
+    await connection.execute(
+      'INSERT INTO product_price_history (product_id, old_price, price, changed_by) VALUES (?, ?, ?, ?)',
+      [productId, oldPrice, price, changedBy || null]
+    );
+  }
+
+  // Oldest first, for charting
+  static async findByProduct(productId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM product_price_history WHERE product_id = ? ORDER BY created_at ASC, id ASC',
+      [productId]
+    );
+    return rows.map(row => new PriceHistory(row));
+  }
+
+  toJSON() {
+    return {
+      old_price: this.old_price,
+      price: this.price,
+      changed_at: this.created_at
+    };
+  }
+}
+
+module.exports = PriceHistory;
@@ -0,0 +1,208 @@
+const db = require('../config/database');
+const path = require('path');
+const fs = require('fs');
+const { UPLOADS_ROOT } = require('../middleware/upload');
+
+const PRODUCT_UPLOADS_URL = '/uploads/products/';
+const PLACEHOLDER_URL = '/uploads/placeholder-product.jpg';
+const MAX_IMAGES = 12;
+
+// A product photo. image_url is the full size WebP; thumbnail_url and card_url are
+// the smaller variants. Photos uploaded before processing existed only have
+// image_url, which then stands in for every variant. A product's images are shown
+// in sort_order and exactly one of them is primary; a product without photos has
+// the placeholder image.
+class ProductImage {
+  constructor(data) {
+    this.id = data.id;
+    this.product_id = data.product_id;
+    this.image_url = data.image_url;
+    this.thumbnail_url = data.thumbnail_url;
+    this.card_url = data.card_url;
+    this.width = data.width;
+    this.height = data.height;
+    this.blurhash = data.blurhash;
+    this.dominant_color = data.dominant_color;
+    this.is_primary = Boolean(data.is_primary);
+    this.sort_order = data.sort_order;
+    this.created_at = data.created_at;
+  }
+
+  // Store a processed image (see services/imageProcessing) or a bare { image_url }
+  // after the product's other images. Returns the new image ID.
+  static async create(productId, image, { isPrimary = false } = {}, connection = db) {
+    const variants = image.variants || {};
+    const [last] = await connection.execute(
+      'SELECT MAX(sort_order) as sort_order FROM product_images WHERE product_id = ?',
+      [productId]
+    );
+    const sortOrder = last[0].sort_order === null ? 0 : Number(last[0].sort_order) + 1;
+
+    const [result] = await connection.execute(
+      `INSERT INTO product_images
+         (product_id, image_url, thumbnail_url, card_url, width, height, blurhash, dominant_color, is_primary, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        productId,
+        image.image_url,
+        variants.thumbnail || null,
+        variants.card || null,
+        image.width || null,
+        image.height || null,
+        image.blurhash || null,
+        image.dominant_color || null,
+        isPrimary,
+        sortOrder
+      ]
+    );
+    return result.insertId;
+  }
+
+  // Add processed images to a product. The first photo replaces the placeholder
+  // and becomes primary; otherwise the current primary image stays primary.
+  static async addToProduct(productId, images) {
+    if (images.length === 0) {
+      return;
+    }
+
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        'DELETE FROM product_images WHERE product_id = ? AND image_url = ?',
+        [productId, PLACEHOLDER_URL]
+      );
+
+      const [primary] = await connection.execute(
+        'SELECT id FROM product_images WHERE product_id = ? AND is_primary = TRUE',
+        [productId]
+      );
+
+      for (let i = 0; i < images.length; i++) {
+        await ProductImage.create(productId, images[i], { isPrimary: i === 0 && primary.length === 0 }, connection);
+      }
+    });
+  }
+
+  // Give a product without photos the placeholder image
+  static async addPlaceholder(productId, connection = db) {
+    return ProductImage.create(productId, { image_url: PLACEHOLDER_URL }, { isPrimary: true }, connection);
+  }
+
+  static async countByProduct(productId) {
+    const [rows] = await db.execute(
+      'SELECT COUNT(*) as count FROM product_images WHERE product_id = ? AND image_url != ?',
+      [productId, PLACEHOLDER_URL]
+    );
+    return Number(rows[0].count);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM product_images WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new ProductImage(rows[0]) : null;
+  }
+
+  static async findByProduct(productId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM product_images WHERE product_id = ? ORDER BY sort_order ASC, id ASC',
+      [productId]
+    );
+    return rows.map(row => new ProductImage(row));
+  }
+
+  // Make one image the product's only primary image
+  static async setPrimary(productId, imageId) {
+    await db.transaction(async (connection) => {
+      await connection.execute(
+        'UPDATE product_images SET is_primary = (id = ?) WHERE product_id = ?',
+        [imageId, productId]
+      );
+    });
+  }
+
+  // Put the product's images in the given order. imageIds must list every image
+  // of the product exactly once.
+  static async reorder(productId, imageIds) {
+    await db.transaction(async (connection) => {
+      for (let i = 0; i < imageIds.length; i++) {
+        await connection.execute(
+          'UPDATE product_images SET sort_order = ? WHERE id = ? AND product_id = ?',
+          [i, imageIds[i], productId]
+        );
+      }
+    });
+  }
+
+  // Delete the image and its files. If it was primary the next image in order
+  // takes over, and a product left without photos gets the placeholder.
+  async delete() {
+    await db.transaction(async (connection) => {
+      await connection.execute('DELETE FROM product_images WHERE id = ?', [this.id]);
+
+      if (this.is_primary) {
+        const [next] = await connection.execute(
+          'SELECT id FROM product_images WHERE product_id = ? ORDER BY sort_order ASC, id ASC LIMIT 1',
+          [this.product_id]
+        );
+
+        if (next.length > 0) {
+          await connection.execute('UPDATE product_images SET is_primary = TRUE WHERE id = ?', [next[0].id]);
+        } else {
+          await ProductImage.addPlaceholder(this.product_id, connection);
+        }
+      }
+    });
+
+    this.removeFiles();
+  }
+
+  isPlaceholder() {
+    return this.image_url === PLACEHOLDER_URL;
+  }
+
+  getVariants() {
+    return {
+      thumbnail: this.thumbnail_url || this.image_url,
+      card: this.card_url || this.image_url,
+      full: this.image_url
+    };
+  }
+
+  // Delete this image's files. Shared files outside uploads/products, such as
+  // the placeholder, are left alone.
+  removeFiles() {
+    const urls = new Set([this.image_url, this.thumbnail_url, this.card_url]);
+
+    urls.forEach(url => {
+      if (!url || !url.startsWith(PRODUCT_UPLOADS_URL)) {
+        return;
+      }
+      const filePath = path.join(UPLOADS_ROOT, 'products', path.basename(url));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      product_id: this.product_id,
+      image_url: this.image_url,
+      variants: this.getVariants(),
+      width: this.width,
+      height: this.height,
+      blurhash: this.blurhash,
+      dominant_color: this.dominant_color,
+      is_primary: this.is_primary,
+      sort_order: this.sort_order,
+      created_at: this.created_at
+    };
+  }
+}
+
+ProductImage.PLACEHOLDER_URL = PLACEHOLDER_URL;
+ProductImage.MAX_IMAGES = MAX_IMAGES;
+
+module.exports = ProductImage;
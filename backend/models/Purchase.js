@@ -0,0 +1,231 @@
+const db = require('../config/database');
+
+// Allowed purchase status changes and the roles that may make them.
+// Purchases are confirmed by the system once payment is captured and held until the
+// buyer confirms receipt; after payment the only ways out are completion or refund.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['system', 'admin'],
+    cancelled: ['buyer', 'seller', 'admin', 'system']
+  },
+  confirmed: {
+    shipped: ['seller'],
+    handed_over: ['seller'],
+    disputed: ['buyer'],
+    refunded: ['admin', 'system']
+  },
+  shipped: {
+    completed: ['buyer', 'admin', 'system'],
+    disputed: ['buyer'],
+    refunded: ['admin', 'system']
+  },
+  handed_over: {
+    completed: ['buyer', 'admin', 'system'],
+    disputed: ['buyer'],
+    refunded: ['admin', 'system']
+  },
+  completed: {
+    disputed: ['buyer']
+  },
+  // A rejected dispute puts the purchase back in the status it had before
+  disputed: {
+    confirmed: ['admin', 'system'],
+    shipped: ['admin', 'system'],
+    handed_over: ['admin', 'system'],
+    completed: ['admin', 'system'],
+    refunded: ['admin', 'system']
+  },
+  cancelled: {},
+  refunded: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses users set by hand through PUT /purchases/:id/status. A purchase is
+// confirmed by the payment capture, disputed through Dispute.open() and refunded
+// through Dispute.resolve() or the payment webhooks, which also move the money.
+const MANUAL_STATUSES = ['shipped', 'handed_over', 'completed', 'cancelled'];
+
+// Subquery for what is still owed on an order or sub-order (by order_id or
+// sub_order_id) once cancelled purchases are left out
+const remainingSubtotal = (column) =>
+  `SELECT COALESCE(SUM(price * quantity), 0) FROM purchases WHERE ${column} = ? AND status != 'cancelled'`;
+
+const STATUS_MESSAGES = {
+  confirmed: 'Payment has been received and the purchase is confirmed',
+  shipped: 'The item has been shipped',
+  handed_over: 'The item has been handed over to the buyer',
+  completed: 'The purchase has been completed',
+  cancelled: 'The purchase has been cancelled',
+  disputed: 'A dispute has been raised on the purchase',
+  refunded: 'The purchase has been refunded'
+};
+
+class Purchase {
+  constructor(data) {
+    this.id = data.id;
+    this.order_id = data.order_id;
+    this.sub_order_id = data.sub_order_id;
+    this.buyer_id = data.buyer_id;
+    this.seller_id = data.seller_id;
+    this.product_id = data.product_id;
+    this.price = data.price;
+    this.quantity = data.quantity;
+    this.payment_method = data.payment_method;
+    this.transaction_id = data.transaction_id;
+    this.status = data.status;
+    this.purchase_date = data.purchase_date;
+    this.completed_at = data.completed_at;
+  }
+
+  static async findById(id, connection = db) {
+    const [rows] = await connection.execute(
+      'SELECT * FROM purchases WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Purchase(rows[0]) : null;
+  }
+
+  static canTransition(fromStatus, toStatus, role) {
+    const allowedRoles = (TRANSITIONS[fromStatus] || {})[toStatus];
+    return Boolean(allowedRoles && allowedRoles.includes(role));
+  }
+
+  // Statuses the given role may move a purchase to from its current status
+  static allowedTransitions(fromStatus, role) {
+    return Object.keys(TRANSITIONS[fromStatus] || {})
+      .filter(toStatus => TRANSITIONS[fromStatus][toStatus].includes(role));
+  }
+
+  // The subset of allowedTransitions() that can be made through the status route
+  static allowedManualTransitions(fromStatus, role) {
+    return Purchase.allowedTransitions(fromStatus, role)
+      .filter(toStatus => MANUAL_STATUSES.includes(toStatus));
+  }
+
+  // Record an event without a status change (e.g. the purchase being created)
+  static async recordEvent(purchaseId, { fromStatus = null, toStatus, role, actorId = null, note = null }, connection = db) {
+    await connection.execute(
+      `INSERT INTO purchase_events (purchase_id, from_status, to_status, actor_id, actor_role, note)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [purchaseId, fromStatus, toStatus, actorId, role, note]
+    );
+  }
+
+  // Role a user plays on this purchase
+  roleFor(user) {
+    if (user.id === this.buyer_id) return 'buyer';
+    if (user.id === this.seller_id) return 'seller';
+    if (user.is_admin) return 'admin';
+    return null;
+  }
+
+  // Move the purchase to a new status, recording who did it. Throws if the role may not
+  // make this change; returns false if the purchase was changed concurrently.
+  async transitionTo(toStatus, { role, actorId = null, note = null, notify = true, connection = db } = {}) {
+    const fromStatus = this.status;
+
+    if (!Purchase.canTransition(fromStatus, toStatus, role)) {
+      throw new Error(`Cannot change purchase ${this.id} from ${fromStatus} to ${toStatus} as ${role}`);
+    }
+
+    let updateQuery = 'UPDATE purchases SET status = ?';
+    if (toStatus === 'completed') {
+      updateQuery += ', completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)';
+    }
+    updateQuery += ' WHERE id = ? AND status = ?';
+
+    const [result] = await connection.execute(updateQuery, [toStatus, this.id, fromStatus]);
+    if (result.affectedRows === 0) {
+      return false;
+    }
+
+    await Purchase.recordEvent(this.id, { fromStatus, toStatus, role, actorId, note }, connection);
+
+    // Release the reserved item when the sale falls through
+    if (toStatus === 'cancelled' || toStatus === 'refunded') {
+      await connection.execute(
+        "UPDATE products SET status = 'approved' WHERE id = ? AND status = 'reserved'",
+        [this.product_id]
+      );
+    }
+
+    // A pending order is only charged for what is left in it; once nothing is left
+    // the order itself is cancelled
+    if (toStatus === 'cancelled' && this.order_id) {
+      await connection.execute(
+        `UPDATE sub_orders
+         SET subtotal = (${remainingSubtotal('sub_order_id')})
+         WHERE id = ? AND status = 'pending'`,
+        [this.sub_order_id, this.sub_order_id]
+      );
+      await connection.execute(
+        `UPDATE sub_orders SET status = 'cancelled'
+         WHERE id = ? AND status = 'pending' AND subtotal = 0`,
+        [this.sub_order_id]
+      );
+      await connection.execute(
+        `UPDATE orders
+         SET subtotal = (${remainingSubtotal('order_id')}),
+             total = (${remainingSubtotal('order_id')}) + service_fee,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'pending'`,
+        [this.order_id, this.order_id, this.order_id]
+      );
+      await connection.execute(
+        `UPDATE orders SET status = 'cancelled', total = 0
+         WHERE id = ? AND status = 'pending' AND subtotal = 0`,
+        [this.order_id]
+      );
+    }
+
+    // The first completion marks the product sold and counts the sale
+    if (toStatus === 'completed' && !this.completed_at) {
+      await connection.execute(
+        "UPDATE products SET status = 'sold' WHERE id = ?",
+        [this.product_id]
+      );
+      await connection.execute(
+        'UPDATE users SET sales_count = sales_count + 1 WHERE id = ?',
+        [this.seller_id]
+      );
+    }
+
+    if (notify) {
+      const recipients = [this.buyer_id, this.seller_id].filter(userId => userId !== actorId);
+      for (const userId of recipients) {
+        await connection.execute(
+          `INSERT INTO notifications (user_id, type, title, message, data)
+           VALUES (?, 'purchase', 'Purchase Update', ?, ?)`,
+          [userId, STATUS_MESSAGES[toStatus], JSON.stringify({ purchase_id: this.id, status: toStatus })]
+        );
+      }
+    }
+
+    this.status = toStatus;
+    if (toStatus === 'completed' && !this.completed_at) {
+      this.completed_at = new Date();
+    }
+    return true;
+  }
+
+  // Status changes, oldest first
+  async getTimeline() {
+    const [rows] = await db.execute(
+      `SELECT e.id, e.from_status, e.to_status, e.actor_role, e.actor_id, e.note, e.created_at,
+              u.name as actor_name
+       FROM purchase_events e
+       LEFT JOIN users u ON e.actor_id = u.id
+       WHERE e.purchase_id = ?
+       ORDER BY e.created_at ASC, e.id ASC`,
+      [this.id]
+    );
+    return rows;
+  }
+}
+
+Purchase.TRANSITIONS = TRANSITIONS;
+Purchase.STATUSES = STATUSES;
+Purchase.MANUAL_STATUSES = MANUAL_STATUSES;
+
+module.exports = Purchase;
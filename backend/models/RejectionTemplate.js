@@ -0,0 +1,77 @@
+const db = require('../config/database');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+
+// A canned rejection reason; message is what the seller is told
+class RejectionTemplate {
+  constructor(data) {
+    this.id = data.id;
+    this.title = data.title;
+    this.message = data.message;
+    this.created_by = data.created_by;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  static async create({ title, message, createdBy }) {
+    const [result] = await db.execute(
+      'INSERT INTO rejection_templates (title, message, created_by) VALUES (?, ?, ?)',
+      [title, message, createdBy]
+    );
+    return RejectionTemplate.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM rejection_templates WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new RejectionTemplate(rows[0]) : null;
+  }
+
+  static async findByTitle(title) {
+    const [rows] = await db.execute(
+      'SELECT * FROM rejection_templates WHERE title = ?',
+      [title]
+    );
+    return rows.length > 0 ? new RejectionTemplate(rows[0]) : null;
+  }
+
+  static async findAll() {
+    const [rows] = await db.execute('SELECT * FROM rejection_templates ORDER BY title ASC');
+    return rows.map(row => new RejectionTemplate(row));
+  }
+
+  async update({ title, message }) {
+    await db.execute(
+      'UPDATE rejection_templates SET title = ?, message = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [
+        title !== undefined ? title : this.title,
+        message !== undefined ? message : this.message,
+        this.id
+      ]
+    );
+    return RejectionTemplate.findById(this.id);
+  }
+
+  async delete() {
+    await db.execute('DELETE FROM rejection_templates WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      title: this.title,
+      message: this.message,
+      created_by: this.created_by,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+RejectionTemplate.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
+RejectionTemplate.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = RejectionTemplate;
@@ -0,0 +1,158 @@
+const db = require('../config/database');
+
+// A review left by one side of a completed purchase about the other side.
+// reviewer_role is the reviewer's role on the purchase, so reviews written by
+// buyers are the seller's ratings and vice versa.
+class Review {
+  constructor(data) {
+    this.id = data.id;
+    this.purchase_id = data.purchase_id;
+    this.reviewer_id = data.reviewer_id;
+    this.reviewee_id = data.reviewee_id;
+    this.reviewer_role = data.reviewer_role;
+    this.rating = data.rating;
+    this.comment = data.comment;
+    this.photos = typeof data.photos === 'string' ? JSON.parse(data.photos) : (data.photos || []);
+    this.created_at = data.created_at;
+    this.reviewer_name = data.reviewer_name;
+    this.reviewer_avatar = data.reviewer_avatar;
+    this.product_title = data.product_title;
+  }
+
+  static async create({ purchase_id, reviewer_id, reviewee_id, reviewer_role, rating, comment, photos = [] }) {
+    const [result] = await db.execute(
+      `INSERT INTO reviews (purchase_id, reviewer_id, reviewee_id, reviewer_role, rating, comment, photos)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [purchase_id, reviewer_id, reviewee_id, reviewer_role, rating, comment || null, JSON.stringify(photos)]
+    );
+    return Review.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      `SELECT r.*, u.name as reviewer_name, u.avatar as reviewer_avatar
+       FROM reviews r
+       JOIN users u ON r.reviewer_id = u.id
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? new Review(rows[0]) : null;
+  }
+
+  static async findByPurchaseAndReviewer(purchaseId, reviewerId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM reviews WHERE purchase_id = ? AND reviewer_id = ?',
+      [purchaseId, reviewerId]
+    );
+    return rows.length > 0 ? new Review(rows[0]) : null;
+  }
+
+  // Reviews about a user, optionally only those received as seller or as buyer
+  static async findByReviewee(userId, { role, limit = 20, offset = 0 } = {}) {
+    let query = `
+      SELECT r.*, u.name as reviewer_name, u.avatar as reviewer_avatar, p.title as product_title
+      FROM reviews r
+      JOIN users u ON r.reviewer_id = u.id
+      JOIN purchases pur ON r.purchase_id = pur.id
+      JOIN products p ON pur.product_id = p.id
+      WHERE r.reviewee_id = ?
+    `;
+    const params = [userId];
+
+    if (role) {
+      query += ' AND r.reviewer_role = ?';
+      params.push(role === 'seller' ? 'buyer' : 'seller');
+    }
+
+    query += ' ORDER BY r.created_at DESC, r.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await db.execute(query, params);
+    return rows.map(row => new Review(row));
+  }
+
+  static async countByReviewee(userId, { role } = {}) {
+    let query = 'SELECT COUNT(*) as count FROM reviews WHERE reviewee_id = ?';
+    const params = [userId];
+
+    if (role) {
+      query += ' AND reviewer_role = ?';
+      params.push(role === 'seller' ? 'buyer' : 'seller');
+    }
+
+    const [rows] = await db.execute(query, params);
+    return Number(rows[0].count);
+  }
+
+  // Average rating and review count a user received as seller and as buyer
+  static async getRatingSummary(userId) {
+    const [rows] = await db.execute(
+      `SELECT reviewer_role, AVG(rating) as average, COUNT(*) as count
+       FROM reviews
+       WHERE reviewee_id = ?
+       GROUP BY reviewer_role`,
+      [userId]
+    );
+
+    const summary = {
+      seller_rating: { average: null, count: 0 },
+      buyer_rating: { average: null, count: 0 }
+    };
+
+    rows.forEach(row => {
+      const key = row.reviewer_role === 'buyer' ? 'seller_rating' : 'buyer_rating';
+      summary[key] = {
+        average: Math.round(Number(row.average) * 10) / 10,
+        count: Number(row.count)
+      };
+    });
+
+    return summary;
+  }
+
+  // Seller ratings for many users at once, keyed by user ID
+  static async getSellerRatings(userIds) {
+    const ratings = new Map();
+    const ids = [...new Set(userIds)];
+
+    if (ids.length === 0) {
+      return ratings;
+    }
+
+    const [rows] = await db.execute(
+      `SELECT reviewee_id, AVG(rating) as average, COUNT(*) as count
+       FROM reviews
+       WHERE reviewer_role = 'buyer' AND reviewee_id IN (${ids.map(() => '?').join(', ')})
+       GROUP BY reviewee_id`,
+      ids
+    );
+
+    rows.forEach(row => {
+      ratings.set(row.reviewee_id, {
+        average: Math.round(Number(row.average) * 10) / 10,
+        count: Number(row.count)
+      });
+    });
+
+    return ratings;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      purchase_id: this.purchase_id,
+      reviewer_id: this.reviewer_id,
+      reviewer_name: this.reviewer_name,
+      reviewer_avatar: this.reviewer_avatar,
+      reviewee_id: this.reviewee_id,
+      reviewer_role: this.reviewer_role,
+      rating: this.rating,
+      comment: this.comment,
+      photos: this.photos,
+      product_title: this.product_title,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = Review;
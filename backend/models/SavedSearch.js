@@ -0,0 +1,151 @@
+const db = require('../config/database');
+const { resolveNearFilter } = require('../services/geocoding');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// instant: a notification per new matching listing; daily: one digest a day per
+// saved search; off: saved for re-running only
+const ALERT_MODES = ['instant', 'daily', 'off'];
+
+// A stored GET /api/products filter set
+class SavedSearch {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.filters = typeof data.filters === 'string' ? JSON.parse(data.filters) : (data.filters || {});
+    this.alert_mode = data.alert_mode;
+    this.last_digest_at = data.last_digest_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Pick the supported filters out of a request body. Returns { filters } or
+  // { error } with a message for the client.
+  static normalizeFilters(input = {}) {
+    const filters = {};
+
+    if (input.search !== undefined && String(input.search).trim()) {
+      filters.search = String(input.search).trim().slice(0, 200);
+    }
+
+    if (input.category_id !== undefined && input.category_id !== '') {
+      const categoryId = parseInt(input.category_id);
+      if (isNaN(categoryId)) {
+        return { error: 'Invalid category ID' };
+      }
+      filters.category_id = categoryId;
+    }
+
+    for (const field of ['min_price', 'max_price']) {
+      if (input[field] !== undefined && input[field] !== '') {
+        const price = parseFloat(input[field]);
+        if (isNaN(price) || price < 0) {
+          return { error: `${field} must be a positive number` };
+        }
+        filters[field] = price;
+      }
+    }
+
+    if (filters.min_price !== undefined && filters.max_price !== undefined && filters.min_price > filters.max_price) {
+      return { error: 'min_price cannot be greater than max_price' };
+    }
+
+    for (const field of ['condition', 'location', 'brand']) {
+      if (input[field] !== undefined && String(input[field]).trim()) {
+        filters[field] = String(input[field]).trim().slice(0, 100);
+      }
+    }
+
+    if (input.near) {
+      const { near, error } = resolveNearFilter(input.near, input.radius_km);
+      if (error) {
+        return { error };
+      }
+      filters.near = near.pincode;
+      filters.radius_km = near.radius_km;
+    }
+
+    if (Object.keys(filters).length === 0) {
+      return { error: 'A saved search needs at least one filter' };
+    }
+
+    return { filters };
+  }
+
+  static async create({ userId, name, filters, alertMode = 'instant' }) {
+    const [result] = await db.execute(
+      'INSERT INTO saved_searches (user_id, name, filters, alert_mode) VALUES (?, ?, ?, ?)',
+      [userId, name, JSON.stringify(filters), alertMode]
+    );
+    return SavedSearch.findById(result.insertId);
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM saved_searches WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new SavedSearch(rows[0]) : null;
+  }
+
+  static async findByUser(userId) {
+    const [rows] = await db.execute(
+      'SELECT * FROM saved_searches WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+      [userId]
+    );
+    return rows.map(row => new SavedSearch(row));
+  }
+
+  static async countByUser(userId) {
+    const [rows] = await db.execute(
+      'SELECT COUNT(*) as count FROM saved_searches WHERE user_id = ?',
+      [userId]
+    );
+    return Number(rows[0].count);
+  }
+
+  // Saved searches that want alerts
+  static async findAlerting() {
+    const [rows] = await db.execute(
+      "SELECT * FROM saved_searches WHERE alert_mode != 'off'"
+    );
+    return rows.map(row => new SavedSearch(row));
+  }
+
+  async update({ name, filters, alertMode }) {
+    await db.execute(
+      'UPDATE saved_searches SET name = ?, filters = ?, alert_mode = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [
+        name !== undefined ? name : this.name,
+        JSON.stringify(filters !== undefined ? filters : this.filters),
+        alertMode !== undefined ? alertMode : this.alert_mode,
+        this.id
+      ]
+    );
+    return SavedSearch.findById(this.id);
+  }
+
+  async delete() {
+    await db.execute('DELETE FROM saved_search_matches WHERE saved_search_id = ?', [this.id]);
+    await db.execute('DELETE FROM saved_searches WHERE id = ?', [this.id]);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      name: this.name,
+      filters: this.filters,
+      alert_mode: this.alert_mode,
+      last_digest_at: this.last_digest_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+SavedSearch.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
+SavedSearch.ALERT_MODES = ALERT_MODES;
+
+module.exports = SavedSearch;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A session is one signed-in device. Every refresh token issued for it belongs to the
+// same family, so reusing an already rotated token revokes the whole session.
+class Session {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.user_agent = data.user_agent;
+    this.ip_address = data.ip_address;
+    this.created_at = data.created_at;
+    this.last_used_at = data.last_used_at;
+    this.revoked_at = data.revoked_at;
+  }
+
+  // Start a session and issue its first refresh token
+  static async create(userId, { userAgent, ipAddress } = {}) {
+    const [result] = await db.execute(
+      'INSERT INTO user_sessions (user_id, user_agent, ip_address, last_used_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+      [userId, userAgent ? userAgent.substring(0, 255) : null, ipAddress || null]
+    );
+
+    const session = await Session.findById(result.insertId);
+    const refreshToken = await session.issueRefreshToken();
+
+    return { session, refreshToken };
+  }
+
+  static async findById(id) {
+    const [rows] = await db.execute(
+      'SELECT * FROM user_sessions WHERE id = ?',
+      [id]
+    );
+    return rows.length > 0 ? new Session(rows[0]) : null;
+  }
+
+  static async findActiveByUser(userId) {
+    const [rows] = await db.execute(
+      `SELECT * FROM user_sessions
+       WHERE user_id = ? AND revoked_at IS NULL
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return rows.map(row => new Session(row));
+  }
+
+  // Exchange a refresh token for a new one. Returns null if the token is unknown,
+  // expired or belongs to a revoked session. A token that was already rotated is
+  // treated as stolen and the session is revoked.
+  static async rotate(refreshToken) {
+    const [rows] = await db.execute(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const tokenRow = rows[0];
+    const session = await Session.findById(tokenRow.session_id);
+
+    if (!session || !session.isActive()) {
+      return null;
+    }
+
+    if (tokenRow.used_at) {
+      await session.revoke();
+      return null;
+    }
+
+    if (new Date(tokenRow.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    // Only one concurrent request may consume the token
+    const [updateResult] = await db.execute(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+      [tokenRow.id]
+    );
+
+    if (updateResult.affectedRows === 0) {
+      await session.revoke();
+      return null;
+    }
+
+    await db.execute(
+      'UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [session.id]
+    );
+
+    const newRefreshToken = await session.issueRefreshToken();
+
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  // Revoke the user's sessions, optionally keeping one, and return the revoked
+  // IDs so their sockets can be disconnected. One UPDATE revokes them all, so a session
+  // rotated meanwhile cannot slip through; the IDs are read back by the
+  // revocation time it set, which may include sessions revoked in the same second.
+  static async revokeAllForUser(userId, exceptSessionId = null) {
+    // Whole seconds, as DATETIME stores them, so the value compares equal
+    const revokedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+    let condition = 'user_id = ? AND revoked_at IS NULL';
+    const params = [userId];
+
+    if (exceptSessionId) {
+      condition += ' AND id != ?';
+      params.push(exceptSessionId);
+    }
+
+    const [result] = await db.execute(`UPDATE user_sessions SET revoked_at = ? WHERE ${condition}`, [revokedAt, ...params]);
+    if (result.affectedRows === 0) {
+      return [];
+    }
+
+    const [rows] = await db.execute(
+      'SELECT id FROM user_sessions WHERE user_id = ? AND revoked_at = ?',
+      [userId, revokedAt]
+    );
+    return rows.map(row => row.id);
+  }
+
+  async issueRefreshToken() {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    await db.execute(
+      'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+      [this.id, hashToken(token), expiresAt]
+    );
+
+    return token;
+  }
+
+  isActive() {
+    return !this.revoked_at;
+  }
+
+  async revoke() {
+    await db.execute(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [this.id]
+    );
+    this.revoked_at = new Date();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      created_at: this.created_at,
+      last_used_at: this.last_used_at
+    };
+  }
+}
+
+module.exports = Session;
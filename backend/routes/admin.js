@@ -3,8 +3,29 @@ const db = require('../config/database');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Category = require('../models/Category');
+const Dispute = require('../models/Dispute');
+const Purchase = require('../models/Purchase');
+const ExportJob = require('../models/ExportJob');
+const Session = require('../models/Session');
+const RejectionTemplate = require('../models/RejectionTemplate');
+const { invalidateIndex } = require('../services/search');
+const { disconnectSessions } = require('../services/chat');
+const { notifySavedSearches } = require('../services/savedSearchAlerts');
+const { resolvePeriod, countPerBucket, getTimeSeries, getCohortRetention } = require('../services/analytics');
+const { MODERATION_STATUSES, normalizeProductIds, moderateProducts } = require('../services/productModeration');
+const { buildUserFilters, buildProductFilters, buildReportFilters } = require('../services/adminFilters');
+const {
+  FORMATS,
+  SYNC_MAX_ROWS,
+  pickFilters,
+  countExportRows,
+  writeExport,
+  exportFileName,
+  startExportJob
+} = require('../services/adminExports');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { validate, productValidation } = require('../middleware/validation');
+const { paginate, paginateQuery, paginateList, countRows } = require('../middleware/pagination');
 
 const router = express.Router();
 
@@ -20,7 +41,7 @@ router.get('/dashboard', async (req, res, next) => {
         COUNT(*) as total_users,
         COUNT(CASE WHEN is_active = TRUE THEN 1 END) as active_users,
         COUNT(CASE WHEN is_verified = TRUE THEN 1 END) as verified_users,
-        COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as new_users_30d
+        COUNT(CASE WHEN created_at >= ${db.sql.ago(30, 'day')} THEN 1 END) as new_users_30d
        FROM users`
     );
 
@@ -31,7 +52,7 @@ router.get('/dashboard', async (req, res, next) => {
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_products,
         COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_products,
         COUNT(CASE WHEN status = 'sold' THEN 1 END) as sold_products,
-        COUNT(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 END) as new_products_30d
+        COUNT(CASE WHEN created_at >= ${db.sql.ago(30, 'day')} THEN 1 END) as new_products_30d
        FROM products`
     );
 
@@ -98,23 +119,18 @@ router.get('/dashboard', async (req, res, next) => {
 });
 
 // Get pending products for approval
-router.get('/products/pending', async (req, res, next) => {
+router.get('/products/pending', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    const products = await Product.findPending(parseInt(limit), offset);
+    const { items: products, pagination } = await paginateList(req.pagination, {
+      count: () => countRows("SELECT COUNT(*) as total FROM products WHERE status = 'pending'"),
+      fetch: (limit, offset) => Product.findPending(limit, offset)
+    });
 
     res.json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -144,8 +160,16 @@ router.put('/products/:id/status', validate(productValidation.updateStatus), asy
     }
 
     // Update product status
+    const wasApproved = product.status === 'approved';
     await product.updateStatus(status, rejection_reason);
 
+    if (status === 'approved') {
+      await db.execute(
+        'UPDATE products SET approved_at = COALESCE(approved_at, CURRENT_TIMESTAMP) WHERE id = ?',
+        [productId]
+      );
+    }
+
     // Create notification for seller
     const statusMessages = {
       approved: 'Your product has been approved and is now live',
@@ -160,6 +184,16 @@ router.put('/products/:id/status', validate(productValidation.updateStatus), asy
       );
     }
 
+    // Alert buyers whose saved searches match the new listing. The approval
+    // stands even if this fails.
+    if (status === 'approved' && !wasApproved) {
+      try {
+        await notifySavedSearches([productId]);
+      } catch (error) {
+        console.error('Saved search alerts failed:', error);
+      }
+    }
+
     res.json({
       success: true,
       message: `Product ${status} successfully`,
@@ -173,49 +207,77 @@ router.put('/products/:id/status', validate(productValidation.updateStatus), asy
   }
 });
 
-// Get all products with admin details
-router.get('/products', async (req, res, next) => {
+// Approve or reject many products at once with { product_ids, status }, plus a
+// rejection_reason and/or a rejection template_id when rejecting. Nothing changes
+// unless every product exists; each seller gets one notification for the batch.
+router.put('/products/status', async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status, search } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { product_ids, status, rejection_reason, template_id } = req.body;
 
-    let query = `
-      SELECT p.*, c.name as category_name, c.icon as category_icon,
-             u.name as seller_name, u.email as seller_email, u.phone as seller_phone,
-             (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image
-      FROM products p 
-      JOIN categories c ON p.category_id = c.id 
-      JOIN users u ON p.seller_id = u.id
-      WHERE 1=1
-    `;
+    const { productIds, error } = normalizeProductIds(product_ids);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-    const queryParams = [];
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${MODERATION_STATUSES.join(', ')}`
+      });
+    }
 
-    if (status) {
-      query += ' AND p.status = ?';
-      queryParams.push(status);
+    const note = rejection_reason !== undefined && rejection_reason !== null ? String(rejection_reason).trim() : '';
+    if (note.length > RejectionTemplate.MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `rejection_reason must be at most ${RejectionTemplate.MAX_MESSAGE_LENGTH} characters`
+      });
     }
 
-    if (search) {
-      query += ' AND (p.title LIKE ? OR p.description LIKE ? OR u.name LIKE ?)';
-      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    let template = null;
+    if (template_id !== undefined && template_id !== null) {
+      const templateId = parseInt(template_id);
+      template = isNaN(templateId) ? null : await RejectionTemplate.findById(templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rejection template not found'
+        });
+      }
     }
 
-    query += ' ORDER BY p.created_at DESC LIMIT ? OFFSET ?';
-    queryParams.push(parseInt(limit), offset);
+    // A template's message comes first, followed by any note for this batch
+    const reason = status === 'rejected'
+      ? [template && template.message, note].filter(Boolean).join('\n') || null
+      : null;
+
+    const { applied, results } = await moderateProducts({ productIds, status, reason });
+
+    if (!applied) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some products were not found; no products were updated',
+        data: {
+          results
+        }
+      });
+    }
 
-    const [rows] = await db.execute(query, queryParams);
+    const count = (result) => results.filter(item => item.result === result).length;
+    const updated = count('updated');
 
     res.json({
       success: true,
+      message: `${updated} product${updated === 1 ? '' : 's'} ${status}`,
       data: {
-        products: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        status,
+        updated,
+        unchanged: count('unchanged'),
+        skipped: count('skipped'),
+        results
       }
     });
   } catch (error) {
@@ -223,51 +285,60 @@ router.get('/products', async (req, res, next) => {
   }
 });
 
-// Get all users
-router.get('/users', async (req, res, next) => {
+// Get all products with admin details
+router.get('/products', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search, is_active, is_verified } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let query = `
-      SELECT id, name, email, phone, is_active, is_verified, is_admin, 
-             followers_count, following_count, listings_count, sales_count, created_at
-      FROM users
-      WHERE 1=1
-    `;
-
-    const queryParams = [];
-
-    if (search) {
-      query += ' AND (name LIKE ? OR email LIKE ? OR phone LIKE ?)';
-      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
-    }
-
-    if (is_active !== undefined) {
-      query += ' AND is_active = ?';
-      queryParams.push(is_active === 'true');
-    }
-
-    if (is_verified !== undefined) {
-      query += ' AND is_verified = ?';
-      queryParams.push(is_verified === 'true');
-    }
+    const { where, params: queryParams } = buildProductFilters(req.query);
+
+    const { items: products, pagination } = await paginateQuery(req.pagination, {
+      select: `p.*, c.name as category_name, c.icon as category_icon,
+               u.name as seller_name, u.email as seller_email, u.phone as seller_phone,
+               (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image`,
+      from: `FROM products p 
+             JOIN categories c ON p.category_id = c.id 
+             JOIN users u ON p.seller_id = u.id`,
+      where,
+      params: queryParams,
+      keys: [
+        { column: 'p.created_at', field: 'created_at', direction: 'DESC', type: 'date' },
+        { column: 'p.id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    queryParams.push(parseInt(limit), offset);
+    res.json({
+      success: true,
+      data: {
+        products,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const [rows] = await db.execute(query, queryParams);
+// Get all users
+router.get('/users', paginate(), async (req, res, next) => {
+  try {
+    const { where, params: queryParams } = buildUserFilters(req.query);
+
+    const { items: users, pagination } = await paginateQuery(req.pagination, {
+      select: `id, name, email, phone, is_active, is_verified, is_admin, 
+               followers_count, following_count, listings_count, sales_count, created_at`,
+      from: 'FROM users',
+      where,
+      params: queryParams,
+      keys: [
+        { column: 'created_at', field: 'created_at', direction: 'DESC', type: 'date' },
+        { column: 'id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
     res.json({
       success: true,
       data: {
-        users: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        users,
+        pagination
       }
     });
   } catch (error) {
@@ -316,6 +387,11 @@ router.put('/users/:id/status', async (req, res, next) => {
 
     await user.update(updateData);
 
+    // A deactivated user is signed out everywhere, chat sockets included
+    if (is_active === false) {
+      disconnectSessions(req.io, await Session.revokeAllForUser(userId));
+    }
+
     // Create notification for user
     const messages = [];
     if (is_active === false) {
@@ -349,50 +425,32 @@ router.put('/users/:id/status', async (req, res, next) => {
 });
 
 // Get all reports
-router.get('/reports', async (req, res, next) => {
+router.get('/reports', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status, report_type } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let query = `
-      SELECT r.*, 
-             reporter.name as reporter_name, reporter.email as reporter_email,
-             reported_user.name as reported_user_name,
-             p.title as reported_product_title
-      FROM reports r
-      JOIN users reporter ON r.reporter_id = reporter.id
-      LEFT JOIN users reported_user ON r.reported_user_id = reported_user.id
-      LEFT JOIN products p ON r.reported_product_id = p.id
-      WHERE 1=1
-    `;
-
-    const queryParams = [];
-
-    if (status) {
-      query += ' AND r.status = ?';
-      queryParams.push(status);
-    }
-
-    if (report_type) {
-      query += ' AND r.report_type = ?';
-      queryParams.push(report_type);
-    }
-
-    query += ' ORDER BY r.created_at DESC LIMIT ? OFFSET ?';
-    queryParams.push(parseInt(limit), offset);
-
-    const [rows] = await db.execute(query, queryParams);
+    const { where, params: queryParams } = buildReportFilters(req.query);
+
+    const { items: reports, pagination } = await paginateQuery(req.pagination, {
+      select: `r.*, 
+               reporter.name as reporter_name, reporter.email as reporter_email,
+               reported_user.name as reported_user_name,
+               p.title as reported_product_title`,
+      from: `FROM reports r
+             JOIN users reporter ON r.reporter_id = reporter.id
+             LEFT JOIN users reported_user ON r.reported_user_id = reported_user.id
+             LEFT JOIN products p ON r.reported_product_id = p.id`,
+      where,
+      params: queryParams,
+      keys: [
+        { column: 'r.created_at', field: 'created_at', direction: 'DESC', type: 'date' },
+        { column: 'r.id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
     res.json({
       success: true,
       data: {
-        reports: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        reports,
+        pagination
       }
     });
   } catch (error) {
@@ -478,6 +536,102 @@ router.put('/reports/:id/status', async (req, res, next) => {
   }
 });
 
+// Get disputes queue
+router.get('/disputes', paginate(), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const { items: disputes, pagination } = await paginateList(req.pagination, {
+      count: () => Dispute.countAll({ status }),
+      fetch: (limit, offset) => Dispute.findAll({ status, limit, offset })
+    });
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Settle a dispute: refund, partial refund or reject
+router.put('/disputes/:id/resolve', async (req, res, next) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+    const { decision, refund_amount, admin_notes } = req.body;
+
+    if (isNaN(disputeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dispute ID'
+      });
+    }
+
+    if (!Dispute.DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid decision. Must be refund, partial_refund, or reject'
+      });
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute has already been resolved'
+      });
+    }
+
+    const purchase = await Purchase.findById(dispute.purchase_id);
+    const purchaseTotal = Number(purchase.price) * purchase.quantity;
+
+    if (decision === 'partial_refund') {
+      const amount = parseFloat(refund_amount);
+      if (isNaN(amount) || amount <= 0 || amount >= purchaseTotal) {
+        return res.status(400).json({
+          success: false,
+          message: `Partial refund amount must be between 0 and ${purchaseTotal}`
+        });
+      }
+    }
+
+    const resolvedDispute = await dispute.resolve({
+      decision,
+      refundAmount: refund_amount,
+      adminNotes: admin_notes,
+      adminId: req.user.id
+    }, purchase);
+
+    if (!resolvedDispute) {
+      return res.status(409).json({
+        success: false,
+        message: 'Dispute was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved successfully',
+      data: {
+        dispute: resolvedDispute
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get all categories
 router.get('/categories', async (req, res, next) => {
   try {
@@ -548,6 +702,11 @@ router.put('/categories/:id', async (req, res, next) => {
 
     const updatedCategory = await category.update(updateData);
 
+    // Category names are part of the product search index
+    if (name) {
+      invalidateIndex();
+    }
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -581,6 +740,7 @@ router.delete('/categories/:id', async (req, res, next) => {
     }
 
     await category.delete();
+    invalidateIndex();
 
     res.json({
       success: true,
@@ -591,69 +751,312 @@ router.delete('/categories/:id', async (req, res, next) => {
   }
 });
 
-// Get analytics data
+// List rejection reason templates
+router.get('/rejection-templates', async (req, res, next) => {
+  try {
+    const templates = await RejectionTemplate.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Returns an error message for an invalid template title or message, or null.
+// Fields left undefined are not checked, for partial updates.
+const validateRejectionTemplate = ({ title, message }) => {
+  if (title !== undefined && (!String(title).trim() || String(title).trim().length > RejectionTemplate.MAX_TITLE_LENGTH)) {
+    return `Title is required and must be at most ${RejectionTemplate.MAX_TITLE_LENGTH} characters`;
+  }
+  if (message !== undefined && (!String(message).trim() || String(message).trim().length > RejectionTemplate.MAX_MESSAGE_LENGTH)) {
+    return `Message is required and must be at most ${RejectionTemplate.MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Create a rejection reason template
+router.post('/rejection-templates', async (req, res, next) => {
+  try {
+    const { title = '', message = '' } = req.body;
+
+    const error = validateRejectionTemplate({ title, message });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await RejectionTemplate.findByTitle(String(title).trim())) {
+      return res.status(409).json({
+        success: false,
+        message: 'A template with this title already exists'
+      });
+    }
+
+    const template = await RejectionTemplate.create({
+      title: String(title).trim(),
+      message: String(message).trim(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rejection template created successfully',
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a rejection reason template
+router.put('/rejection-templates/:id', async (req, res, next) => {
+  try {
+    const templateId = parseInt(req.params.id);
+    const { title, message } = req.body;
+
+    if (isNaN(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const template = await RejectionTemplate.findById(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejection template not found'
+      });
+    }
+
+    const error = validateRejectionTemplate({ title, message });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (title !== undefined) {
+      const existing = await RejectionTemplate.findByTitle(String(title).trim());
+      if (existing && existing.id !== template.id) {
+        return res.status(409).json({
+          success: false,
+          message: 'A template with this title already exists'
+        });
+      }
+    }
+
+    const updated = await template.update({
+      title: title !== undefined ? String(title).trim() : undefined,
+      message: message !== undefined ? String(message).trim() : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Rejection template updated successfully',
+      data: {
+        template: updated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a rejection reason template. Products rejected with it keep their reason.
+router.delete('/rejection-templates/:id', async (req, res, next) => {
+  try {
+    const templateId = parseInt(req.params.id);
+
+    if (isNaN(templateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const template = await RejectionTemplate.findById(templateId);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rejection template not found'
+      });
+    }
+
+    await template.delete();
+
+    res.json({
+      success: true,
+      message: 'Rejection template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export users, products, purchases or reports as ?format=csv|xlsx, taking the same
+// filters as the list endpoints. Up to SYNC_MAX_ROWS rows stream straight back;
+// larger exports (or any with ?background=true) run as a job and the admin is
+// notified with a download link.
+router.get('/:dataset(users|products|purchases|reports)/export', async (req, res, next) => {
+  try {
+    const { dataset } = req.params;
+    const format = req.query.format || 'csv';
+
+    if (!FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Use ${Object.keys(FORMATS).join(' or ')}`
+      });
+    }
+
+    const filters = pickFilters(dataset, req.query);
+    const total = await countExportRows(dataset, filters);
+
+    if (total > SYNC_MAX_ROWS || req.query.background === 'true') {
+      const job = await startExportJob({ adminId: req.user.id, dataset, format, filters });
+
+      return res.status(202).json({
+        success: true,
+        message: 'Export started. You will be notified when it is ready to download',
+        data: {
+          export: job,
+          total
+        }
+      });
+    }
+
+    res.setHeader('Content-Type', FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(dataset, format)}"`);
+    await writeExport({ dataset, format, filters }, res);
+  } catch (error) {
+    // Too late for an error response once the file has started
+    if (res.headersSent) {
+      console.error('Export failed:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+});
+
+// Get the status of a background export
+router.get('/exports/:id', async (req, res, next) => {
+  try {
+    const job = await ExportJob.findById(parseInt(req.params.id));
+
+    if (!job || job.admin_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        export: job
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a finished background export
+router.get('/exports/:id/download', async (req, res, next) => {
+  try {
+    const job = await ExportJob.findById(parseInt(req.params.id));
+
+    if (!job || job.admin_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Export not found'
+      });
+    }
+
+    if (!job.isDownloadable()) {
+      return res.status(job.status === 'completed' ? 410 : 409).json({
+        success: false,
+        message: job.status === 'completed' ? 'This export has expired' : `This export is ${job.status}`
+      });
+    }
+
+    res.download(job.file_path, exportFileName(job.dataset, job.format), error => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get analytics data for ?period=7d|30d|90d|1y, bucketed by ?granularity=day|week|month
 router.get('/analytics', async (req, res, next) => {
   try {
-    const { period = '30d' } = req.query;
-
-    let dateFilter = '';
-    switch (period) {
-      case '7d':
-        dateFilter = 'AND created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)';
-        break;
-      case '30d':
-        dateFilter = 'AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)';
-        break;
-      case '90d':
-        dateFilter = 'AND created_at >= DATE_SUB(NOW(), INTERVAL 90 DAY)';
-        break;
-      case '1y':
-        dateFilter = 'AND created_at >= DATE_SUB(NOW(), INTERVAL 1 YEAR)';
-        break;
-    }
-
-    // User registrations over time
-    const [userRegistrations] = await db.execute(
-      `SELECT DATE(created_at) as date, COUNT(*) as count
-       FROM users 
-       WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-       GROUP BY DATE(created_at)
-       ORDER BY date ASC`
-    );
+    const range = resolvePeriod(req.query.period, req.query.granularity);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
-    // Product listings over time
-    const [productListings] = await db.execute(
-      `SELECT DATE(created_at) as date, COUNT(*) as count
-       FROM products 
-       WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-       GROUP BY DATE(created_at)
-       ORDER BY date ASC`
-    );
+    const [registrations, listings] = await Promise.all([
+      countPerBucket('users', 'created_at', range),
+      countPerBucket('products', 'created_at', range)
+    ]);
+    const userRegistrations = range.buckets.map(date => ({ date, count: registrations.get(date) || 0 }));
+    const productListings = range.buckets.map(date => ({ date, count: listings.get(date) || 0 }));
 
-    // Category distribution
+    // Category distribution of the approved listings created in the period
     const [categoryStats] = await db.execute(
       `SELECT c.name, COUNT(p.id) as count
        FROM categories c
-       LEFT JOIN products p ON c.id = p.category_id AND p.status = 'approved'
+       LEFT JOIN products p ON c.id = p.category_id AND p.status = 'approved' AND p.created_at >= ?
        GROUP BY c.id, c.name
-       ORDER BY count DESC`
+       ORDER BY count DESC`,
+      [range.from]
     );
 
-    // Top sellers
+    // Top sellers by sales completed and approved listings created in the period,
+    // counted separately so one doesn't multiply the other
     const [topSellers] = await db.execute(
-      `SELECT u.name, u.email, COUNT(p.id) as listings, COUNT(pur.id) as sales
+      `SELECT u.name, u.email, COALESCE(l.listings, 0) as listings, COALESCE(s.sales, 0) as sales
        FROM users u
-       LEFT JOIN products p ON u.id = p.seller_id AND p.status = 'approved'
-       LEFT JOIN purchases pur ON u.id = pur.seller_id AND pur.status = 'completed'
-       GROUP BY u.id
+       LEFT JOIN (
+         SELECT seller_id, COUNT(*) as listings
+         FROM products
+         WHERE status = 'approved' AND created_at >= ?
+         GROUP BY seller_id
+       ) l ON l.seller_id = u.id
+       LEFT JOIN (
+         SELECT seller_id, COUNT(*) as sales
+         FROM purchases
+         WHERE status = 'completed' AND completed_at >= ?
+         GROUP BY seller_id
+       ) s ON s.seller_id = u.id
+       WHERE l.listings IS NOT NULL OR s.sales IS NOT NULL
        ORDER BY sales DESC, listings DESC
-       LIMIT 10`
+       LIMIT 10`,
+      [range.from, range.from]
     );
 
     res.json({
       success: true,
       data: {
-        period,
+        period: range.period,
+        granularity: range.granularity,
         userRegistrations,
         productListings,
         categoryStats,
@@ -665,4 +1068,55 @@ router.get('/analytics', async (req, res, next) => {
   }
 });
 
+// GMV, listings, approvals, sign-ups, chat-to-purchase conversion and active users
+// per bucket of the period
+router.get('/analytics/series', async (req, res, next) => {
+  try {
+    const range = resolvePeriod(req.query.period, req.query.granularity);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: range.period,
+        granularity: range.granularity,
+        from: range.from,
+        series: await getTimeSeries(range)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retention of the sign-up cohorts in the period, one cohort per bucket
+router.get('/analytics/retention', async (req, res, next) => {
+  try {
+    const range = resolvePeriod(req.query.period, req.query.granularity);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        period: range.period,
+        granularity: range.granularity,
+        from: range.from,
+        cohorts: await getCohortRetention(range)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
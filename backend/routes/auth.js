@@ -1,11 +1,29 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const PasswordReset = require('../models/PasswordReset');
+const Session = require('../models/Session');
+const { sendPasswordResetOtp } = require('../services/mailer');
+const { disconnectSessions } = require('../services/chat');
+const { generateToken, authenticateToken } = require('../middleware/auth');
 const { validate, userValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Start a new device session and issue its access and refresh tokens
+const createSessionTokens = async (req, userId) => {
+  const { session, refreshToken } = await Session.create(userId, {
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+  });
+
+  return {
+    token: generateToken(userId, session.id),
+    refreshToken,
+    session_id: session.id
+  };
+};
+
 // Register new user
 router.post('/register', validate(userValidation.register), async (req, res, next) => {
   try {
@@ -40,15 +58,15 @@ router.post('/register', validate(userValidation.register), async (req, res, nex
       pincode
     });
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(req, user.id);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -79,15 +97,22 @@ router.post('/login', validate(userValidation.login), async (req, res, next) =>
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account has been deactivated'
+      });
+    }
+
+    // Generate access and refresh tokens
+    const tokens = await createSessionTokens(req, user.id);
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -96,87 +121,60 @@ router.post('/login', validate(userValidation.login), async (req, res, next) =>
 });
 
 // Get current user profile
-router.get('/me', async (req, res, next) => {
+router.get('/me', authenticateToken, async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
     res.json({
       success: true,
       data: {
-        user: user.toJSON()
+        user: req.user.toJSON()
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
     next(error);
   }
 });
 
-// Refresh token
+// Refresh token (rotates the refresh token on every use)
 router.post('/refresh', async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
 
-    if (!token) {
+    const rotated = await Session.rotate(refreshToken);
+    if (!rotated) {
       return res.status(401).json({
         success: false,
-        message: 'Access token required'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const { session } = rotated;
+    const user = await User.findById(session.user_id);
 
     if (!user || !user.is_active) {
+      await session.revoke();
       return res.status(401).json({
         success: false,
-        message: 'Invalid token'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    // Generate new token
-    const newToken = generateToken(user.id);
-
     res.json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token: newToken
+        token: generateToken(user.id, session.id),
+        refreshToken: rotated.refreshToken,
+        session_id: session.id
       }
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
     next(error);
   }
 });
@@ -194,27 +192,23 @@ router.post('/forgot-password', async (req, res, next) => {
     }
 
     const user = await User.findByEmail(email);
-    if (!user) {
-      // Don't reveal if email exists or not
-      return res.json({
-        success: true,
-        message: 'If the email exists, a password reset link has been sent'
-      });
-    }
 
-    // Generate OTP (6 digits)
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // In a real application, you would:
-    // 1. Store OTP in database with expiration
-    // 2. Send email with OTP
-    // 3. For demo purposes, we'll just return success
+    // Don't reveal if email exists or not; a request inside the re-send cooldown
+    // gets the same answer without a new code
+    if (user && user.is_active && await PasswordReset.canIssue(user.id)) {
+      const { otp } = await PasswordReset.create(user.id);
+
+      // A mail failure must look the same as an unknown email
+      try {
+        await sendPasswordResetOtp(user, otp, PasswordReset.OTP_EXPIRY_MINUTES);
+      } catch (error) {
+        console.error('Password reset email failed:', error);
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Password reset OTP sent to your email',
-      // Remove this in production
-      demo_otp: otp
+      message: 'If the email exists, a password reset OTP has been sent'
     });
   } catch (error) {
     next(error);
@@ -240,25 +234,43 @@ router.post('/reset-password', async (req, res, next) => {
       });
     }
 
+    if (!/^\d{6}$/.test(otp)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP format'
+      });
+    }
+
     const user = await User.findByEmail(email);
-    if (!user) {
+    const reset = user ? await PasswordReset.findActiveByUser(user.id) : null;
+
+    if (!reset || reset.isExpired()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email or OTP'
+        message: 'Invalid or expired OTP'
       });
     }
 
-    // In a real application, you would verify the OTP here
-    // For demo purposes, we'll accept any 6-digit OTP
-    if (!/^\d{6}$/.test(otp)) {
+    if (!(await reset.claimAttempt())) {
+      await reset.markUsed();
+      return res.status(429).json({
+        success: false,
+        message: 'Too many incorrect attempts. Please request a new OTP'
+      });
+    }
+
+    const isOtpValid = await reset.verify(otp);
+    if (!isOtpValid) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP format'
+        message: 'Invalid or expired OTP'
       });
     }
 
-    // Update password
+    // Update password, invalidate all outstanding codes and sign out every device
     await user.updatePassword(newPassword);
+    await reset.markUsed();
+    disconnectSessions(req.io, await Session.revokeAllForUser(user.id));
 
     res.json({
       success: true,
@@ -270,29 +282,8 @@ router.post('/reset-password', async (req, res, next) => {
 });
 
 // Change password (authenticated user)
-router.post('/change-password', async (req, res, next) => {
+router.post('/change-password', authenticateToken, async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token required'
-      });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
     const { currentPassword, newPassword } = req.body;
 
     if (!currentPassword || !newPassword) {
@@ -310,7 +301,7 @@ router.post('/change-password', async (req, res, next) => {
     }
 
     // Verify current password
-    const isCurrentPasswordValid = await user.verifyPassword(currentPassword);
+    const isCurrentPasswordValid = await req.user.verifyPassword(currentPassword);
     if (!isCurrentPasswordValid) {
       return res.status(400).json({
         success: false,
@@ -318,30 +309,89 @@ router.post('/change-password', async (req, res, next) => {
       });
     }
 
-    // Update password
-    await user.updatePassword(newPassword);
+    // Update password and sign out all other devices
+    await req.user.updatePassword(newPassword);
+    disconnectSessions(req.io, await Session.revokeAllForUser(req.user.id, req.sessionId));
 
     res.json({
       success: true,
       message: 'Password changed successfully'
     });
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
+    next(error);
+  }
+});
+
+// Logout (revokes the current session)
+router.post('/logout', authenticateToken, async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.sessionId);
+    if (session) {
+      await session.revoke();
+      disconnectSessions(req.io, [session.id]);
     }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
     next(error);
   }
 });
 
-// Logout (client-side token removal)
-router.post('/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// List active sessions (signed-in devices)
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          is_current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a session
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    if (isNaN(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.user_id !== req.user.id || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke();
+    disconnectSessions(req.io, [session.id]);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        session_id: sessionId
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 module.exports = router;
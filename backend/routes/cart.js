@@ -1,6 +1,7 @@
 const express = require('express');
 const db = require('../config/database');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
 const { authenticateToken } = require('../middleware/auth');
 const { validate, cartValidation } = require('../middleware/validation');
 
@@ -21,21 +22,11 @@ router.get('/', async (req, res, next) => {
       [req.user.id]
     );
 
-    // Calculate totals
-    const subtotal = rows.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    const serviceFee = 50; // Fixed service fee
-    const total = subtotal + serviceFee;
-
     res.json({
       success: true,
       data: {
         items: rows,
-        summary: {
-          subtotal,
-          serviceFee,
-          total,
-          itemCount: rows.length
-        }
+        summary: Order.summarize(rows)
       }
     });
   } catch (error) {
@@ -1,9 +1,70 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const ChatRoom = require('../models/ChatRoom');
+const Message = require('../models/Message');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const { sendMessage, sendOfferMessage, markRoomRead, isOnline } = require('../services/chat');
+const { STORAGE_ROOT, createUpload, removeUploadedFiles } = require('../middleware/upload');
+const { paginate, paginateQuery } = require('../middleware/pagination');
+const { imageSize } = require('image-size');
+const path = require('path');
+const fs = require('fs');
 
 const router = express.Router();
 
+// Chat attachments: images and PDF documents, one per message. They are kept
+// outside the public uploads/ directory and only served to room participants.
+const upload = createUpload({
+  root: STORAGE_ROOT,
+  directory: 'chat',
+  prefix: 'chat',
+  maxFiles: 1,
+  maxFileSize: 10 * 1024 * 1024, // 10MB limit
+  allowedTypes: /jpeg|jpg|png|gif|webp|pdf/,
+  typeErrorMessage: 'Only image files (JPEG, PNG, GIF, WebP) and PDF documents are allowed'
+});
+
+const ATTACHMENT_URL_PREFIX = '/api/chat/attachments/';
+const ATTACHMENTS_DIR = path.join(STORAGE_ROOT, 'chat');
+
+// Content types by stored file extension; the client-supplied mime type is not trusted
+const ATTACHMENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+const attachmentType = (filename) =>
+  ATTACHMENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+
+// Metadata stored with an uploaded attachment
+const describeAttachment = (file) => {
+  const attachment = {
+    url: ATTACHMENT_URL_PREFIX + file.filename,
+    name: file.originalname,
+    mime_type: attachmentType(file.filename),
+    size: file.size,
+    width: null,
+    height: null
+  };
+
+  if (attachment.mime_type.startsWith('image/')) {
+    try {
+      const dimensions = imageSize(file.path);
+      attachment.width = dimensions.width;
+      attachment.height = dimensions.height;
+    } catch (error) {
+      // Unreadable image headers; keep the attachment without dimensions
+    }
+  }
+
+  return attachment;
+};
+
 // Get user's chat rooms
 router.get('/rooms', async (req, res, next) => {
   try {
@@ -24,6 +85,10 @@ router.get('/rooms', async (req, res, next) => {
                 WHEN cr.buyer_id = ? THEN seller.id
                 ELSE buyer.id
               END as other_user_id,
+              CASE 
+                WHEN cr.buyer_id = ? THEN seller.last_seen_at
+                ELSE buyer.last_seen_at
+              END as other_user_last_seen_at,
               (SELECT message FROM messages WHERE room_id = cr.id ORDER BY created_at DESC LIMIT 1) as last_message,
               (SELECT created_at FROM messages WHERE room_id = cr.id ORDER BY created_at DESC LIMIT 1) as last_message_time,
               (SELECT COUNT(*) FROM messages WHERE room_id = cr.id AND sender_id != ? AND is_read = FALSE) as unread_count
@@ -33,13 +98,16 @@ router.get('/rooms', async (req, res, next) => {
        JOIN users seller ON cr.seller_id = seller.id
        WHERE cr.buyer_id = ? OR cr.seller_id = ?
        ORDER BY cr.last_message_at DESC`,
-      [req.user.id, req.user.id, req.user.id, req.user.id, req.user.id, req.user.id]
+      [req.user.id, req.user.id, req.user.id, req.user.id, req.user.id, req.user.id, req.user.id]
     );
 
     res.json({
       success: true,
       data: {
-        rooms: rows
+        rooms: rows.map(room => ({
+          ...room,
+          other_user_online: isOnline(room.other_user_id)
+        }))
       }
     });
   } catch (error) {
@@ -69,7 +137,7 @@ router.post('/room', async (req, res, next) => {
 
     // Check if product exists and belongs to the seller
     const [productRows] = await db.execute(
-      'SELECT * FROM products WHERE id = ? AND seller_id = ? AND status = "approved"',
+      "SELECT * FROM products WHERE id = ? AND seller_id = ? AND status = 'approved'",
       [product_id, seller_id]
     );
 
@@ -125,10 +193,9 @@ router.post('/room', async (req, res, next) => {
 });
 
 // Get messages for a chat room
-router.get('/room/:roomId/messages', async (req, res, next) => {
+router.get('/room/:roomId/messages', paginate({ defaultLimit: 50 }), async (req, res, next) => {
   try {
     const roomId = parseInt(req.params.roomId);
-    const { page = 1, limit = 50 } = req.query;
 
     if (isNaN(roomId)) {
       return res.status(400).json({
@@ -138,47 +205,34 @@ router.get('/room/:roomId/messages', async (req, res, next) => {
     }
 
     // Check if user has access to this room
-    const [roomRows] = await db.execute(
-      'SELECT * FROM chat_rooms WHERE id = ? AND (buyer_id = ? OR seller_id = ?)',
-      [roomId, req.user.id, req.user.id]
-    );
-
-    if (roomRows.length === 0) {
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this chat room'
       });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    // Get messages
-    const [messages] = await db.execute(
-      `SELECT m.*, u.name as sender_name, u.avatar as sender_avatar
-       FROM messages m
-       JOIN users u ON m.sender_id = u.id
-       WHERE m.room_id = ?
-       ORDER BY m.created_at DESC
-       LIMIT ? OFFSET ?`,
-      [roomId, parseInt(limit), offset]
-    );
+    // Get messages, newest first so the cursor walks back through the history
+    const { items: messages, pagination } = await paginateQuery(req.pagination, {
+      select: 'm.*, u.name as sender_name, u.avatar as sender_avatar',
+      from: 'FROM messages m JOIN users u ON m.sender_id = u.id',
+      where: 'WHERE m.room_id = ?',
+      params: [roomId],
+      keys: [
+        { column: 'm.created_at', field: 'created_at', direction: 'DESC', type: 'date' },
+        { column: 'm.id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
-    // Mark messages as read
-    await db.execute(
-      'UPDATE messages SET is_read = TRUE WHERE room_id = ? AND sender_id != ? AND is_read = FALSE',
-      [roomId, req.user.id]
-    );
+    // Mark messages as read and send read receipts
+    await markRoomRead(req.io, room, req.user.id);
 
     res.json({
       success: true,
       data: {
         messages: messages.reverse(), // Reverse to show oldest first
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: messages.length,
-          hasMore: messages.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -190,7 +244,6 @@ router.get('/room/:roomId/messages', async (req, res, next) => {
 router.post('/room/:roomId/message', async (req, res, next) => {
   try {
     const roomId = parseInt(req.params.roomId);
-    const { message, message_type = 'text', attachment_url } = req.body;
 
     if (isNaN(roomId)) {
       return res.status(400).json({
@@ -199,60 +252,368 @@ router.post('/room/:roomId/message', async (req, res, next) => {
       });
     }
 
-    if (!message || message.trim().length === 0) {
+    const validationError = Message.validate(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        message: 'Message cannot be empty'
+        message: validationError
       });
     }
 
     // Check if user has access to this room
-    const [roomRows] = await db.execute(
-      'SELECT * FROM chat_rooms WHERE id = ? AND (buyer_id = ? OR seller_id = ?)',
-      [roomId, req.user.id, req.user.id]
-    );
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this chat room'
+      });
+    }
+
+    // Store and broadcast through the same path as the send_message socket event
+    const message = await sendMessage(req.io, room, req.user.id, { message: req.body.message });
 
-    if (roomRows.length === 0) {
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: {
+        message
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send an image or file attachment with an optional caption
+router.post('/room/:roomId/attachment', upload.single('file'), async (req, res, next) => {
+  try {
+    const roomId = parseInt(req.params.roomId);
+    const caption = req.body.message ? req.body.message.trim() : '';
+
+    if (isNaN(roomId)) {
+      removeUploadedFiles(req.file);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room ID'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attachment file is required'
+      });
+    }
+
+    if (caption.length > Message.MAX_MESSAGE_LENGTH) {
+      removeUploadedFiles(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Message cannot exceed ${Message.MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
+      removeUploadedFiles(req.file);
       return res.status(403).json({
         success: false,
         message: 'Access denied to this chat room'
       });
     }
 
-    // Insert message
-    const [result] = await db.execute(
-      'INSERT INTO messages (room_id, sender_id, message, message_type, attachment_url) VALUES (?, ?, ?, ?, ?)',
-      [roomId, req.user.id, message.trim(), message_type, attachment_url || null]
-    );
+    const attachment = describeAttachment(req.file);
+    const message = await sendMessage(req.io, room, req.user.id, {
+      message: caption || attachment.name,
+      message_type: attachment.mime_type.startsWith('image/') ? 'image' : 'file',
+      attachment
+    });
 
-    // Update room's last message time
-    await db.execute(
-      'UPDATE chat_rooms SET last_message_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [roomId]
-    );
+    res.status(201).json({
+      success: true,
+      message: 'Attachment sent successfully',
+      data: {
+        message
+      }
+    });
+  } catch (error) {
+    removeUploadedFiles(req.file);
+    next(error);
+  }
+});
 
-    // Get the created message with sender details
-    const [messageRows] = await db.execute(
-      `SELECT m.*, u.name as sender_name, u.avatar as sender_avatar
-       FROM messages m
-       JOIN users u ON m.sender_id = u.id
-       WHERE m.id = ?`,
-      [result.insertId]
-    );
+// Download an attachment (room participants only)
+router.get('/attachments/:filename', async (req, res, next) => {
+  try {
+    const filename = path.basename(req.params.filename);
+    const message = await Message.findByAttachmentUrl(ATTACHMENT_URL_PREFIX + filename);
+    const room = message ? await ChatRoom.findForParticipant(message.room_id, req.user.id) : null;
+
+    if (!message || !room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const filePath = path.join(ATTACHMENTS_DIR, filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const contentType = attachmentType(filename);
+    const disposition = contentType.startsWith('image/') ? 'inline' : 'attachment';
+    res.sendFile(filePath, {
+      headers: {
+        'Content-Type': contentType,
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(message.attachment_name || filename)}`,
+        'Cache-Control': 'private, max-age=3600'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the price offers made in a chat room
+router.get('/room/:roomId/offers', async (req, res, next) => {
+  try {
+    const roomId = parseInt(req.params.roomId);
+
+    if (isNaN(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room ID'
+      });
+    }
+
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this chat room'
+      });
+    }
+
+    const offers = await Offer.findByRoom(roomId);
+
+    res.json({
+      success: true,
+      data: {
+        offers: offers.map(offer => offer.toJSON())
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make a price offer on the room's product (buyer only)
+router.post('/room/:roomId/offers', async (req, res, next) => {
+  try {
+    const roomId = parseInt(req.params.roomId);
+    const amount = parseFloat(req.body.amount);
+
+    if (isNaN(roomId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid room ID'
+      });
+    }
+
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this chat room'
+      });
+    }
 
-    // Emit to socket.io
-    if (req.io) {
-      req.io.to(`room_${roomId}`).emit('new_message', {
-        room_id: roomId,
-        message: messageRows[0]
+    if (room.buyer_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer can make an offer'
       });
     }
 
+    const product = await Product.findById(room.product_id);
+    if (!product || product.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is not available for purchase'
+      });
+    }
+
+    if (isNaN(amount) || amount <= 0 || amount > Number(product.price)) {
+      return res.status(400).json({
+        success: false,
+        message: `Offer amount must be greater than 0 and at most the listed price of ₹${product.price}`
+      });
+    }
+
+    const pendingOffer = await Offer.findPendingByRoom(roomId);
+    if (pendingOffer) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is already a pending offer in this chat'
+      });
+    }
+
+    const offer = await Offer.create(room, { proposedBy: req.user.id, amount });
+    const message = await sendOfferMessage(req.io, room, req.user.id, offer, `Offered ₹${amount} for ${product.title}`);
+
     res.status(201).json({
       success: true,
-      message: 'Message sent successfully',
+      message: `Offer sent. It expires in ${Offer.OFFER_EXPIRY_HOURS} hours.`,
       data: {
-        message: messageRows[0]
+        offer: offer.toJSON(),
+        message
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept, reject or counter an offer made by the other party
+router.post('/offers/:offerId/respond', async (req, res, next) => {
+  try {
+    const offerId = parseInt(req.params.offerId);
+    const { action } = req.body;
+
+    if (isNaN(offerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid offer ID'
+      });
+    }
+
+    if (!Offer.RESPONSES.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action. Must be accept, reject, or counter'
+      });
+    }
+
+    const offer = await Offer.findById(offerId);
+    const room = offer ? await ChatRoom.findForParticipant(offer.room_id, req.user.id) : null;
+    if (!offer || !room) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (offer.isExpired()) {
+      await Offer.expireStale(room.id);
+      return res.status(400).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    if (!offer.canRespond(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: offer.proposed_by === req.user.id
+          ? 'You cannot respond to your own offer'
+          : `This offer has already been ${offer.status}`
+      });
+    }
+
+    const product = await Product.findById(room.product_id);
+    if (!product || product.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is not available for purchase'
+      });
+    }
+
+    if (action === 'reject') {
+      if (!(await offer.reject())) {
+        return res.status(409).json({
+          success: false,
+          message: 'Offer was updated by someone else. Please refresh and try again'
+        });
+      }
+
+      const message = await sendOfferMessage(req.io, room, req.user.id, offer, `Declined the offer of ₹${offer.amount}`);
+
+      return res.json({
+        success: true,
+        message: 'Offer rejected',
+        data: {
+          offer: offer.toJSON(),
+          message
+        }
+      });
+    }
+
+    if (action === 'counter') {
+      const amount = parseFloat(req.body.amount);
+      if (isNaN(amount) || amount <= 0 || amount > Number(product.price)) {
+        return res.status(400).json({
+          success: false,
+          message: `Counter-offer amount must be greater than 0 and at most the listed price of ₹${product.price}`
+        });
+      }
+
+      if (amount === Number(offer.amount)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Counter-offer must differ from the current offer. Accept it instead'
+        });
+      }
+
+      const counterOffer = await offer.counter(room, req.user.id, amount);
+      if (!counterOffer) {
+        return res.status(409).json({
+          success: false,
+          message: 'Offer was updated by someone else. Please refresh and try again'
+        });
+      }
+
+      await sendOfferMessage(req.io, room, req.user.id, offer, `Countered the offer of ₹${offer.amount}`);
+      const message = await sendOfferMessage(req.io, room, req.user.id, counterOffer, `Counter-offered ₹${amount}`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Counter-offer sent',
+        data: {
+          offer: counterOffer.toJSON(),
+          message
+        }
+      });
+    }
+
+    // Accepting creates the purchase for the buyer at the agreed amount
+    const { order, unavailable } = await offer.accept(product);
+    if (!order) {
+      if (unavailable) {
+        await sendOfferMessage(req.io, room, req.user.id, offer, `The offer of ₹${offer.amount} could not be accepted: the product is no longer available`);
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: unavailable
+          ? 'Product is no longer available for purchase'
+          : 'Offer was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    const message = await sendOfferMessage(req.io, room, req.user.id, offer, `Accepted the offer of ₹${offer.amount}`);
+
+    res.json({
+      success: true,
+      message: 'Offer accepted. The buyer can now complete the payment.',
+      data: {
+        offer: offer.toJSON(),
+        order: order.toJSON(),
+        message
       }
     });
   } catch (error) {
@@ -263,20 +624,12 @@ router.post('/room/:roomId/message', async (req, res, next) => {
 // Get unread message count
 router.get('/unread-count', async (req, res, next) => {
   try {
-    const [rows] = await db.execute(
-      `SELECT COUNT(*) as unread_count
-       FROM messages m
-       JOIN chat_rooms cr ON m.room_id = cr.id
-       WHERE (cr.buyer_id = ? OR cr.seller_id = ?) 
-       AND m.sender_id != ? 
-       AND m.is_read = FALSE`,
-      [req.user.id, req.user.id, req.user.id]
-    );
+    const unreadCount = await Message.countUnread(req.user.id);
 
     res.json({
       success: true,
       data: {
-        unread_count: rows[0].unread_count
+        unread_count: unreadCount
       }
     });
   } catch (error) {
@@ -297,27 +650,23 @@ router.put('/room/:roomId/read', async (req, res, next) => {
     }
 
     // Check if user has access to this room
-    const [roomRows] = await db.execute(
-      'SELECT * FROM chat_rooms WHERE id = ? AND (buyer_id = ? OR seller_id = ?)',
-      [roomId, req.user.id, req.user.id]
-    );
-
-    if (roomRows.length === 0) {
+    const room = await ChatRoom.findForParticipant(roomId, req.user.id);
+    if (!room) {
       return res.status(403).json({
         success: false,
         message: 'Access denied to this chat room'
       });
     }
 
-    // Mark messages as read
-    await db.execute(
-      'UPDATE messages SET is_read = TRUE WHERE room_id = ? AND sender_id != ?',
-      [roomId, req.user.id]
-    );
+    const { readAt, messageIds } = await markRoomRead(req.io, room, req.user.id);
 
     res.json({
       success: true,
-      message: 'Messages marked as read'
+      message: 'Messages marked as read',
+      data: {
+        read_at: readAt,
+        message_ids: messageIds
+      }
     });
   } catch (error) {
     next(error);
@@ -355,6 +704,15 @@ router.delete('/message/:messageId', async (req, res, next) => {
       [messageId]
     );
 
+    // Remove its attachment file
+    const { attachment_url } = messageRows[0];
+    if (attachment_url && attachment_url.startsWith(ATTACHMENT_URL_PREFIX)) {
+      const filePath = path.join(ATTACHMENTS_DIR, path.basename(attachment_url));
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Message deleted successfully'
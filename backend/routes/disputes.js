@@ -0,0 +1,213 @@
+const express = require('express');
+const Dispute = require('../models/Dispute');
+const Purchase = require('../models/Purchase');
+const { createUpload, removeUploadedFiles } = require('../middleware/upload');
+const { paginate, paginateList } = require('../middleware/pagination');
+
+const router = express.Router();
+
+// Evidence images
+const upload = createUpload({ directory: 'disputes', prefix: 'evidence', maxFiles: 6 });
+
+const evidenceUrls = (files) => (files || []).map(file => `/uploads/disputes/${file.filename}`);
+
+// Open a dispute on a purchase (buyer only)
+router.post('/', upload.array('evidence', 6), async (req, res, next) => {
+  try {
+    const purchaseId = parseInt(req.body.purchase_id);
+    const reason = req.body.reason ? req.body.reason.trim() : '';
+    const { description } = req.body;
+
+    if (isNaN(purchaseId)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase ID'
+      });
+    }
+
+    if (!reason) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute reason is required'
+      });
+    }
+
+    const purchase = await Purchase.findById(purchaseId);
+    if (!purchase || purchase.buyer_id !== req.user.id) {
+      removeUploadedFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
+
+    const existingDispute = await Dispute.findOpenByPurchase(purchaseId);
+    if (existingDispute) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'A dispute is already open for this purchase'
+      });
+    }
+
+    if (!Purchase.canTransition(purchase.status, 'disputed', 'buyer')) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Disputes can only be opened on paid, shipped or completed purchases'
+      });
+    }
+
+    const dispute = await Dispute.open(purchase, {
+      reason,
+      description,
+      evidence: evidenceUrls(req.files)
+    });
+
+    if (!dispute) {
+      removeUploadedFiles(req.files);
+      return res.status(409).json({
+        success: false,
+        message: 'Purchase was updated by someone else. Please refresh and try again'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Dispute opened. The seller has ${Dispute.SELLER_RESPONSE_HOURS} hours to respond.`,
+      data: {
+        dispute: {
+          ...dispute,
+          evidence: await dispute.getEvidence()
+        }
+      }
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    next(error);
+  }
+});
+
+// Get disputes the user is a party to
+router.get('/', paginate(), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const { items: disputes, pagination } = await paginateList(req.pagination, {
+      count: () => Dispute.countByUser(req.user.id, { status }),
+      fetch: (limit, offset) => Dispute.findByUser(req.user.id, { status, limit, offset })
+    });
+
+    res.json({
+      success: true,
+      data: {
+        disputes,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get dispute details with evidence
+router.get('/:id', async (req, res, next) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+
+    if (isNaN(disputeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dispute ID'
+      });
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute || (!dispute.isParty(req.user.id) && !req.user.is_admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        dispute: {
+          ...dispute,
+          evidence: await dispute.getEvidence()
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Seller response (within the response window)
+router.post('/:id/respond', upload.array('evidence', 6), async (req, res, next) => {
+  try {
+    const disputeId = parseInt(req.params.id);
+    const response = req.body.response ? req.body.response.trim() : '';
+
+    if (isNaN(disputeId)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dispute ID'
+      });
+    }
+
+    if (!response) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Response is required'
+      });
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute || dispute.seller_id !== req.user.id) {
+      removeUploadedFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    if (!dispute.canSellerRespond()) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'The response window for this dispute has closed'
+      });
+    }
+
+    const updatedDispute = await dispute.respond(response, evidenceUrls(req.files));
+    if (!updatedDispute) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'The response window for this dispute has closed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Response submitted successfully',
+      data: {
+        dispute: {
+          ...updatedDispute,
+          evidence: await updatedDispute.getEvidence()
+        }
+      }
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { authenticateToken } = require('../middleware/auth');
+const payments = require('../services/payments');
+
+const router = express.Router();
+
+// Start a payment for an order
+router.post('/intent', authenticateToken, async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.body.order_id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.buyer_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.isPayable()) {
+      return res.status(400).json({
+        success: false,
+        message: ['paid', 'refunded'].includes(order.status)
+          ? 'Order has already been paid'
+          : 'This order can no longer be paid. Please check out again'
+      });
+    }
+
+    const { payment, checkout } = await payments.createIntentForOrder(order);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment initiated',
+      data: {
+        payment: payment.toJSON(),
+        checkout
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the latest payment for an order
+router.get('/order/:orderId', authenticateToken, async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.orderId);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.buyer_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const payment = await Payment.findLatestByOrder(orderId);
+
+    res.json({
+      success: true,
+      data: {
+        order_status: order.status,
+        payment: payment ? payment.toJSON() : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Gateway webhook (authenticated by signature, not by user token)
+router.post('/webhook', async (req, res, next) => {
+  try {
+    const provider = payments.getProvider();
+
+    if (!provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhookEvent(req.body, req.headers);
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Malformed webhook payload'
+      });
+    }
+
+    const result = await payments.handleWebhookEvent(event);
+
+    res.json({
+      success: true,
+      data: {
+        handled: result.handled,
+        reason: result.reason
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
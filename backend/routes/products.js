@@ -3,52 +3,111 @@ const Product = require('../models/Product');
 const Category = require('../models/Category');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { validate, productValidation } = require('../middleware/validation');
-const multer = require('multer');
+const { UPLOADS_ROOT, createUpload, removeUploadedFiles } = require('../middleware/upload');
+const { searchProducts, indexProduct, removeProduct } = require('../services/search');
+const { getProductFacets } = require('../services/facets');
+const { decorateProducts, listProducts } = require('../services/productListing');
+const { resolveNearFilter, geocodePincode, locateProduct } = require('../services/geocoding');
+const { listNearbyProducts } = require('../services/nearby');
+const { notifyPriceDrop } = require('../services/favoriteAlerts');
+const PriceHistory = require('../models/PriceHistory');
+const ProductImage = require('../models/ProductImage');
+const { ImageProcessingError, processImages, removeProcessedImages } = require('../services/imageProcessing');
+const { paginate } = require('../middleware/pagination');
 const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, '../uploads/products');
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Product images, converted to WebP variants after upload
+const upload = createUpload({ directory: 'products', maxFiles: 12 });
+const PRODUCT_IMAGES_DIR = path.join(UPLOADS_ROOT, 'products');
+const processProductImages = (files) => processImages(files, { urlPrefix: '/uploads/products' });
+
+// Load the :id product into req.product for its seller or an admin
+const loadOwnProduct = async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      removeUploadedFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.seller_id !== req.user.id && !req.user.is_admin) {
+      removeUploadedFiles(req.files);
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change your own products'
+      });
+    }
+
+    req.product = product;
+    next();
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    next(error);
   }
-});
+};
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 12 // Maximum 12 files
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Only image files (JPEG, PNG, GIF, WebP) are allowed'));
+// Find one of req.product's images by :imageId, or send a 400/404
+const findProductImage = async (req, res) => {
+  const imageId = parseInt(req.params.imageId);
+
+  if (isNaN(imageId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid image ID'
+    });
+    return null;
+  }
+
+  const image = await ProductImage.findById(imageId);
+  if (!image || image.product_id !== req.product.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Image not found'
+    });
+    return null;
+  }
+
+  return image;
+};
+
+// Add ?near=<pincode>&radius_km= to the filters. Returns an error message when
+// the pincode is unknown, the radius is out of range or a distance sort has no
+// pincode to measure from.
+const applyNearFilter = (filters, query) => {
+  if (query.near) {
+    const { near, error } = resolveNearFilter(query.near, query.radius_km);
+    if (error) {
+      return error;
     }
+    filters.near = near;
+  }
+
+  if (filters.sort_by === 'distance' && !filters.near) {
+    return 'Sorting by distance needs a near pincode';
   }
-});
+
+  return null;
+};
 
 // Get all products with filters and pagination
-router.get('/', optionalAuth, async (req, res, next) => {
+router.get('/', optionalAuth, paginate(), async (req, res, next) => {
   try {
     const {
-      page = 1,
-      limit = 20,
       category_id,
       min_price,
       max_price,
@@ -56,10 +115,10 @@ router.get('/', optionalAuth, async (req, res, next) => {
       location,
       brand,
       search,
-      sort_by = 'newest'
+      sort_by = 'newest',
+      facets
     } = req.query;
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const filters = {
       category_id: category_id ? parseInt(category_id) : undefined,
       min_price: min_price ? parseFloat(min_price) : undefined,
@@ -78,28 +137,42 @@ router.get('/', optionalAuth, async (req, res, next) => {
       }
     });
 
-    const products = await Product.findAll(filters, parseInt(limit), offset);
+    const nearError = applyNearFilter(filters, req.query);
+    if (nearError) {
+      return res.status(400).json({
+        success: false,
+        message: nearError
+      });
+    }
 
-    // Add favorite status for authenticated users
-    if (req.user) {
-      for (let product of products) {
-        const isFavorited = await Product.findById(product.id);
-        if (isFavorited) {
-          product.is_favorited = await isFavorited.isFavoritedBy(req.user.id);
-        }
-      }
+    // Text searches go through the ranked search index, distance searches
+    // through the product coordinates. Only relevance order is paged by offset.
+    let products;
+    let pagination;
+    let matchIds;
+    if (filters.search && filters.search.trim()) {
+      const searchFilters = { ...filters, sort_by: req.query.sort_by || 'relevance' };
+      ({ products, pagination, matchIds } = await searchProducts(filters.search, searchFilters, req.pagination));
+    } else if (filters.near) {
+      const nearbyFilters = { ...filters, sort_by: req.query.sort_by || 'distance' };
+      ({ products, pagination } = await listNearbyProducts(nearbyFilters, req.pagination));
+    } else {
+      ({ items: products, pagination } = await listProducts(req.pagination, filters));
     }
+    await decorateProducts(products, { userId: req.user && req.user.id });
+
+    // Optional counts per filter value, e.g. for "Electronics (42)"
+    const facetCounts = facets === 'true'
+      ? await getProductFacets(filters, { productIds: matchIds })
+      : undefined;
 
     res.json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination,
+        ...(filters.near ? { near: filters.near } : {}),
+        ...(facetCounts ? { facets: facetCounts } : {})
       }
     });
   } catch (error) {
@@ -131,7 +204,7 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
     await product.incrementViews();
 
     // Get product images
-    const images = await product.getImages();
+    const images = await ProductImage.findByProduct(productId);
 
     // Get similar products
     const similarProducts = await product.getSimilar(6);
@@ -158,35 +231,91 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
   }
 });
 
+// Get a product's price over time, oldest first
+router.get('/:id/price-history', async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Listings created before price tracking only have their current price
+    let history = (await PriceHistory.findByProduct(productId)).map(entry => entry.toJSON());
+    if (history.length === 0) {
+      history = [{ old_price: null, price: Number(product.price), changed_at: product.created_at }];
+    }
+
+    const prices = history.map(entry => entry.price);
+
+    res.json({
+      success: true,
+      data: {
+        product_id: productId,
+        current_price: Number(product.price),
+        lowest_price: Math.min(...prices),
+        highest_price: Math.max(...prices),
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create new product
 router.post('/', authenticateToken, upload.array('images', 12), validate(productValidation.create), async (req, res, next) => {
+  let processedImages = [];
+
   try {
+    const { pincode, ...fields } = req.body;
+
+    // Listings are placed by their own pincode, or the seller's when none is given
+    if (pincode && !geocodePincode(pincode)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown pincode'
+      });
+    }
+
     const productData = {
-      ...req.body,
+      ...fields,
       seller_id: req.user.id,
       price: parseFloat(req.body.price),
       category_id: parseInt(req.body.category_id)
     };
 
+    processedImages = await processProductImages(req.files);
+
     // Create product
     const product = await Product.create(productData);
+    await locateProduct(product.id, pincode || req.user.pincode);
+    await PriceHistory.record(product.id, { price: productData.price, changedBy: req.user.id });
 
-    // Handle uploaded images
-    if (req.files && req.files.length > 0) {
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const imageUrl = `/uploads/products/${file.filename}`;
-        const isPrimary = i === 0; // First image is primary
-        
-        await product.addImage(imageUrl, isPrimary);
-      }
+    // Handle uploaded images; the first one is primary
+    if (processedImages.length > 0) {
+      await ProductImage.addToProduct(product.id, processedImages);
     } else {
       // Add placeholder image if no images uploaded
-      await product.addImage('/uploads/placeholder-product.jpg', true);
+      await ProductImage.addPlaceholder(product.id);
     }
 
+    await indexProduct(product.id);
+
     // Get the complete product with images
-    const images = await product.getImages();
+    const images = await ProductImage.findByProduct(product.id);
     const completeProduct = {
       ...product.toJSON(),
       images
@@ -201,12 +330,13 @@ router.post('/', authenticateToken, upload.array('images', 12), validate(product
     });
   } catch (error) {
     // Clean up uploaded files if product creation fails
-    if (req.files) {
-      req.files.forEach(file => {
-        const filePath = path.join(__dirname, '../uploads/products', file.filename);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
+    removeUploadedFiles(req.files);
+    removeProcessedImages(processedImages, PRODUCT_IMAGES_DIR);
+
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
     }
     next(error);
@@ -215,10 +345,13 @@ router.post('/', authenticateToken, upload.array('images', 12), validate(product
 
 // Update product
 router.put('/:id', authenticateToken, upload.array('images', 12), validate(productValidation.update), async (req, res, next) => {
+  let processedImages = [];
+
   try {
     const productId = parseInt(req.params.id);
     
     if (isNaN(productId)) {
+      removeUploadedFiles(req.files);
       return res.status(400).json({
         success: false,
         message: 'Invalid product ID'
@@ -227,6 +360,7 @@ router.put('/:id', authenticateToken, upload.array('images', 12), validate(produ
 
     const product = await Product.findById(productId);
     if (!product) {
+      removeUploadedFiles(req.files);
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -235,33 +369,63 @@ router.put('/:id', authenticateToken, upload.array('images', 12), validate(produ
 
     // Check if user owns this product
     if (product.seller_id !== req.user.id && !req.user.is_admin) {
+      removeUploadedFiles(req.files);
       return res.status(403).json({
         success: false,
         message: 'You can only update your own products'
       });
     }
 
+    const { pincode, ...fields } = req.body;
+    if (pincode && !geocodePincode(pincode)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Unknown pincode'
+      });
+    }
+
+    const newImageCount = req.files ? req.files.length : 0;
+    if (newImageCount > 0 && await ProductImage.countByProduct(productId) + newImageCount > ProductImage.MAX_IMAGES) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${ProductImage.MAX_IMAGES} images`
+      });
+    }
+
+    processedImages = await processProductImages(req.files);
+
     // Prepare update data
-    const updateData = { ...req.body };
+    const updateData = { ...fields };
     if (updateData.price) updateData.price = parseFloat(updateData.price);
     if (updateData.category_id) updateData.category_id = parseInt(updateData.category_id);
 
+    // Read before the update, which may change the product in place
+    const oldPrice = Number(product.price);
+
     // Update product
     const updatedProduct = await product.update(updateData);
+    if (pincode) {
+      await locateProduct(productId, pincode);
+    }
 
-    // Handle new images if uploaded
-    if (req.files && req.files.length > 0) {
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        const imageUrl = `/uploads/products/${file.filename}`;
-        const isPrimary = i === 0; // First new image becomes primary
-        
-        await updatedProduct.addImage(imageUrl, isPrimary);
+    // Keep the price history and tell favoriters about reductions
+    const newPrice = Number(updatedProduct.price);
+    if (newPrice !== oldPrice) {
+      await PriceHistory.record(productId, { oldPrice, price: newPrice, changedBy: req.user.id });
+      if (newPrice < oldPrice && updatedProduct.status === 'approved') {
+        await notifyPriceDrop(updatedProduct, oldPrice, newPrice);
       }
     }
 
+    // New images are added after the existing ones, which keep their primary
+    await ProductImage.addToProduct(productId, processedImages);
+
+    await indexProduct(productId);
+
     // Get updated product with images
-    const images = await updatedProduct.getImages();
+    const images = await ProductImage.findByProduct(productId);
     const completeProduct = {
       ...updatedProduct.toJSON(),
       images
@@ -276,12 +440,13 @@ router.put('/:id', authenticateToken, upload.array('images', 12), validate(produ
     });
   } catch (error) {
     // Clean up uploaded files if update fails
-    if (req.files) {
-      req.files.forEach(file => {
-        const filePath = path.join(__dirname, '../uploads/products', file.filename);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-        }
+    removeUploadedFiles(req.files);
+    removeProcessedImages(processedImages, PRODUCT_IMAGES_DIR);
+
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
       });
     }
     next(error);
@@ -317,22 +482,183 @@ router.delete('/:id', authenticateToken, async (req, res, next) => {
     }
 
     // Get images to delete from filesystem
-    const images = await product.getImages();
+    const images = await ProductImage.findByProduct(productId);
     
     // Delete product (cascade will handle related records)
     await product.delete();
+    await removeProduct(productId);
+
+    // Delete image files (every variant) from filesystem
+    images.forEach(image => image.removeFiles());
+
+    res.json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Delete image files from filesystem
-    images.forEach(image => {
-      const filePath = path.join(__dirname, '..', image.image_url);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+// Get a product's images in display order
+router.get('/:id/images', async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    if (isNaN(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product ID'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const images = await ProductImage.findByProduct(productId);
+
+    res.json({
+      success: true,
+      data: {
+        images
       }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add images after the existing ones
+router.post('/:id/images', authenticateToken, upload.array('images', 12), loadOwnProduct, async (req, res, next) => {
+  let processedImages = [];
+
+  try {
+    const productId = req.product.id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded'
+      });
+    }
+
+    if (await ProductImage.countByProduct(productId) + req.files.length > ProductImage.MAX_IMAGES) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${ProductImage.MAX_IMAGES} images`
+      });
+    }
+
+    processedImages = await processProductImages(req.files);
+    await ProductImage.addToProduct(productId, processedImages);
+
+    const images = await ProductImage.findByProduct(productId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: {
+        images
+      }
+    });
+  } catch (error) {
+    removeUploadedFiles(req.files);
+    removeProcessedImages(processedImages, PRODUCT_IMAGES_DIR);
+
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+// Reorder images; image_ids must list all of the product's images
+router.put('/:id/images/order', authenticateToken, loadOwnProduct, async (req, res, next) => {
+  try {
+    const productId = req.product.id;
+    const { image_ids } = req.body;
+
+    const images = await ProductImage.findByProduct(productId);
+    const currentIds = images.map(image => image.id).sort((a, b) => a - b);
+    const requestedIds = Array.isArray(image_ids) ? image_ids.map(id => parseInt(id)) : [];
+    const sameImages = requestedIds.length === currentIds.length &&
+      [...requestedIds].sort((a, b) => a - b).every((id, i) => id === currentIds[i]);
+
+    if (!sameImages) {
+      return res.status(400).json({
+        success: false,
+        message: 'image_ids must list each of the product\'s images exactly once'
+      });
+    }
+
+    await ProductImage.reorder(productId, requestedIds);
 
     res.json({
       success: true,
-      message: 'Product deleted successfully'
+      message: 'Images reordered successfully',
+      data: {
+        images: await ProductImage.findByProduct(productId)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make an image the primary one
+router.put('/:id/images/:imageId/primary', authenticateToken, loadOwnProduct, async (req, res, next) => {
+  try {
+    const image = await findProductImage(req, res);
+    if (!image) {
+      return;
+    }
+
+    await ProductImage.setPrimary(req.product.id, image.id);
+
+    res.json({
+      success: true,
+      message: 'Primary image updated successfully',
+      data: {
+        images: await ProductImage.findByProduct(req.product.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an image and its files
+router.delete('/:id/images/:imageId', authenticateToken, loadOwnProduct, async (req, res, next) => {
+  try {
+    const image = await findProductImage(req, res);
+    if (!image) {
+      return;
+    }
+
+    if (image.isPlaceholder()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The placeholder image cannot be deleted'
+      });
+    }
+
+    await image.delete();
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: {
+        images: await ProductImage.findByProduct(req.product.id)
+      }
     });
   } catch (error) {
     next(error);
@@ -382,11 +708,10 @@ router.post('/:id/favorite', authenticateToken, async (req, res, next) => {
 });
 
 // Get user's products
-router.get('/user/:userId', async (req, res, next) => {
+router.get('/user/:userId', optionalAuth, paginate(), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.userId);
-    const { page = 1, limit = 20 } = req.query;
-    
+
     if (isNaN(userId)) {
       return res.status(400).json({
         success: false,
@@ -394,19 +719,17 @@ router.get('/user/:userId', async (req, res, next) => {
       });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const products = await Product.findBySeller(userId, parseInt(limit), offset);
+    const { items: products, pagination } = await listProducts(req.pagination, {
+      seller_id: userId,
+      sort_by: req.query.sort_by
+    });
+    await decorateProducts(products, { userId: req.user && req.user.id });
 
     res.json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -431,11 +754,10 @@ router.get('/categories/all', async (req, res, next) => {
 });
 
 // Get products by category
-router.get('/category/:categoryId', optionalAuth, async (req, res, next) => {
+router.get('/category/:categoryId', optionalAuth, paginate(), async (req, res, next) => {
   try {
     const categoryId = parseInt(req.params.categoryId);
-    const { page = 1, limit = 20 } = req.query;
-    
+
     if (isNaN(categoryId)) {
       return res.status(400).json({
         success: false,
@@ -451,30 +773,18 @@ router.get('/category/:categoryId', optionalAuth, async (req, res, next) => {
       });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const products = await category.getProducts(parseInt(limit), offset);
-
-    // Add favorite status for authenticated users
-    if (req.user) {
-      for (let product of products) {
-        const productObj = await Product.findById(product.id);
-        if (productObj) {
-          product.is_favorited = await productObj.isFavoritedBy(req.user.id);
-        }
-      }
-    }
+    const { items: products, pagination } = await listProducts(req.pagination, {
+      category_id: categoryId,
+      sort_by: req.query.sort_by
+    });
+    await decorateProducts(products, { userId: req.user && req.user.id });
 
     res.json({
       success: true,
       data: {
         category,
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -483,11 +793,10 @@ router.get('/category/:categoryId', optionalAuth, async (req, res, next) => {
 });
 
 // Search products
-router.get('/search/:query', optionalAuth, async (req, res, next) => {
+router.get('/search/:query', optionalAuth, paginate(), async (req, res, next) => {
   try {
     const { query } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    
+
     if (!query || query.trim().length < 2) {
       return res.status(400).json({
         success: false,
@@ -495,35 +804,41 @@ router.get('/search/:query', optionalAuth, async (req, res, next) => {
       });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
     const filters = {
-      search: query.trim(),
-      ...req.query
+      category_id: req.query.category_id ? parseInt(req.query.category_id) : undefined,
+      min_price: req.query.min_price ? parseFloat(req.query.min_price) : undefined,
+      max_price: req.query.max_price ? parseFloat(req.query.max_price) : undefined,
+      condition: req.query.condition,
+      location: req.query.location,
+      brand: req.query.brand,
+      sort_by: req.query.sort_by || 'relevance'
     };
 
-    const products = await Product.findAll(filters, parseInt(limit), offset);
-
-    // Add favorite status for authenticated users
-    if (req.user) {
-      for (let product of products) {
-        const productObj = await Product.findById(product.id);
-        if (productObj) {
-          product.is_favorited = await productObj.isFavoritedBy(req.user.id);
-        }
-      }
+    const nearError = applyNearFilter(filters, req.query);
+    if (nearError) {
+      return res.status(400).json({
+        success: false,
+        message: nearError
+      });
     }
 
+    // Ranked, typo-tolerant matches with highlighted snippets
+    const { products, pagination, matchIds } = await searchProducts(query.trim(), filters, req.pagination);
+    await decorateProducts(products, { userId: req.user && req.user.id });
+
+    // Optional counts per filter value within the search results
+    const facetCounts = req.query.facets === 'true'
+      ? await getProductFacets(filters, { productIds: matchIds })
+      : undefined;
+
     res.json({
       success: true,
       data: {
         query: query.trim(),
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination,
+        ...(filters.near ? { near: filters.near } : {}),
+        ...(facetCounts ? { facets: facetCounts } : {})
       }
     });
   } catch (error) {
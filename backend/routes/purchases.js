@@ -1,11 +1,96 @@
 const express = require('express');
 const db = require('../config/database');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Purchase = require('../models/Purchase');
+const Review = require('../models/Review');
 const { authenticateToken } = require('../middleware/auth');
 const { validate, purchaseValidation } = require('../middleware/validation');
+const { UPLOADS_ROOT, createUpload, removeUploadedFiles } = require('../middleware/upload');
+const { paginate, paginateQuery } = require('../middleware/pagination');
+const { VARIANTS, ImageProcessingError, processImages, removeProcessedImages } = require('../services/imageProcessing');
+const path = require('path');
 
 const router = express.Router();
 
+// Review photos, re-encoded without their metadata; only the full size is shown
+const upload = createUpload({ directory: 'reviews', prefix: 'review', maxFiles: 5 });
+const REVIEW_IMAGES_DIR = path.join(UPLOADS_ROOT, 'reviews');
+const processReviewImages = (files) => processImages(files, {
+  urlPrefix: '/uploads/reviews',
+  variants: { full: VARIANTS.full }
+});
+
+// Checkout the whole cart as one order, split into a sub-order per seller
+router.post('/checkout', async (req, res, next) => {
+  try {
+    const { payment_method } = req.body;
+
+    const { order, unavailableItems } = await Order.checkout(req.user.id, { payment_method });
+
+    if (!order && unavailableItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart are no longer available',
+        data: {
+          unavailable_items: unavailableItems.map(item => ({
+            product_id: item.product_id,
+            title: item.title
+          }))
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully. Sellers have been notified.',
+      data: {
+        order: await order.toDetailedJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get order details with its per-seller sub-orders
+router.get('/orders/:orderId', async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.orderId);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order || order.buyer_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: await order.toDetailedJSON()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create a purchase (from cart or direct)
 router.post('/create', validate(purchaseValidation.create), async (req, res, next) => {
   try {
@@ -36,27 +121,14 @@ router.post('/create', validate(purchaseValidation.create), async (req, res, nex
       });
     }
 
-    // Create purchase record
-    const [result] = await db.execute(
-      `INSERT INTO purchases (buyer_id, seller_id, product_id, price, quantity, payment_method, status) 
-       VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
-      [req.user.id, product.seller_id, product_id, product.price, quantity, payment_method]
-    );
-
-    const purchaseId = result.insertId;
-
-    // Remove item from cart if it exists
-    await db.execute(
-      'DELETE FROM cart WHERE user_id = ? AND product_id = ?',
-      [req.user.id, product_id]
-    );
-
-    // Create notification for seller
-    await db.execute(
-      `INSERT INTO notifications (user_id, type, title, message, data) 
-       VALUES (?, 'purchase', 'New Purchase', 'Someone wants to buy your product: ${product.title}', ?)`,
-      [product.seller_id, JSON.stringify({ purchase_id: purchaseId, product_id, buyer_id: req.user.id })]
-    );
+    // Create a one-item order; this reserves the product and notifies the seller
+    const { order } = await Order.createForProduct(req.user.id, product, { quantity, payment_method });
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product is not available for purchase'
+      });
+    }
 
     // Get the created purchase with details
     const [purchaseRows] = await db.execute(
@@ -66,15 +138,16 @@ router.post('/create', validate(purchaseValidation.create), async (req, res, nex
        FROM purchases pur
        JOIN products p ON pur.product_id = p.id
        JOIN users u ON pur.seller_id = u.id
-       WHERE pur.id = ?`,
-      [purchaseId]
+       WHERE pur.order_id = ?`,
+      [order.id]
     );
 
     res.status(201).json({
       success: true,
-      message: 'Purchase created successfully. Please contact the seller to complete the transaction.',
+      message: 'Purchase created successfully. Complete the payment to confirm your order.',
       data: {
-        purchase: purchaseRows[0]
+        purchase: purchaseRows[0],
+        order: order.toJSON()
       }
     });
   } catch (error) {
@@ -83,43 +156,38 @@ router.post('/create', validate(purchaseValidation.create), async (req, res, nex
 });
 
 // Get user's purchases
-router.get('/my-purchases', async (req, res, next) => {
+router.get('/my-purchases', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let query = `
-      SELECT pur.*, p.title, p.description, p.price, p.condition, p.brand,
-             u.name as seller_name, u.phone as seller_phone, u.avatar as seller_avatar,
-             (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image
-      FROM purchases pur
-      JOIN products p ON pur.product_id = p.id
-      JOIN users u ON pur.seller_id = u.id
-      WHERE pur.buyer_id = ?
-    `;
+    const { status } = req.query;
 
+    let where = 'WHERE pur.buyer_id = ?';
     const queryParams = [req.user.id];
 
     if (status) {
-      query += ' AND pur.status = ?';
+      where += ' AND pur.status = ?';
       queryParams.push(status);
     }
 
-    query += ' ORDER BY pur.purchase_date DESC LIMIT ? OFFSET ?';
-    queryParams.push(parseInt(limit), offset);
-
-    const [rows] = await db.execute(query, queryParams);
+    const { items: purchases, pagination } = await paginateQuery(req.pagination, {
+      select: `pur.*, p.title, p.description, p.price, p.condition, p.brand,
+               u.name as seller_name, u.phone as seller_phone, u.avatar as seller_avatar,
+               (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image`,
+      from: `FROM purchases pur
+             JOIN products p ON pur.product_id = p.id
+             JOIN users u ON pur.seller_id = u.id`,
+      where,
+      params: queryParams,
+      keys: [
+        { column: 'pur.purchase_date', field: 'purchase_date', direction: 'DESC', type: 'date' },
+        { column: 'pur.id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
     res.json({
       success: true,
       data: {
-        purchases: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        purchases,
+        pagination
       }
     });
   } catch (error) {
@@ -128,43 +196,38 @@ router.get('/my-purchases', async (req, res, next) => {
 });
 
 // Get user's sales
-router.get('/my-sales', async (req, res, next) => {
+router.get('/my-sales', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-
-    let query = `
-      SELECT pur.*, p.title, p.description, p.price, p.condition, p.brand,
-             u.name as buyer_name, u.phone as buyer_phone, u.avatar as buyer_avatar,
-             (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image
-      FROM purchases pur
-      JOIN products p ON pur.product_id = p.id
-      JOIN users u ON pur.buyer_id = u.id
-      WHERE pur.seller_id = ?
-    `;
+    const { status } = req.query;
 
+    let where = 'WHERE pur.seller_id = ?';
     const queryParams = [req.user.id];
 
     if (status) {
-      query += ' AND pur.status = ?';
+      where += ' AND pur.status = ?';
       queryParams.push(status);
     }
 
-    query += ' ORDER BY pur.purchase_date DESC LIMIT ? OFFSET ?';
-    queryParams.push(parseInt(limit), offset);
-
-    const [rows] = await db.execute(query, queryParams);
+    const { items: sales, pagination } = await paginateQuery(req.pagination, {
+      select: `pur.*, p.title, p.description, p.price, p.condition, p.brand,
+               u.name as buyer_name, u.phone as buyer_phone, u.avatar as buyer_avatar,
+               (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image`,
+      from: `FROM purchases pur
+             JOIN products p ON pur.product_id = p.id
+             JOIN users u ON pur.buyer_id = u.id`,
+      where,
+      params: queryParams,
+      keys: [
+        { column: 'pur.purchase_date', field: 'purchase_date', direction: 'DESC', type: 'date' },
+        { column: 'pur.id', field: 'id', direction: 'DESC' }
+      ]
+    });
 
     res.json({
       success: true,
       data: {
-        sales: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        sales,
+        pagination
       }
     });
   } catch (error) {
@@ -172,11 +235,12 @@ router.get('/my-sales', async (req, res, next) => {
   }
 });
 
-// Update purchase status (seller can confirm/cancel)
+// Update purchase status by hand (allowed changes depend on the user's role, see
+// models/Purchase.js). Disputes and refunds have their own routes.
 router.put('/:purchaseId/status', async (req, res, next) => {
   try {
     const purchaseId = parseInt(req.params.purchaseId);
-    const { status, transaction_id } = req.body;
+    const { status, note } = req.body;
 
     if (isNaN(purchaseId)) {
       return res.status(400).json({
@@ -185,98 +249,200 @@ router.put('/:purchaseId/status', async (req, res, next) => {
       });
     }
 
-    if (!['confirmed', 'cancelled', 'completed'].includes(status)) {
+    if (!Purchase.MANUAL_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Must be confirmed, cancelled, or completed'
+        message: `Invalid status. Must be one of: ${Purchase.MANUAL_STATUSES.join(', ')}`
       });
     }
 
-    // Get purchase details
-    const [purchaseRows] = await db.execute(
-      'SELECT * FROM purchases WHERE id = ?',
-      [purchaseId]
-    );
+    const purchase = await Purchase.findById(purchaseId);
+    const role = purchase ? purchase.roleFor(req.user) : null;
 
-    if (purchaseRows.length === 0) {
+    if (!purchase || !role) {
       return res.status(404).json({
         success: false,
         message: 'Purchase not found'
       });
     }
 
-    const purchase = purchaseRows[0];
+    if (!Purchase.canTransition(purchase.status, status, role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Purchase cannot be changed from ${purchase.status} to ${status}`,
+        data: {
+          allowed_statuses: Purchase.allowedManualTransitions(purchase.status, role)
+        }
+      });
+    }
 
-    // Check if user is the seller
-    if (purchase.seller_id !== req.user.id) {
-      return res.status(403).json({
+    const updated = await db.transaction(connection =>
+      purchase.transitionTo(status, { role, actorId: req.user.id, note, connection })
+    );
+    if (!updated) {
+      return res.status(409).json({
         success: false,
-        message: 'You can only update your own sales'
+        message: 'Purchase was updated by someone else. Please refresh and try again'
       });
     }
 
-    // Check if purchase can be updated
-    if (purchase.status === 'completed' || purchase.status === 'cancelled') {
+    res.json({
+      success: true,
+      message: `Purchase ${status.replace('_', ' ')} successfully`,
+      data: {
+        purchase_id: purchaseId,
+        status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get purchase status history
+router.get('/:purchaseId/timeline', async (req, res, next) => {
+  try {
+    const purchaseId = parseInt(req.params.purchaseId);
+
+    if (isNaN(purchaseId)) {
       return res.status(400).json({
         success: false,
-        message: 'Purchase status cannot be changed'
+        message: 'Invalid purchase ID'
       });
     }
 
-    // Update purchase status
-    const updateData = [status, purchaseId];
-    let updateQuery = 'UPDATE purchases SET status = ?';
+    const purchase = await Purchase.findById(purchaseId);
+    const role = purchase ? purchase.roleFor(req.user) : null;
 
-    if (transaction_id) {
-      updateQuery += ', transaction_id = ?';
-      updateData.splice(1, 0, transaction_id);
+    if (!purchase || !role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
     }
 
-    if (status === 'completed') {
-      updateQuery += ', completed_at = CURRENT_TIMESTAMP';
+    const timeline = await purchase.getTimeline();
+
+    res.json({
+      success: true,
+      data: {
+        purchase_id: purchaseId,
+        status: purchase.status,
+        allowed_statuses: Purchase.allowedManualTransitions(purchase.status, role),
+        timeline
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Review the other party of a completed purchase (once per side)
+router.post('/:purchaseId/review', upload.array('photos', 5), async (req, res, next) => {
+  let processedImages = [];
+
+  try {
+    const purchaseId = parseInt(req.params.purchaseId);
+    const rating = parseInt(req.body.rating);
+    const comment = req.body.comment ? req.body.comment.trim() : null;
+
+    if (isNaN(purchaseId)) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid purchase ID'
+      });
     }
 
-    updateQuery += ' WHERE id = ?';
-    updateData.push(purchaseId);
+    if (isNaN(rating) || rating < 1 || rating > 5) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number between 1 and 5'
+      });
+    }
 
-    await db.execute(updateQuery, updateData);
+    if (comment && comment.length > 1000) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'Review cannot be longer than 1000 characters'
+      });
+    }
 
-    // Create notification for buyer
-    const statusMessages = {
-      confirmed: 'Your purchase has been confirmed by the seller',
-      cancelled: 'Your purchase has been cancelled by the seller',
-      completed: 'Your purchase has been completed'
-    };
+    const purchase = await Purchase.findById(purchaseId);
+    const role = purchase ? purchase.roleFor(req.user) : null;
 
-    await db.execute(
-      `INSERT INTO notifications (user_id, type, title, message, data) 
-       VALUES (?, 'purchase', 'Purchase Update', ?, ?)`,
-      [purchase.buyer_id, statusMessages[status], JSON.stringify({ purchase_id: purchaseId, status })]
-    );
+    if (!purchase || (role !== 'buyer' && role !== 'seller')) {
+      removeUploadedFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase not found'
+      });
+    }
 
-    // If completed, update product status to sold
-    if (status === 'completed') {
-      await db.execute(
-        'UPDATE products SET status = ? WHERE id = ?',
-        ['sold', purchase.product_id]
-      );
+    if (purchase.status !== 'completed') {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'You can only review completed purchases'
+      });
+    }
 
-      // Update seller's sales count
-      await db.execute(
-        'UPDATE users SET sales_count = sales_count + 1 WHERE id = ?',
-        [purchase.seller_id]
-      );
+    const existingReview = await Review.findByPurchaseAndReviewer(purchaseId, req.user.id);
+    if (existingReview) {
+      removeUploadedFiles(req.files);
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this purchase'
+      });
     }
 
-    res.json({
+    const revieweeId = role === 'buyer' ? purchase.seller_id : purchase.buyer_id;
+    processedImages = await processReviewImages(req.files);
+    const photos = processedImages.map(image => image.image_url);
+
+    const review = await Review.create({
+      purchase_id: purchaseId,
+      reviewer_id: req.user.id,
+      reviewee_id: revieweeId,
+      reviewer_role: role,
+      rating,
+      comment,
+      photos
+    });
+
+    // Notify the reviewed user
+    await db.execute(
+      `INSERT INTO notifications (user_id, type, title, message, data) 
+       VALUES (?, 'review', 'New Review', ?, ?)`,
+      [revieweeId, `${req.user.name} rated you ${rating} out of 5`, JSON.stringify({ purchase_id: purchaseId, review_id: review.id })]
+    );
+
+    res.status(201).json({
       success: true,
-      message: `Purchase ${status} successfully`,
+      message: 'Review submitted successfully',
       data: {
-        purchase_id: purchaseId,
-        status
+        review: review.toJSON()
       }
     });
   } catch (error) {
+    removeUploadedFiles(req.files);
+    removeProcessedImages(processedImages, REVIEW_IMAGES_DIR);
+
+    // The other request of a double submit got there first
+    if (db.isUniqueViolation(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this purchase'
+      });
+    }
+    if (error instanceof ImageProcessingError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     next(error);
   }
 });
@@ -336,21 +502,14 @@ router.put('/:purchaseId/cancel', async (req, res, next) => {
       });
     }
 
-    // Get purchase details
-    const [purchaseRows] = await db.execute(
-      'SELECT * FROM purchases WHERE id = ?',
-      [purchaseId]
-    );
-
-    if (purchaseRows.length === 0) {
+    const purchase = await Purchase.findById(purchaseId);
+    if (!purchase) {
       return res.status(404).json({
         success: false,
         message: 'Purchase not found'
       });
     }
 
-    const purchase = purchaseRows[0];
-
     // Check if user is the buyer
     if (purchase.buyer_id !== req.user.id) {
       return res.status(403).json({
@@ -360,25 +519,26 @@ router.put('/:purchaseId/cancel', async (req, res, next) => {
     }
 
     // Check if purchase can be cancelled
-    if (purchase.status !== 'pending') {
+    if (!Purchase.canTransition(purchase.status, 'cancelled', 'buyer')) {
       return res.status(400).json({
         success: false,
         message: 'Purchase cannot be cancelled'
       });
     }
 
-    // Update purchase status
-    await db.execute(
-      'UPDATE purchases SET status = ? WHERE id = ?',
-      ['cancelled', purchaseId]
-    );
+    const updated = await db.transaction(connection => purchase.transitionTo('cancelled', {
+      role: 'buyer',
+      actorId: req.user.id,
+      note: req.body.reason,
+      connection
+    }));
 
-    // Create notification for seller
-    await db.execute(
-      `INSERT INTO notifications (user_id, type, title, message, data) 
-       VALUES (?, 'purchase', 'Purchase Cancelled', 'A buyer has cancelled their purchase', ?)`,
-      [purchase.seller_id, JSON.stringify({ purchase_id: purchaseId, status: 'cancelled' })]
-    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Purchase was updated by someone else. Please refresh and try again'
+      });
+    }
 
     res.json({
       success: true,
@@ -1,7 +1,12 @@
 const express = require('express');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Review = require('../models/Review');
+const SavedSearch = require('../models/SavedSearch');
+const { disconnectSessions } = require('../services/chat');
 const { authenticateToken } = require('../middleware/auth');
 const { validate, userValidation } = require('../middleware/validation');
+const { paginate, paginateQuery, paginateList, countRows } = require('../middleware/pagination');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -113,8 +118,9 @@ router.put('/change-password', validate(userValidation.changePassword), async (r
       });
     }
 
-    // Update password
+    // Update password and sign out all other devices
     await req.user.updatePassword(newPassword);
+    disconnectSessions(req.io, await Session.revokeAllForUser(req.user.id, req.sessionId));
 
     res.json({
       success: true,
@@ -126,23 +132,18 @@ router.put('/change-password', validate(userValidation.changePassword), async (r
 });
 
 // Get user's products
-router.get('/products', async (req, res, next) => {
+router.get('/products', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const products = await req.user.getProducts(parseInt(limit), offset);
+    const { items: products, pagination } = await paginateList(req.pagination, {
+      count: () => countRows('SELECT COUNT(*) as total FROM products WHERE seller_id = ?', [req.user.id]),
+      fetch: (limit, offset) => req.user.getProducts(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -151,23 +152,18 @@ router.get('/products', async (req, res, next) => {
 });
 
 // Get user's purchases
-router.get('/purchases', async (req, res, next) => {
+router.get('/purchases', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const purchases = await req.user.getPurchases(parseInt(limit), offset);
+    const { items: purchases, pagination } = await paginateList(req.pagination, {
+      count: () => countRows('SELECT COUNT(*) as total FROM purchases WHERE buyer_id = ?', [req.user.id]),
+      fetch: (limit, offset) => req.user.getPurchases(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         purchases,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: purchases.length,
-          hasMore: purchases.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -176,23 +172,18 @@ router.get('/purchases', async (req, res, next) => {
 });
 
 // Get user's sales
-router.get('/sales', async (req, res, next) => {
+router.get('/sales', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const sales = await req.user.getSales(parseInt(limit), offset);
+    const { items: sales, pagination } = await paginateList(req.pagination, {
+      count: () => countRows('SELECT COUNT(*) as total FROM purchases WHERE seller_id = ?', [req.user.id]),
+      fetch: (limit, offset) => req.user.getSales(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         sales,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: sales.length,
-          hasMore: sales.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -201,37 +192,30 @@ router.get('/sales', async (req, res, next) => {
 });
 
 // Get user's favorites
-router.get('/favorites', async (req, res, next) => {
+router.get('/favorites', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const db = require('../config/database');
-    const [rows] = await db.execute(
-      `SELECT p.*, c.name as category_name, c.icon as category_icon,
-              u.name as seller_name, u.avatar as seller_avatar, u.location as seller_location,
-              (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image,
-              f.created_at as favorited_at
-       FROM favorites f
-       JOIN products p ON f.product_id = p.id
-       JOIN categories c ON p.category_id = c.id
-       JOIN users u ON p.seller_id = u.id
-       WHERE f.user_id = ? AND p.status = 'approved'
-       ORDER BY f.created_at DESC
-       LIMIT ? OFFSET ?`,
-      [req.user.id, parseInt(limit), offset]
-    );
+    const { items: products, pagination } = await paginateQuery(req.pagination, {
+      select: `p.*, c.name as category_name, c.icon as category_icon,
+               u.name as seller_name, u.avatar as seller_avatar, u.location as seller_location,
+               (SELECT image_url FROM product_images WHERE product_id = p.id AND is_primary = TRUE LIMIT 1) as primary_image,
+               f.created_at as favorited_at`,
+      from: `FROM favorites f
+             JOIN products p ON f.product_id = p.id
+             JOIN categories c ON p.category_id = c.id
+             JOIN users u ON p.seller_id = u.id`,
+      where: "WHERE f.user_id = ? AND p.status = 'approved'",
+      params: [req.user.id],
+      keys: [
+        { column: 'f.created_at', field: 'favorited_at', direction: 'DESC', type: 'date' },
+        { column: 'p.id', field: 'id', direction: 'DESC' }
+      ]
+    });
     
     res.json({
       success: true,
       data: {
-        products: rows,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: rows.length,
-          hasMore: rows.length === parseInt(limit)
-        }
+        products,
+        pagination
       }
     });
   } catch (error) {
@@ -240,23 +224,18 @@ router.get('/favorites', async (req, res, next) => {
 });
 
 // Get user's followers
-router.get('/followers', async (req, res, next) => {
+router.get('/followers', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const followers = await req.user.getFollowers(parseInt(limit), offset);
+    const { items: followers, pagination } = await paginateList(req.pagination, {
+      count: () => Number(req.user.followers_count) || 0,
+      fetch: (limit, offset) => req.user.getFollowers(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         followers,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: followers.length,
-          hasMore: followers.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -265,23 +244,18 @@ router.get('/followers', async (req, res, next) => {
 });
 
 // Get users that this user follows
-router.get('/following', async (req, res, next) => {
+router.get('/following', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const following = await req.user.getFollowing(parseInt(limit), offset);
+    const { items: following, pagination } = await paginateList(req.pagination, {
+      count: () => Number(req.user.following_count) || 0,
+      fetch: (limit, offset) => req.user.getFollowing(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         following,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: following.length,
-          hasMore: following.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -372,23 +346,18 @@ router.delete('/follow/:userId', async (req, res, next) => {
 });
 
 // Get user's notifications
-router.get('/notifications', async (req, res, next) => {
+router.get('/notifications', paginate(), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    
-    const notifications = await req.user.getNotifications(parseInt(limit), offset);
+    const { items: notifications, pagination } = await paginateList(req.pagination, {
+      count: () => countRows('SELECT COUNT(*) as total FROM notifications WHERE user_id = ?', [req.user.id]),
+      fetch: (limit, offset) => req.user.getNotifications(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: notifications.length,
-          hasMore: notifications.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -410,6 +379,172 @@ router.put('/notifications/read', async (req, res, next) => {
   }
 });
 
+// Get user's saved searches
+router.get('/saved-searches', async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.findByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        saved_searches: savedSearches
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a product filter set, optionally with new-listing alerts
+router.post('/saved-searches', async (req, res, next) => {
+  try {
+    const { name, alert_mode = 'instant', filters: input } = req.body;
+
+    if (!name || !String(name).trim() || String(name).trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required and must be at most 100 characters'
+      });
+    }
+
+    if (!SavedSearch.ALERT_MODES.includes(alert_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `alert_mode must be one of: ${SavedSearch.ALERT_MODES.join(', ')}`
+      });
+    }
+
+    const { filters, error } = SavedSearch.normalizeFilters(input);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await SavedSearch.countByUser(req.user.id);
+    if (count >= SavedSearch.MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${SavedSearch.MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId: req.user.id,
+      name: String(name).trim(),
+      filters,
+      alertMode: alert_mode
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: {
+        saved_search: savedSearch
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rename a saved search, change its filters or its alert mode
+router.put('/saved-searches/:id', async (req, res, next) => {
+  try {
+    const savedSearchId = parseInt(req.params.id);
+    const { name, alert_mode, filters: input } = req.body;
+
+    if (isNaN(savedSearchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(savedSearchId);
+    if (!savedSearch || savedSearch.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    if (name !== undefined && (!String(name).trim() || String(name).trim().length > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required and must be at most 100 characters'
+      });
+    }
+
+    if (alert_mode !== undefined && !SavedSearch.ALERT_MODES.includes(alert_mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `alert_mode must be one of: ${SavedSearch.ALERT_MODES.join(', ')}`
+      });
+    }
+
+    let filters;
+    if (input !== undefined) {
+      const normalized = SavedSearch.normalizeFilters(input);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+      filters = normalized.filters;
+    }
+
+    const updated = await savedSearch.update({
+      name: name !== undefined ? String(name).trim() : undefined,
+      filters,
+      alertMode: alert_mode
+    });
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: {
+        saved_search: updated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a saved search
+router.delete('/saved-searches/:id', async (req, res, next) => {
+  try {
+    const savedSearchId = parseInt(req.params.id);
+
+    if (isNaN(savedSearchId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    const savedSearch = await SavedSearch.findById(savedSearchId);
+    if (!savedSearch || savedSearch.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    await savedSearch.delete();
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get public user profile
 router.get('/:userId', async (req, res, next) => {
   try {
@@ -430,7 +565,10 @@ router.get('/:userId', async (req, res, next) => {
       });
     }
 
-    const publicProfile = user.getPublicProfile();
+    const publicProfile = {
+      ...user.getPublicProfile(),
+      ...(await Review.getRatingSummary(userId))
+    };
     const stats = await user.getStats();
     
     // Check if current user follows this user
@@ -452,11 +590,57 @@ router.get('/:userId', async (req, res, next) => {
   }
 });
 
+// Get reviews a user has received (role=seller or role=buyer to filter)
+router.get('/:userId/reviews', paginate(), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { role } = req.query;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (role && !['seller', 'buyer'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid role. Must be seller or buyer'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { items: reviews, pagination } = await paginateList(req.pagination, {
+      count: () => Review.countByReviewee(userId, { role }),
+      fetch: (limit, offset) => Review.findByReviewee(userId, { role, limit, offset })
+    });
+    const ratings = await Review.getRatingSummary(userId);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => review.toJSON()),
+        ...ratings,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get user's public products
-router.get('/:userId/products', async (req, res, next) => {
+router.get('/:userId/products', paginate(), async (req, res, next) => {
   try {
     const userId = parseInt(req.params.userId);
-    const { page = 1, limit = 20 } = req.query;
     
     if (isNaN(userId)) {
       return res.status(400).json({
@@ -473,19 +657,16 @@ router.get('/:userId/products', async (req, res, next) => {
       });
     }
 
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    const products = await user.getProducts(parseInt(limit), offset);
+    const { items: products, pagination } = await paginateList(req.pagination, {
+      count: () => countRows("SELECT COUNT(*) as total FROM products WHERE seller_id = ? AND status = 'approved'", [userId]),
+      fetch: (limit, offset) => user.getProducts(limit, offset)
+    });
     
     res.json({
       success: true,
       data: {
         products,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: products.length,
-          hasMore: products.length === parseInt(limit)
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -15,10 +15,20 @@ const cartRoutes = require('./routes/cart');
 const purchaseRoutes = require('./routes/purchases');
 const adminRoutes = require('./routes/admin');
 const chatRoutes = require('./routes/chat');
+const paymentRoutes = require('./routes/payments');
+const disputeRoutes = require('./routes/disputes');
 
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
+const { registerChatSocket } = require('./services/chat');
+const { startDigestScheduler } = require('./services/savedSearchAlerts');
+const { recoverExportJobs } = require('./services/adminExports');
+const { startReservationSweeper } = require('./services/orderReservations');
+const payments = require('./services/payments');
+
+// Refuse to start with a payment provider that is missing its secrets or unsafe here
+payments.getProvider();
 
 const app = express();
 const server = http.createServer(app);
@@ -44,8 +54,13 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (raw body is kept for webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -65,6 +80,8 @@ app.use('/api/cart', authenticateToken, cartRoutes);
 app.use('/api/purchases', authenticateToken, purchaseRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/chat', authenticateToken, chatRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/disputes', authenticateToken, disputeRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -84,23 +101,8 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Socket.IO for real-time chat
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join_room', (roomId) => {
-    socket.join(roomId);
-    console.log(`User ${socket.id} joined room ${roomId}`);
-  });
-
-  socket.on('send_message', (data) => {
-    socket.to(data.roomId).emit('receive_message', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.IO for real-time chat (authenticated with the same access token as the API)
+registerChatSocket(io);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -119,6 +121,15 @@ server.listen(PORT, () => {
   console.log(`🚀 EcoFinds Backend Server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+
+  // Daily saved search digests
+  startDigestScheduler();
+
+  // Unpaid orders give their products back when the reservation runs out
+  startReservationSweeper();
+
+  // Admin exports cut off by the last shutdown
+  recoverExportJobs().catch(error => console.error('Recovering export jobs failed:', error));
 });
 
 module.exports = app;
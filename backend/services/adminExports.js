@@ -0,0 +1,355 @@
+const path = require('path');
+const fs = require('fs');
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const db = require('../config/database');
+const ExportJob = require('../models/ExportJob');
+const {
+  buildUserFilters,
+  buildProductFilters,
+  buildPurchaseFilters,
+  buildReportFilters
+} = require('./adminFilters');
+
+const EXPORTS_DIR = path.join(__dirname, '../storage/exports');
+const BATCH_SIZE = 500;
+
+// Exports up to this many rows stream straight back; larger ones run as jobs
+const SYNC_MAX_ROWS = parseInt(process.env.EXPORT_SYNC_MAX_ROWS) || 5000;
+const RETENTION_HOURS = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// What each dataset exports. id is the column rows are read in order of;
+// columns are written in order, with type converting the raw value.
+const DATASETS = {
+  users: {
+    filterKeys: ['search', 'is_active', 'is_verified'],
+    buildFilters: buildUserFilters,
+    select: `id, name, email, phone, location, pincode, is_active, is_verified, is_admin,
+             listings_count, sales_count, followers_count, following_count, last_seen_at, created_at`,
+    from: 'FROM users',
+    id: 'id',
+    columns: [
+      { header: 'ID', field: 'id', type: 'number' },
+      { header: 'Name', field: 'name' },
+      { header: 'Email', field: 'email' },
+      { header: 'Phone', field: 'phone' },
+      { header: 'Location', field: 'location' },
+      { header: 'Pincode', field: 'pincode' },
+      { header: 'Active', field: 'is_active', type: 'boolean' },
+      { header: 'Verified', field: 'is_verified', type: 'boolean' },
+      { header: 'Admin', field: 'is_admin', type: 'boolean' },
+      { header: 'Listings', field: 'listings_count', type: 'number' },
+      { header: 'Sales', field: 'sales_count', type: 'number' },
+      { header: 'Followers', field: 'followers_count', type: 'number' },
+      { header: 'Following', field: 'following_count', type: 'number' },
+      { header: 'Last Seen', field: 'last_seen_at', type: 'date' },
+      { header: 'Joined', field: 'created_at', type: 'date' }
+    ]
+  },
+
+  products: {
+    filterKeys: ['status', 'search'],
+    buildFilters: buildProductFilters,
+    select: `p.id, p.title, c.name as category_name, u.name as seller_name, u.email as seller_email,
+             p.price, p.condition, p.brand, p.location, p.pincode, p.status, p.rejection_reason,
+             p.views, p.created_at, p.approved_at`,
+    from: `FROM products p
+           JOIN categories c ON p.category_id = c.id
+           JOIN users u ON p.seller_id = u.id`,
+    id: 'p.id',
+    columns: [
+      { header: 'ID', field: 'id', type: 'number' },
+      { header: 'Title', field: 'title' },
+      { header: 'Category', field: 'category_name' },
+      { header: 'Seller', field: 'seller_name' },
+      { header: 'Seller Email', field: 'seller_email' },
+      { header: 'Price (INR)', field: 'price', type: 'number' },
+      { header: 'Condition', field: 'condition' },
+      { header: 'Brand', field: 'brand' },
+      { header: 'Location', field: 'location' },
+      { header: 'Pincode', field: 'pincode' },
+      { header: 'Status', field: 'status' },
+      { header: 'Rejection Reason', field: 'rejection_reason' },
+      { header: 'Views', field: 'views', type: 'number' },
+      { header: 'Listed', field: 'created_at', type: 'date' },
+      { header: 'Approved', field: 'approved_at', type: 'date' }
+    ]
+  },
+
+  purchases: {
+    filterKeys: ['status', 'search'],
+    buildFilters: buildPurchaseFilters,
+    select: `pur.id, pur.order_id, pur.product_id, p.title as product_title,
+             buyer.name as buyer_name, buyer.email as buyer_email,
+             seller.name as seller_name, seller.email as seller_email,
+             pur.price, pur.quantity, pur.price * pur.quantity as total,
+             pur.payment_method, pur.transaction_id, pur.status, pur.purchase_date, pur.completed_at`,
+    from: `FROM purchases pur
+           JOIN products p ON pur.product_id = p.id
+           JOIN users buyer ON pur.buyer_id = buyer.id
+           JOIN users seller ON pur.seller_id = seller.id`,
+    id: 'pur.id',
+    columns: [
+      { header: 'ID', field: 'id', type: 'number' },
+      { header: 'Order ID', field: 'order_id', type: 'number' },
+      { header: 'Product ID', field: 'product_id', type: 'number' },
+      { header: 'Product', field: 'product_title' },
+      { header: 'Buyer', field: 'buyer_name' },
+      { header: 'Buyer Email', field: 'buyer_email' },
+      { header: 'Seller', field: 'seller_name' },
+      { header: 'Seller Email', field: 'seller_email' },
+      { header: 'Price (INR)', field: 'price', type: 'number' },
+      { header: 'Quantity', field: 'quantity', type: 'number' },
+      { header: 'Total (INR)', field: 'total', type: 'number' },
+      { header: 'Payment Method', field: 'payment_method' },
+      { header: 'Transaction ID', field: 'transaction_id' },
+      { header: 'Status', field: 'status' },
+      { header: 'Purchased', field: 'purchase_date', type: 'date' },
+      { header: 'Completed', field: 'completed_at', type: 'date' }
+    ]
+  },
+
+  reports: {
+    filterKeys: ['status', 'report_type'],
+    buildFilters: buildReportFilters,
+    select: `r.id, r.report_type, r.reason, r.description, r.status,
+             reporter.name as reporter_name, reporter.email as reporter_email,
+             reported_user.name as reported_user_name, p.title as reported_product_title,
+             r.admin_notes, r.created_at, r.resolved_at`,
+    from: `FROM reports r
+           JOIN users reporter ON r.reporter_id = reporter.id
+           LEFT JOIN users reported_user ON r.reported_user_id = reported_user.id
+           LEFT JOIN products p ON r.reported_product_id = p.id`,
+    id: 'r.id',
+    columns: [
+      { header: 'ID', field: 'id', type: 'number' },
+      { header: 'Type', field: 'report_type' },
+      { header: 'Reason', field: 'reason' },
+      { header: 'Description', field: 'description' },
+      { header: 'Status', field: 'status' },
+      { header: 'Reporter', field: 'reporter_name' },
+      { header: 'Reporter Email', field: 'reporter_email' },
+      { header: 'Reported User', field: 'reported_user_name' },
+      { header: 'Reported Product', field: 'reported_product_title' },
+      { header: 'Admin Notes', field: 'admin_notes' },
+      { header: 'Reported', field: 'created_at', type: 'date' },
+      { header: 'Resolved', field: 'resolved_at', type: 'date' }
+    ]
+  }
+};
+
+// The dataset's filters present in a request query, as stored on export jobs
+const pickFilters = (dataset, query) => DATASETS[dataset].filterKeys.reduce((filters, key) => {
+  if (query[key] !== undefined && query[key] !== '') {
+    filters[key] = String(query[key]);
+  }
+  return filters;
+}, {});
+
+const countExportRows = async (dataset, filters) => {
+  const { from, buildFilters } = DATASETS[dataset];
+  const { where, params } = buildFilters(filters);
+  const [rows] = await db.execute(`SELECT COUNT(*) as total ${from} ${where}`, params);
+  return Number(rows[0].total);
+};
+
+// Call onBatch with the matching rows BATCH_SIZE at a time, in ID order, so
+// exports never hold the whole data set in memory
+const forEachBatch = async (dataset, filters, onBatch) => {
+  const { select, from, id, buildFilters } = DATASETS[dataset];
+  const { where, params } = buildFilters(filters);
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await db.execute(
+      `SELECT ${select} ${from} ${where} AND ${id} > ? ORDER BY ${id} ASC LIMIT ?`,
+      [...params, lastId, BATCH_SIZE]
+    );
+
+    if (rows.length > 0) {
+      await onBatch(rows);
+      lastId = rows[rows.length - 1].id;
+    }
+
+    if (rows.length < BATCH_SIZE) {
+      return;
+    }
+  }
+};
+
+const toCell = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'boolean') {
+    return Boolean(Number(value));
+  }
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'date') {
+    return value instanceof Date ? value : new Date(value);
+  }
+  return String(value);
+};
+
+const csvField = (value) => {
+  if (value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from evaluating user-supplied text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const createCsvWriter = (stream, columns) => {
+  const write = async (line) => {
+    if (!stream.write(line + '\r\n')) {
+      await once(stream, 'drain');
+    }
+  };
+
+  return {
+    // The byte order mark makes Excel read the file as UTF-8
+    begin: () => write('\uFEFF' + columns.map(column => csvField(column.header)).join(',')),
+    writeRow: (cells) => write(cells.map(csvField).join(',')),
+    async end() {
+      stream.end();
+      await once(stream, 'finish');
+    }
+  };
+};
+
+const createXlsxWriter = (stream, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  return {
+    async begin() {
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.field,
+        width: column.type === 'date' ? 22 : 18,
+        style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+      }));
+      sheet.getRow(1).font = { bold: true };
+    },
+    async writeRow(cells) {
+      sheet.addRow(cells).commit();
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Write the dataset's rows matching filters to stream as CSV or XLSX, ending the
+// stream. Returns the number of rows written.
+const writeExport = async ({ dataset, format, filters }, stream) => {
+  const { columns } = DATASETS[dataset];
+  const writer = format === 'xlsx'
+    ? createXlsxWriter(stream, columns, dataset)
+    : createCsvWriter(stream, columns);
+  let rowCount = 0;
+
+  await writer.begin();
+  await forEachBatch(dataset, filters, async (rows) => {
+    for (const row of rows) {
+      await writer.writeRow(columns.map(column => toCell(row[column.field], column.type)));
+    }
+    rowCount += rows.length;
+  });
+  await writer.end();
+
+  return rowCount;
+};
+
+const exportFileName = (dataset, format) => `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+const notifyAdmin = (adminId, title, message, data) => db.execute(
+  `INSERT INTO notifications (user_id, type, title, message, data)
+   VALUES (?, 'admin', ?, ?, ?)`,
+  [adminId, title, message, JSON.stringify(data)]
+);
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Delete the files of exports whose download has expired
+const removeExpiredExports = async () => {
+  const jobs = await ExportJob.findExpired();
+  for (const job of jobs) {
+    removeFile(job.file_path);
+    await job.clearFile();
+  }
+  return jobs.length;
+};
+
+const runExportJob = async (job) => {
+  const filePath = path.join(EXPORTS_DIR, `${job.dataset}-${job.id}.${job.format}`);
+
+  try {
+    await job.markRunning();
+    fs.mkdirSync(EXPORTS_DIR, { recursive: true });
+
+    const rowCount = await writeExport(job, fs.createWriteStream(filePath));
+    const expiresAt = new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000);
+    await job.markCompleted({ rowCount, filePath, expiresAt });
+
+    await notifyAdmin(
+      job.admin_id,
+      'Export Ready',
+      `Your ${job.dataset} export (${rowCount} rows) is ready to download for the next ${RETENTION_HOURS} hours`,
+      { export_id: job.id, download_url: `/api/admin/exports/${job.id}/download` }
+    );
+  } catch (error) {
+    console.error(`Export job ${job.id} failed:`, error);
+    removeFile(filePath);
+    await job.markFailed('The export could not be generated');
+    await notifyAdmin(job.admin_id, 'Export Failed', `Your ${job.dataset} export could not be generated`, { export_id: job.id });
+  }
+};
+
+// Queue a background export and start it once the current request is done
+const startExportJob = async ({ adminId, dataset, format, filters }) => {
+  const job = await ExportJob.create({ adminId, dataset, format, filters });
+
+  setImmediate(() => {
+    removeExpiredExports()
+      .then(() => runExportJob(job))
+      .catch(error => console.error(`Export job ${job.id} failed:`, error));
+  });
+
+  return job;
+};
+
+// On startup: fail jobs a previous run left unfinished and clear expired files
+const recoverExportJobs = async () => {
+  await ExportJob.failInterrupted();
+  await removeExpiredExports();
+};
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  SYNC_MAX_ROWS,
+  pickFilters,
+  countExportRows,
+  writeExport,
+  exportFileName,
+  startExportJob,
+  recoverExportJobs
+};
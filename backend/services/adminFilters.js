@@ -0,0 +1,81 @@
+// WHERE clauses for the admin list filters, shared by the list endpoints and the
+// exports so both always select the same rows
+const buildUserFilters = ({ search, is_active, is_verified } = {}) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    where += ' AND (name LIKE ? OR email LIKE ? OR phone LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  if (is_active !== undefined) {
+    where += ' AND is_active = ?';
+    params.push(is_active === 'true');
+  }
+
+  if (is_verified !== undefined) {
+    where += ' AND is_verified = ?';
+    params.push(is_verified === 'true');
+  }
+
+  return { where, params };
+};
+
+const buildProductFilters = ({ status, search } = {}) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    where += ' AND p.status = ?';
+    params.push(status);
+  }
+
+  if (search) {
+    where += ' AND (p.title LIKE ? OR p.description LIKE ? OR u.name LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  return { where, params };
+};
+
+const buildPurchaseFilters = ({ status, search } = {}) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    where += ' AND pur.status = ?';
+    params.push(status);
+  }
+
+  if (search) {
+    where += ' AND (p.title LIKE ? OR buyer.name LIKE ? OR buyer.email LIKE ? OR seller.name LIKE ? OR seller.email LIKE ?)';
+    params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+  }
+
+  return { where, params };
+};
+
+const buildReportFilters = ({ status, report_type } = {}) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    where += ' AND r.status = ?';
+    params.push(status);
+  }
+
+  if (report_type) {
+    where += ' AND r.report_type = ?';
+    params.push(report_type);
+  }
+
+  return { where, params };
+};
+
+module.exports = {
+  buildUserFilters,
+  buildProductFilters,
+  buildPurchaseFilters,
+  buildReportFilters
+};
@@ -0,0 +1,214 @@
+const db = require('../config/database');
+
+const PERIOD_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_GRANULARITY = { '7d': 'day', '30d': 'day', '90d': 'week', '1y': 'month' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+// Start of the UTC day, week (from Monday) or month containing date, matching
+// db.sql.dateBucket
+const bucketStart = (date, granularity) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (granularity === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  } else if (granularity === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextBucket = (date, granularity) => {
+  const next = new Date(date);
+  if (granularity === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (granularity === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Turn ?period=&granularity= into the range to report on: from is the start of
+// the first day in the period and buckets lists every bucket key up to today, the
+// first one possibly starting before from. Returns { error } for invalid input.
+const resolvePeriod = (period = '30d', granularity) => {
+  if (!PERIOD_DAYS[period]) {
+    return { error: `Invalid period. Use ${Object.keys(PERIOD_DAYS).join(', ')}` };
+  }
+
+  const unit = granularity || DEFAULT_GRANULARITY[period];
+  if (!GRANULARITIES.includes(unit)) {
+    return { error: `Invalid granularity. Use ${GRANULARITIES.join(', ')}` };
+  }
+
+  const today = bucketStart(new Date(), 'day');
+  const from = new Date(today.getTime() - (PERIOD_DAYS[period] - 1) * DAY_MS);
+
+  const buckets = [];
+  for (let bucket = bucketStart(from, unit); bucket <= today; bucket = nextBucket(bucket, unit)) {
+    buckets.push(toDateKey(bucket));
+  }
+
+  return { period, granularity: unit, from, buckets };
+};
+
+// Bucket keys come back as strings from SQLite and MySQL alike
+const byBucket = (rows, field = 'count') => new Map(rows.map(row => [String(row.bucket), Number(row[field]) || 0]));
+
+// Count rows of table per bucket of column since from
+const countPerBucket = async (table, column, { from, granularity }) => {
+  const bucket = db.sql.dateBucket(column, granularity);
+  const [rows] = await db.execute(
+    `SELECT ${bucket} as bucket, COUNT(*) as count
+     FROM ${table}
+     WHERE ${column} >= ?
+     GROUP BY ${bucket}`,
+    [from]
+  );
+  return byBucket(rows);
+};
+
+// Things users do that count as activity: listing, messaging, buying and signing
+// in. Each row is (user_id, active_at) since from; used as a derived table.
+const ACTIVITY_SQL = `
+  SELECT seller_id as user_id, created_at as active_at FROM products WHERE created_at >= ?
+  UNION ALL
+  SELECT sender_id, created_at FROM messages WHERE created_at >= ?
+  UNION ALL
+  SELECT buyer_id, purchase_date FROM purchases WHERE purchase_date >= ?
+  UNION ALL
+  SELECT user_id, created_at FROM user_sessions WHERE created_at >= ?
+  UNION ALL
+  SELECT user_id, last_used_at FROM user_sessions WHERE last_used_at >= ?`;
+const ACTIVITY_PARAM_COUNT = 5;
+
+// Sales volume from completed purchases, by completion date
+const loadGmv = async ({ from, granularity }) => {
+  const bucket = db.sql.dateBucket('completed_at', granularity);
+  const [rows] = await db.execute(
+    `SELECT ${bucket} as bucket, SUM(price * quantity) as gmv, COUNT(*) as count
+     FROM purchases
+     WHERE status = 'completed' AND completed_at >= ?
+     GROUP BY ${bucket}`,
+    [from]
+  );
+  return { gmv: byBucket(rows, 'gmv'), sales: byBucket(rows, 'count') };
+};
+
+// Chats started per bucket and how many of them led the buyer to pay for the
+// product, at any time since
+const loadChatConversion = async ({ from, granularity }) => {
+  const bucket = db.sql.dateBucket('cr.created_at', granularity);
+  const [rows] = await db.execute(
+    `SELECT ${bucket} as bucket, COUNT(*) as chats,
+            COUNT(CASE WHEN EXISTS (
+              SELECT 1 FROM purchases pur
+              WHERE pur.buyer_id = cr.buyer_id AND pur.product_id = cr.product_id
+                AND pur.status NOT IN ('pending', 'cancelled')
+            ) THEN 1 END) as converted
+     FROM chat_rooms cr
+     WHERE cr.created_at >= ?
+     GROUP BY ${bucket}`,
+    [from]
+  );
+  return { chats: byBucket(rows, 'chats'), converted: byBucket(rows, 'converted') };
+};
+
+const loadActiveUsers = async ({ from, granularity }) => {
+  const bucket = db.sql.dateBucket('activity.active_at', granularity);
+  const [rows] = await db.execute(
+    `SELECT ${bucket} as bucket, COUNT(DISTINCT activity.user_id) as count
+     FROM (${ACTIVITY_SQL}) activity
+     GROUP BY ${bucket}`,
+    Array(ACTIVITY_PARAM_COUNT).fill(from)
+  );
+  return byBucket(rows);
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 10000 : null);
+
+// One row per bucket of the resolved period with GMV, listings, approvals,
+// sign-ups, chat-to-purchase conversion and active users
+const getTimeSeries = async (range) => {
+  const [sales, listings, approvals, signUps, conversion, activeUsers] = await Promise.all([
+    loadGmv(range),
+    countPerBucket('products', 'created_at', range),
+    countPerBucket('products', 'approved_at', range),
+    countPerBucket('users', 'created_at', range),
+    loadChatConversion(range),
+    loadActiveUsers(range)
+  ]);
+
+  return range.buckets.map(bucket => {
+    const chats = conversion.chats.get(bucket) || 0;
+    const converted = conversion.converted.get(bucket) || 0;
+
+    return {
+      bucket,
+      gmv: Math.round((sales.gmv.get(bucket) || 0) * 100) / 100,
+      completed_purchases: sales.sales.get(bucket) || 0,
+      listings: listings.get(bucket) || 0,
+      approvals: approvals.get(bucket) || 0,
+      sign_ups: signUps.get(bucket) || 0,
+      chats,
+      converted_chats: converted,
+      chat_conversion_rate: ratio(converted, chats),
+      active_users: activeUsers.get(bucket) || 0
+    };
+  });
+};
+
+// Sign-up cohorts of the resolved period: for each bucket's sign-ups, the share
+// still active in that bucket and each one after it (offset 0 is the sign-up
+// bucket itself)
+const getCohortRetention = async (range) => {
+  const cohortBucket = db.sql.dateBucket('u.created_at', range.granularity);
+  const activeBucket = db.sql.dateBucket('activity.active_at', range.granularity);
+
+  const [[sizes], [activity]] = await Promise.all([
+    db.execute(
+      `SELECT ${cohortBucket} as bucket, COUNT(*) as count
+       FROM users u
+       WHERE u.created_at >= ?
+       GROUP BY ${cohortBucket}`,
+      [range.from]
+    ),
+    db.execute(
+      `SELECT ${cohortBucket} as cohort, ${activeBucket} as bucket, COUNT(DISTINCT u.id) as count
+       FROM users u
+       JOIN (${ACTIVITY_SQL}) activity ON activity.user_id = u.id
+       WHERE u.created_at >= ? AND activity.active_at >= u.created_at
+       GROUP BY ${cohortBucket}, ${activeBucket}`,
+      [...Array(ACTIVITY_PARAM_COUNT).fill(range.from), range.from]
+    )
+  ]);
+
+  const cohortSizes = byBucket(sizes);
+  const retained = new Map(activity.map(row => [`${row.cohort}|${row.bucket}`, Number(row.count)]));
+
+  return range.buckets
+    .map((cohort, index) => {
+      const size = cohortSizes.get(cohort) || 0;
+
+      return {
+        cohort,
+        size,
+        retention: range.buckets.slice(index).map((bucket, offset) => {
+          const users = retained.get(`${cohort}|${bucket}`) || 0;
+          return { offset, bucket, users, rate: ratio(users, size) };
+        })
+      };
+    })
+    .filter(cohort => cohort.size > 0);
+};
+
+module.exports = {
+  PERIOD_DAYS,
+  GRANULARITIES,
+  resolvePeriod,
+  countPerBucket,
+  getTimeSeries,
+  getCohortRetention
+};
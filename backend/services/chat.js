@@ -0,0 +1,392 @@
+const db = require('../config/database');
+const ChatRoom = require('../models/ChatRoom');
+const Message = require('../models/Message');
+const { verifyAccessToken } = require('../middleware/auth');
+
+// Socket.IO room names. Every participant socket joins its user channel on
+// connect and a room channel once it has been allowed into a chat room.
+const roomChannel = (roomId) => `room_${roomId}`;
+const userChannel = (userId) => `user_${userId}`;
+
+// Every socket also joins the channel of the session its token belongs to, so
+// the sockets of a revoked session can be found
+const sessionChannel = (sessionId) => `session_${sessionId}`;
+
+// Longest delay setTimeout supports
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Connected socket count per user ID. A user is online while they have at least one.
+const onlineUsers = new Map();
+
+const isOnline = (userId) => onlineUsers.has(userId);
+
+// Push the user's unread counts (for one room and in total) to all of their sockets
+const pushUnreadCount = async (io, userId, roomId) => {
+  if (!io || !isOnline(userId)) {
+    return;
+  }
+
+  const [roomUnread, totalUnread] = await Promise.all([
+    Message.countUnread(userId, roomId),
+    Message.countUnread(userId)
+  ]);
+
+  io.to(userChannel(userId)).emit('unread_count', {
+    room_id: roomId,
+    unread_count: roomUnread,
+    total_unread_count: totalUnread
+  });
+};
+
+// Store a message and push it to everyone in the room. Shared by
+// POST /api/chat/room/:roomId/message and the send_message socket event.
+const sendMessage = async (io, room, senderId, { message, message_type = 'text', attachment, offer_id }) => {
+  const created = await Message.create({
+    room_id: room.id,
+    sender_id: senderId,
+    message,
+    message_type,
+    attachment,
+    offer_id
+  });
+
+  // Delivered means it reached one of the recipient's connected sockets
+  const recipientId = room.getOtherParticipantId(senderId);
+  if (io && isOnline(recipientId)) {
+    created.delivered_at = await Message.markDelivered(created.id);
+  }
+
+  if (io) {
+    io.to(roomChannel(room.id)).to(userChannel(recipientId)).emit('new_message', {
+      room_id: room.id,
+      message: created
+    });
+    await pushUnreadCount(io, recipientId, room.id);
+  }
+
+  return created;
+};
+
+// Post an offer update into the room as an 'offer' message and push the offer itself
+const sendOfferMessage = async (io, room, senderId, offer, text) => {
+  const message = await sendMessage(io, room, senderId, {
+    message: text,
+    message_type: 'offer',
+    offer_id: offer.id
+  });
+
+  if (io) {
+    io.to(roomChannel(room.id)).emit('offer_updated', {
+      room_id: room.id,
+      offer: offer.toJSON()
+    });
+  }
+
+  return message;
+};
+
+// Mark the room read for the reader and tell the sender which messages were read
+const markRoomRead = async (io, room, readerId) => {
+  const { readAt, messageIds } = await Message.markRoomRead(room.id, readerId);
+
+  if (io && messageIds.length > 0) {
+    const senderId = room.getOtherParticipantId(readerId);
+    io.to(roomChannel(room.id)).to(userChannel(senderId)).emit('messages_read', {
+      room_id: room.id,
+      reader_id: readerId,
+      message_ids: messageIds,
+      read_at: readAt
+    });
+    await pushUnreadCount(io, readerId, room.id);
+  }
+
+  return { readAt, messageIds };
+};
+
+// Tell senders their queued messages reached a user who just came online
+const deliverPendingMessages = async (io, userId) => {
+  const { deliveredAt, messages } = await Message.markDeliveredTo(userId);
+
+  const byRoom = new Map();
+  messages.forEach(message => {
+    if (!byRoom.has(message.room_id)) {
+      byRoom.set(message.room_id, { senderId: message.sender_id, messageIds: [] });
+    }
+    byRoom.get(message.room_id).messageIds.push(message.id);
+  });
+
+  byRoom.forEach(({ senderId, messageIds }, roomId) => {
+    io.to(roomChannel(roomId)).to(userChannel(senderId)).emit('messages_delivered', {
+      room_id: roomId,
+      message_ids: messageIds,
+      delivered_at: deliveredAt
+    });
+  });
+};
+
+// Broadcast a presence change to everyone the user has a chat room with
+const broadcastPresence = async (io, userId, presence) => {
+  const counterpartIds = await ChatRoom.findCounterpartIds(userId);
+  if (counterpartIds.length === 0) {
+    return;
+  }
+
+  io.to(counterpartIds.map(userChannel)).emit('presence', {
+    user_id: userId,
+    ...presence
+  });
+};
+
+// Accept the access token from the handshake auth payload or an Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) {
+    return auth.token;
+  }
+
+  const authHeader = headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    return next(new Error('Access token required'));
+  }
+
+  try {
+    const auth = await verifyAccessToken(token);
+    if (!auth) {
+      return next(new Error('Invalid or expired token'));
+    }
+
+    socket.user = auth.user;
+    socket.sessionId = auth.session.id;
+    socket.tokenExpiresAt = auth.expiresAt.getTime();
+    next();
+  } catch (error) {
+    next(new Error('Invalid or expired token'));
+  }
+};
+
+const isTokenExpired = (socket) => Date.now() >= socket.tokenExpiresAt;
+
+// Disconnect the socket when its access token expires, unless the client sends a
+// fresh one with the authenticate event first
+const scheduleExpiry = (socket) => {
+  clearTimeout(socket.expiryTimer);
+
+  const remaining = Math.max(socket.tokenExpiresAt - Date.now(), 0);
+  socket.expiryTimer = setTimeout(() => {
+    if (isTokenExpired(socket)) {
+      socket.disconnect(true);
+    } else {
+      scheduleExpiry(socket);
+    }
+  }, Math.min(remaining, MAX_TIMER_MS));
+  socket.expiryTimer.unref();
+};
+
+// Disconnect the chat sockets of sessions that were just revoked (logout, password
+// change or reset, signing out a device)
+const disconnectSessions = (io, sessionIds) => {
+  if (!io || sessionIds.length === 0) {
+    return;
+  }
+  io.in(sessionIds.map(sessionChannel)).disconnectSockets(true);
+};
+
+// Acknowledge a socket event when the client asked for it
+const reply = (callback, payload) => {
+  if (typeof callback === 'function') {
+    callback(payload);
+  }
+};
+
+// The chat room behind a socket event, only if the socket has joined it
+const getJoinedRoomId = (socket, roomId) => {
+  const id = parseInt(roomId);
+  return socket.rooms.has(roomChannel(id)) ? id : null;
+};
+
+const handleConnect = async (io, socket) => {
+  const userId = socket.user.id;
+  const connections = onlineUsers.get(userId) || 0;
+  onlineUsers.set(userId, connections + 1);
+
+  if (connections === 0) {
+    await broadcastPresence(io, userId, { online: true, last_seen_at: null });
+  }
+  await deliverPendingMessages(io, userId);
+};
+
+const handleDisconnect = async (io, socket) => {
+  const userId = socket.user.id;
+  const connections = (onlineUsers.get(userId) || 1) - 1;
+
+  if (connections > 0) {
+    onlineUsers.set(userId, connections);
+    return;
+  }
+
+  onlineUsers.delete(userId);
+  const lastSeenAt = new Date();
+  await db.execute(
+    'UPDATE users SET last_seen_at = ? WHERE id = ?',
+    [lastSeenAt, userId]
+  );
+  await broadcastPresence(io, userId, { online: false, last_seen_at: lastSeenAt });
+};
+
+const registerChatSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const userId = socket.user.id;
+    socket.join(userChannel(userId));
+    socket.join(sessionChannel(socket.sessionId));
+    scheduleExpiry(socket);
+
+    handleConnect(io, socket).catch(error => {
+      console.error('Chat connect handling failed:', error);
+    });
+
+    // An expired token gets no further events through, only a new token
+    socket.use(([event], next) => {
+      if (event !== 'authenticate' && isTokenExpired(socket)) {
+        return socket.disconnect(true);
+      }
+      next();
+    });
+
+    // Swap in a refreshed access token for the same user to keep the socket open
+    socket.on('authenticate', async (token, callback) => {
+      try {
+        const auth = await verifyAccessToken(token);
+        if (!auth || auth.user.id !== userId) {
+          return reply(callback, { success: false, message: 'Invalid or expired token' });
+        }
+
+        socket.leave(sessionChannel(socket.sessionId));
+        socket.sessionId = auth.session.id;
+        socket.tokenExpiresAt = auth.expiresAt.getTime();
+        socket.join(sessionChannel(socket.sessionId));
+        scheduleExpiry(socket);
+
+        reply(callback, { success: true });
+      } catch (error) {
+        reply(callback, { success: false, message: 'Invalid or expired token' });
+      }
+    });
+
+    socket.on('join_room', async (roomId, callback) => {
+      try {
+        const room = await ChatRoom.findForParticipant(parseInt(roomId), userId);
+        if (!room) {
+          return reply(callback, { success: false, message: 'Access denied to this chat room' });
+        }
+
+        socket.join(roomChannel(room.id));
+
+        const otherUserId = room.getOtherParticipantId(userId);
+        reply(callback, {
+          success: true,
+          data: {
+            room_id: room.id,
+            other_user_online: isOnline(otherUserId)
+          }
+        });
+      } catch (error) {
+        console.error('join_room failed:', error);
+        reply(callback, { success: false, message: 'Could not join chat room' });
+      }
+    });
+
+    socket.on('leave_room', (roomId, callback) => {
+      socket.leave(roomChannel(parseInt(roomId)));
+      reply(callback, { success: true });
+    });
+
+    socket.on('send_message', async (data = {}, callback) => {
+      try {
+        const validationError = Message.validate(data);
+        if (validationError) {
+          return reply(callback, { success: false, message: validationError });
+        }
+
+        const room = await ChatRoom.findForParticipant(parseInt(data.roomId), userId);
+        if (!room) {
+          return reply(callback, { success: false, message: 'Access denied to this chat room' });
+        }
+
+        const message = await sendMessage(io, room, userId, { message: data.message });
+        reply(callback, { success: true, data: { message } });
+      } catch (error) {
+        console.error('send_message failed:', error);
+        reply(callback, { success: false, message: 'Could not send message' });
+      }
+    });
+
+    socket.on('mark_read', async (roomId, callback) => {
+      try {
+        const room = await ChatRoom.findForParticipant(parseInt(roomId), userId);
+        if (!room) {
+          return reply(callback, { success: false, message: 'Access denied to this chat room' });
+        }
+
+        const { readAt, messageIds } = await markRoomRead(io, room, userId);
+        reply(callback, { success: true, data: { read_at: readAt, message_ids: messageIds } });
+      } catch (error) {
+        console.error('mark_read failed:', error);
+        reply(callback, { success: false, message: 'Could not mark messages as read' });
+      }
+    });
+
+    // Typing indicators are only relayed, never stored
+    const relayTyping = (isTyping) => (roomId) => {
+      const joinedRoomId = getJoinedRoomId(socket, roomId);
+      if (joinedRoomId) {
+        socket.to(roomChannel(joinedRoomId)).emit('typing', {
+          room_id: joinedRoomId,
+          user_id: userId,
+          is_typing: isTyping
+        });
+      }
+    };
+
+    socket.on('typing_start', relayTyping(true));
+    socket.on('typing_stop', relayTyping(false));
+
+    // Clear typing indicators in every joined room before the socket leaves them
+    socket.on('disconnecting', () => {
+      socket.rooms.forEach(channel => {
+        if (channel.startsWith('room_')) {
+          socket.to(channel).emit('typing', {
+            room_id: parseInt(channel.slice('room_'.length)),
+            user_id: userId,
+            is_typing: false
+          });
+        }
+      });
+    });
+
+    socket.on('disconnect', () => {
+      clearTimeout(socket.expiryTimer);
+      handleDisconnect(io, socket).catch(error => {
+        console.error('Chat disconnect handling failed:', error);
+      });
+    });
+  });
+};
+
+module.exports = {
+  roomChannel,
+  userChannel,
+  isOnline,
+  sendMessage,
+  sendOfferMessage,
+  markRoomRead,
+  disconnectSessions,
+  registerChatSocket
+};
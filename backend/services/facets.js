@@ -0,0 +1,180 @@
+const db = require('../config/database');
+const { buildFilterClause } = require('./productFilters');
+const { withinRadius } = require('./geocoding');
+
+// Price buckets in rupees; max is exclusive and null means no upper bound
+const PRICE_BUCKETS = [
+  { key: '0-500', min: 0, max: 500 },
+  { key: '500-1000', min: 500, max: 1000 },
+  { key: '1000-5000', min: 1000, max: 5000 },
+  { key: '5000-10000', min: 5000, max: 10000 },
+  { key: '10000-25000', min: 10000, max: 25000 },
+  { key: '25000+', min: 25000, max: null }
+];
+
+// Brands and locations can be numerous; only the most common are returned
+const MAX_FACET_VALUES = 20;
+
+const PRICE_BUCKET_SQL = `CASE
+  ${PRICE_BUCKETS.map(bucket => bucket.max === null
+    ? `ELSE '${bucket.key}'`
+    : `WHEN p.price < ${bucket.max} THEN '${bucket.key}'`).join('\n  ')}
+END`;
+
+// Product IDs are bound in batches, as search does, to stay under the database's
+// limit on bound variables
+const ID_BATCH_SIZE = 500;
+
+// Approved products matching the filters, skipping the facet's own dimension so
+// picking one brand still shows the counts for the others. productIds limits the
+// counts to those products (text search matches, products within the radius).
+const facetScope = (filters, exclude, productIds) => {
+  const { clause, params } = buildFilterClause(filters, { exclude: [exclude, 'near'] });
+  let where = "WHERE p.status = 'approved'" + clause;
+
+  if (productIds) {
+    where += ` AND p.id IN (${productIds.map(() => '?').join(', ')})`;
+    params.push(...productIds);
+  }
+
+  return { where, params };
+};
+
+// Run a grouped count once, or once per batch of productIds adding up the counts
+// of each group (identified by keyOf)
+const countInBatches = async (productIds, keyOf, count) => {
+  if (!productIds) {
+    return (await count(null)).map(row => ({ ...row, count: Number(row.count) }));
+  }
+
+  const totals = new Map();
+  for (let start = 0; start < productIds.length; start += ID_BATCH_SIZE) {
+    const rows = await count(productIds.slice(start, start + ID_BATCH_SIZE));
+    rows.forEach(row => {
+      const key = keyOf(row);
+      const counted = totals.has(key) ? totals.get(key).count : 0;
+      totals.set(key, { ...row, count: counted + Number(row.count) });
+    });
+  }
+  return [...totals.values()];
+};
+
+// Most common first, then by name or value
+const byCount = (field) => (a, b) =>
+  b.count - a.count || (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0);
+
+const countCategories = async (filters, productIds) => {
+  const rows = await countInBatches(productIds, row => row.id, async (ids) => {
+    const { where, params } = facetScope(filters, 'category_id', ids);
+    const [rows] = await db.execute(
+      `SELECT c.id, c.name, c.icon, COUNT(*) as count
+       FROM products p
+       JOIN categories c ON p.category_id = c.id
+       ${where}
+       GROUP BY c.id, c.name, c.icon`,
+      params
+    );
+    return rows;
+  });
+  return rows
+    .map(row => ({ id: row.id, name: row.name, icon: row.icon, count: row.count }))
+    .sort(byCount('name'));
+};
+
+// Without productIds the database applies the limit; batched counts are only
+// complete once added up
+const countByColumn = async (column, filters, productIds, limit) => {
+  const rows = await countInBatches(productIds, row => row.value, async (ids) => {
+    const { where, params } = facetScope(filters, column, ids);
+    const [rows] = await db.execute(
+      `SELECT p.${column} as value, COUNT(*) as count
+       FROM products p
+       ${where} AND p.${column} IS NOT NULL AND p.${column} != ''
+       GROUP BY p.${column}
+       ${ids ? '' : `ORDER BY count DESC, value ASC ${limit ? `LIMIT ${limit}` : ''}`}`,
+      params
+    );
+    return rows;
+  });
+  rows.sort(byCount('value'));
+  return (limit ? rows.slice(0, limit) : rows).map(row => ({ value: row.value, count: row.count }));
+};
+
+const countPriceBuckets = async (filters, productIds) => {
+  const rows = await countInBatches(productIds, row => row.bucket, async (ids) => {
+    const { where, params } = facetScope(filters, 'price', ids);
+    const [rows] = await db.execute(
+      `SELECT ${PRICE_BUCKET_SQL} as bucket, COUNT(*) as count
+       FROM products p
+       ${where}
+       GROUP BY bucket`,
+      params
+    );
+    return rows;
+  });
+
+  const counts = new Map(rows.map(row => [row.bucket, row.count]));
+  return PRICE_BUCKETS.map(bucket => ({
+    ...bucket,
+    count: counts.get(bucket.key) || 0
+  }));
+};
+
+// IDs of approved products within near's radius: narrowed by bounding box in SQL
+// and checked on their exact distance here, as the nearby listing does
+const findNearbyIds = async (near) => {
+  const { clause, params } = buildFilterClause({ near });
+  const [rows] = await db.execute(
+    `SELECT p.id, p.latitude, p.longitude
+     FROM products p
+     WHERE p.status = 'approved'${clause}`,
+    params
+  );
+  return withinRadius(rows, near).map(row => row.id);
+};
+
+// Counts per category, condition, brand, location and price bucket for the
+// current filter set, over productIds when given
+const getProductFacets = async (filters = {}, { productIds } = {}) => {
+  // SQL only narrows by bounding box, so the radius is applied as a list of IDs
+  if (filters.near) {
+    const nearbyIds = await findNearbyIds(filters.near);
+    if (productIds) {
+      const matched = new Set(productIds);
+      productIds = nearbyIds.filter(id => matched.has(id));
+    } else {
+      productIds = nearbyIds;
+    }
+  }
+
+  if (productIds && productIds.length === 0) {
+    return {
+      categories: [],
+      conditions: [],
+      brands: [],
+      locations: [],
+      price_ranges: PRICE_BUCKETS.map(bucket => ({ ...bucket, count: 0 }))
+    };
+  }
+
+  const [categories, conditions, brands, locations, priceRanges] = await Promise.all([
+    countCategories(filters, productIds),
+    countByColumn('condition', filters, productIds),
+    countByColumn('brand', filters, productIds, MAX_FACET_VALUES),
+    countByColumn('location', filters, productIds, MAX_FACET_VALUES),
+    countPriceBuckets(filters, productIds)
+  ]);
+
+  return {
+    categories,
+    conditions,
+    brands,
+    locations,
+    price_ranges: priceRanges
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  getProductFacets
+};
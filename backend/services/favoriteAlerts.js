@@ -0,0 +1,45 @@
+const db = require('../config/database');
+
+const formatPrice = (price) => `₹${Number(price).toLocaleString('en-IN')}`;
+
+// Notify everyone who favorited a product, except excludeUserId (e.g. the buyer)
+const notifyFavoriters = async (connection, productId, { type, title, message, data, excludeUserId }) => {
+  const [favorites] = await connection.execute(
+    'SELECT user_id FROM favorites WHERE product_id = ? AND user_id != ?',
+    [productId, excludeUserId || 0]
+  );
+
+  for (const favorite of favorites) {
+    await connection.execute(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES (?, ?, ?, ?, ?)`,
+      [favorite.user_id, type, title, message, JSON.stringify(data)]
+    );
+  }
+
+  return favorites.length;
+};
+
+// Tell favoriters a product got cheaper
+const notifyPriceDrop = (product, oldPrice, newPrice, connection = db) => notifyFavoriters(connection, product.id, {
+  type: 'price_drop',
+  title: 'Price Drop',
+  message: `"${product.title}" dropped from ${formatPrice(oldPrice)} to ${formatPrice(newPrice)}`,
+  data: { product_id: product.id, old_price: Number(oldPrice), price: Number(newPrice) },
+  excludeUserId: product.seller_id
+});
+
+// Tell favoriters a buyer has reserved a product, so it will be gone unless the
+// sale falls through
+const notifyReserved = (product, buyerId, connection = db) => notifyFavoriters(connection, product.id, {
+  type: 'favorite_reserved',
+  title: 'Item About to Be Sold',
+  message: `"${product.title}" has been reserved by a buyer and may be sold soon`,
+  data: { product_id: product.id },
+  excludeUserId: buyerId
+});
+
+module.exports = {
+  notifyPriceDrop,
+  notifyReserved
+};
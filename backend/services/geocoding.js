@@ -0,0 +1,106 @@
+const db = require('../config/database');
+const { getlatlong } = require('pincode-lat-long');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 200;
+
+// Six-digit Indian PIN code, or null
+const normalizePincode = (pincode) => {
+  const value = String(pincode === undefined || pincode === null ? '' : pincode).replace(/\s/g, '');
+  return /^[1-9]\d{5}$/.test(value) ? value : null;
+};
+
+// Coordinates of a PIN code from the bundled offline dataset, or null when unknown
+const geocodePincode = (pincode) => {
+  const value = normalizePincode(pincode);
+  const point = value ? getlatlong(value) : undefined;
+
+  if (!point) {
+    return null;
+  }
+
+  return { latitude: point.lat, longitude: point.long };
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance in kilometres
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Latitude/longitude ranges enclosing the circle, a cheap SQL pre-filter before
+// the exact distance check
+const boundingBox = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(toRadians(latitude)), 0.01));
+
+  return {
+    minLatitude: latitude - latDelta,
+    maxLatitude: latitude + latDelta,
+    minLongitude: longitude - lngDelta,
+    maxLongitude: longitude + lngDelta
+  };
+};
+
+// Turn ?near=<pincode>&radius_km= into a near filter, or an error message
+const resolveNearFilter = (near, radiusKm) => {
+  const point = geocodePincode(near);
+  if (!point) {
+    return { error: 'Unknown pincode for near filter' };
+  }
+
+  const radius = radiusKm === undefined || radiusKm === '' ? DEFAULT_RADIUS_KM : parseFloat(radiusKm);
+  if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+
+  return {
+    near: {
+      pincode: normalizePincode(near),
+      ...point,
+      radius_km: radius
+    }
+  };
+};
+
+// Add distance_km to rows with latitude/longitude and drop those outside the radius
+const withinRadius = (rows, near) => rows
+  .filter(row => row.latitude !== null && row.latitude !== undefined)
+  .map(row => ({
+    ...row,
+    distance_km: Math.round(distanceKm(near, { latitude: Number(row.latitude), longitude: Number(row.longitude) }) * 10) / 10
+  }))
+  .filter(row => row.distance_km <= near.radius_km);
+
+// Store a product's PIN code and its coordinates (null when the PIN code is unknown)
+const locateProduct = async (productId, pincode) => {
+  const point = geocodePincode(pincode);
+
+  await db.execute(
+    'UPDATE products SET pincode = ?, latitude = ?, longitude = ? WHERE id = ?',
+    [normalizePincode(pincode), point ? point.latitude : null, point ? point.longitude : null, productId]
+  );
+
+  return point;
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  normalizePincode,
+  geocodePincode,
+  distanceKm,
+  boundingBox,
+  resolveNearFilter,
+  withinRadius,
+  locateProduct
+};
@@ -0,0 +1,128 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const path = require('path');
+const fs = require('fs');
+
+// WebP renditions written for every product photo. thumbnail and card are cropped
+// to fill their box; full keeps the aspect ratio and is never enlarged.
+const VARIANTS = {
+  thumbnail: { width: 160, height: 160, fit: 'cover', quality: 70 },
+  card: { width: 480, height: 360, fit: 'cover', quality: 75 },
+  full: { width: 1600, height: 1600, fit: 'inside', quality: 82 }
+};
+
+// Largest photo accepted, in pixels: a 48 MP phone photo fits, while a small file
+// that decodes to a huge image (a decompression bomb) is refused before decoding
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const BLURHASH_SIZE = 32;
+const BLURHASH_COMPONENTS = { x: 4, y: 3 };
+
+class ImageProcessingError extends Error {}
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map(value => value.toString(16).padStart(2, '0')).join('');
+
+const removeFiles = (filePaths) => {
+  filePaths.forEach(filePath => {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  });
+};
+
+// Turn an uploaded photo (a multer disk file) into WebP variants next to it,
+// upright according to its EXIF orientation and without any metadata, so camera
+// GPS positions are never published. The original upload is deleted. Returns the
+// variant URLs (under urlPrefix), the full size dimensions, a blurhash and the
+// dominant colour for placeholders. variants must include full.
+const processImage = async (file, { urlPrefix, variants: wanted = VARIANTS }) => {
+  const directory = path.dirname(file.path);
+  const baseName = path.parse(file.filename).name;
+  const written = [];
+
+  try {
+    // Upright according to the EXIF orientation; every output is cloned from this
+    // pipeline and written without metadata, so no full size raw copy is kept
+    const source = sharp(file.path, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    const variants = {};
+    let fullSize = null;
+
+    for (const [name, options] of Object.entries(wanted)) {
+      const fileName = `${baseName}-${name}.webp`;
+      const filePath = path.join(directory, fileName);
+
+      const output = await source.clone()
+        .resize({ width: options.width, height: options.height, fit: options.fit, withoutEnlargement: options.fit === 'inside' })
+        .webp({ quality: options.quality })
+        .toFile(filePath);
+      written.push(filePath);
+
+      variants[name] = `${urlPrefix}/${fileName}`;
+      if (name === 'full') {
+        fullSize = { width: output.width, height: output.height };
+      }
+    }
+
+    const placeholder = await source.clone()
+      .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const stats = await sharp(placeholder.data, {
+      raw: { width: placeholder.info.width, height: placeholder.info.height, channels: placeholder.info.channels }
+    }).stats();
+
+    const blurhash = encode(
+      new Uint8ClampedArray(placeholder.data),
+      placeholder.info.width,
+      placeholder.info.height,
+      BLURHASH_COMPONENTS.x,
+      BLURHASH_COMPONENTS.y
+    );
+
+    removeFiles([file.path]);
+
+    return {
+      image_url: variants.full,
+      variants,
+      width: fullSize.width,
+      height: fullSize.height,
+      blurhash,
+      dominant_color: toHex(stats.dominant)
+    };
+  } catch (error) {
+    removeFiles(written);
+    throw new ImageProcessingError(`Could not process image ${file.originalname}`);
+  }
+};
+
+// Process several uploads; if one fails the variants already written are removed
+const processImages = async (files, options) => {
+  const processed = [];
+
+  try {
+    for (const file of files || []) {
+      processed.push(await processImage(file, options));
+    }
+    return processed;
+  } catch (error) {
+    removeProcessedImages(processed, path.dirname(files[0].path));
+    throw error;
+  }
+};
+
+// Delete the variant files of processed images stored in directory
+const removeProcessedImages = (images, directory) => {
+  images.forEach(image => {
+    removeFiles(Object.values(image.variants).map(url => path.join(directory, path.basename(url))));
+  });
+};
+
+module.exports = {
+  VARIANTS,
+  ImageProcessingError,
+  processImage,
+  processImages,
+  removeProcessedImages
+};
@@ -0,0 +1,108 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+
+// Transport that appends every message to a JSON-lines file instead of sending it.
+// Useful for tests and local development where no SMTP server is available.
+class FileSinkTransport {
+  constructor(filePath) {
+    this.name = 'FileSink';
+    this.version = '1.0.0';
+    this.filePath = filePath;
+  }
+
+  send(mail, callback) {
+    const { from, to, subject, text, html } = mail.data;
+    const entry = {
+      from,
+      to,
+      subject,
+      text,
+      html,
+      sent_at: new Date().toISOString()
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+      callback(null, { envelope: mail.message.getEnvelope(), messageId: mail.message.messageId() });
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+// Build a transport from environment configuration.
+// MAIL_TRANSPORT=smtp (default) sends through SMTP_HOST/SMTP_PORT, which can point at a
+// local stand-in such as MailHog; MAIL_TRANSPORT=file writes to MAIL_SINK_PATH.
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT || 'smtp';
+
+  if (transport === 'file') {
+    const sinkPath = process.env.MAIL_SINK_PATH || path.join(__dirname, '../tmp/mail.jsonl');
+    return nodemailer.createTransport(new FileSinkTransport(sinkPath));
+  }
+
+  if (transport === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    } : undefined,
+    ignoreTLS: process.env.SMTP_SECURE !== 'true' && !process.env.SMTP_USER
+  });
+};
+
+let transporter = null;
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the active transport (e.g. with a file sink or stub in tests)
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'EcoFinds <no-reply@ecofinds.in>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const sendPasswordResetOtp = async (user, otp, expiresInMinutes) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your EcoFinds password reset code',
+    text: `Hi ${user.name},\n\nYour password reset code is ${otp}. It expires in ${expiresInMinutes} minutes.\n\nIf you did not request a password reset, you can ignore this email.\n\n- Team EcoFinds`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+      <p>Your password reset code is <strong>${otp}</strong>. It expires in ${expiresInMinutes} minutes.</p>
+      <p>If you did not request a password reset, you can ignore this email.</p>
+      <p>- Team EcoFinds</p>`
+  });
+};
+
+module.exports = {
+  FileSinkTransport,
+  createTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetOtp
+};
@@ -0,0 +1,44 @@
+const db = require('../config/database');
+const { PRODUCT_KEYSETS, productKeyset, buildFilterClause } = require('./productFilters');
+const { withinRadius } = require('./geocoding');
+const { paginateRows } = require('../middleware/pagination');
+
+// Approved products within filters.near's radius, with the other listing filters
+// applied, and one page of them with distance_km and its pagination info. Ordered
+// by distance unless sort_by asks for newest or price order, and paged by keyset
+// cursor either way. Candidates are narrowed by bounding box in SQL and sorted
+// here on their exact distance; full rows are only loaded for the page.
+const listNearbyProducts = async (filters, pagination) => {
+  const { clause, params } = buildFilterClause(filters);
+  const [candidates] = await db.execute(
+    `SELECT p.id, p.latitude, p.longitude, p.price, p.created_at
+     FROM products p
+     WHERE p.status = 'approved'${clause}`,
+    params
+  );
+
+  const keys = productKeyset(filters.sort_by) || PRODUCT_KEYSETS.distance;
+  const { items: page, pagination: pageInfo } = paginateRows(pagination, withinRadius(candidates, filters.near), keys);
+  if (page.length === 0) {
+    return { products: [], pagination: pageInfo };
+  }
+
+  const [rows] = await db.execute(
+    `SELECT p.*, c.name as category_name, c.icon as category_icon
+     FROM products p
+     JOIN categories c ON p.category_id = c.id
+     WHERE p.id IN (${page.map(() => '?').join(', ')})`,
+    page.map(row => row.id)
+  );
+
+  const rowsById = new Map(rows.map(row => [row.id, row]));
+  const products = page
+    .filter(row => rowsById.has(row.id))
+    .map(row => ({ ...rowsById.get(row.id), distance_km: row.distance_km }));
+
+  return { products, pagination: pageInfo };
+};
+
+module.exports = {
+  listNearbyProducts
+};
@@ -0,0 +1,21 @@
+const Order = require('../models/Order');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Release the products of unpaid orders once their reservation runs out. Runs
+// every minute while the server is up, starting straight away to catch up on
+// reservations that ran out while it was down.
+const startReservationSweeper = () => {
+  const run = () => Order.expireReservations().catch(error => {
+    console.error('Expiring order reservations failed:', error);
+  });
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startReservationSweeper
+};
@@ -0,0 +1,236 @@
+const db = require('../../config/database');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const MockProvider = require('./mockProvider');
+const RazorpayProvider = require('./razorpayProvider');
+
+// Every provider implements:
+//   createIntent({ amount, currency, reference }) -> { id, amount, currency, status, checkout }
+//   capture(paymentId, amount)                    -> { id, status, amount }
+//   refund(paymentId, amount)                     -> { id, status, amount }
+//   verifyWebhookSignature(rawBody, headers)      -> boolean
+//   parseWebhookEvent(body, headers)              -> { id, type, intentId, paymentId, refundId, amount, method } or null
+// where type is one of payment.authorized, payment.captured, payment.failed or refund.processed.
+// Providers throw on construction when their keys or webhook secret are missing.
+const providers = {
+  mock: MockProvider,
+  razorpay: RazorpayProvider
+};
+
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    const Provider = providers[name];
+
+    if (!Provider) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    // Anyone who can post to the webhook could pay for orders with the mock
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+      throw new Error('The mock payment provider cannot be used in production; set PAYMENT_PROVIDER');
+    }
+    activeProvider = new Provider();
+  }
+  return activeProvider;
+};
+
+// Replace the active provider (e.g. with a configured MockProvider in tests)
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const createIntentForOrder = async (order) => {
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount: order.total,
+    currency: 'INR',
+    reference: `order_${order.id}`
+  });
+
+  const payment = await Payment.create({
+    order_id: order.id,
+    provider: provider.name,
+    provider_intent_id: intent.id,
+    amount: order.total,
+    currency: intent.currency
+  });
+
+  return { payment, checkout: intent.checkout };
+};
+
+// Amounts in rupees, compared to the paisa
+const amountsDiffer = (a, b) => Math.round(Number(a) * 100) !== Math.round(Number(b) * 100);
+
+// Record a refund of part or all of a payment in the caller's transaction. The
+// provider is only asked for it by issueRefund() once that transaction committed,
+// so a rollback never leaves money refunded without a record of it.
+const recordRefund = (payment, { purchaseId = null, amount, reason }, connection) => Payment.createRefund({
+  payment_id: payment.id,
+  purchase_id: purchaseId,
+  amount,
+  reason
+}, connection);
+
+// Ask the provider for a recorded refund. A failure marks the refund failed for
+// an admin to follow up rather than undoing the change it belonged to; the
+// payment is updated once the provider confirms with a refund.processed webhook.
+const issueRefund = async (refund) => {
+  const payment = await Payment.findById(refund.payment_id);
+
+  try {
+    const providerRefund = await getProvider().refund(payment.provider_payment_id, Number(refund.amount));
+    await Payment.setRefundProviderId(refund.id, providerRefund.id);
+    return providerRefund;
+  } catch (error) {
+    console.error(`Refund ${refund.id} of payment ${payment.id} failed:`, error);
+    await Payment.markRefundFailed(refund.id);
+    return null;
+  }
+};
+
+// Apply a verified webhook event to the payment and its order in the caller's
+// transaction. Returns the result, with the capture or refund to ask the provider
+// for once it committed.
+const applyWebhookEvent = async (provider, event, connection) => {
+  if (!(await Payment.claimWebhookEvent(provider.name, event.id, event.type, connection))) {
+    return { handled: false, reason: 'duplicate' };
+  }
+
+  let payment = event.intentId
+    ? await Payment.findByProviderIntentId(provider.name, event.intentId, connection)
+    : await Payment.findByProviderPaymentId(provider.name, event.paymentId, connection);
+
+  if (!payment) {
+    // Leave it unclaimed in case the payment is recorded by the time of a retry
+    await connection.rollback();
+    return { handled: false, reason: 'unknown_payment' };
+  }
+
+  if (['payment.authorized', 'payment.captured'].includes(event.type) && amountsDiffer(event.amount, payment.amount)) {
+    console.error(`Payment ${payment.id}: webhook amount ${event.amount} does not match ${payment.amount}`);
+    return { handled: false, reason: 'amount_mismatch' };
+  }
+
+  const order = await Order.findById(payment.order_id, connection);
+
+  switch (event.type) {
+    case 'payment.authorized':
+      payment = await payment.update({ status: 'authorized', provider_payment_id: event.paymentId, method: event.method }, connection);
+
+      // Not captured, so the gateway lets the authorization lapse
+      if (!order.isPayable() || amountsDiffer(payment.amount, order.total)) {
+        return { handled: false, reason: 'order_not_payable', payment };
+      }
+
+      // Capture right away; the gateway confirms with a payment.captured event
+      return { handled: true, payment, capture: { paymentId: event.paymentId, amount: payment.amount } };
+
+    case 'payment.captured': {
+      if (payment.status === 'captured') {
+        return { handled: false, reason: 'duplicate' };
+      }
+
+      payment = await payment.update({ status: 'captured', provider_payment_id: event.paymentId, method: event.method }, connection);
+
+      // The order changed, expired or failed after the intent was made: give the
+      // money back rather than keep it without an order to apply it to
+      const paid = !amountsDiffer(payment.amount, order.total) &&
+        await order.markPaid({ transactionId: event.paymentId, paymentMethod: event.method }, connection);
+      if (!paid) {
+        const refund = await recordRefund(payment, { amount: payment.amount, reason: `Order #${order.id} could not be paid` }, connection);
+        return { handled: false, reason: 'order_not_payable', payment, refund };
+      }
+      break;
+    }
+
+    case 'payment.failed':
+      payment = await payment.update({ status: 'failed', provider_payment_id: event.paymentId, method: event.method }, connection);
+      await order.markPaymentFailed(connection);
+      break;
+
+    case 'refund.processed': {
+      const refund = event.refundId
+        ? await Payment.findRefundByProviderId(payment.id, event.refundId, connection)
+        : null;
+
+      if (refund) {
+        // Refund the app issued; the purchase was already moved on when it was recorded
+        await Payment.markRefundProcessed(refund.id, connection);
+      } else if (await Payment.hasUnissuedRefunds(payment.id, connection)) {
+        // Probably one of ours whose provider ID is not stored yet; wait for the retry
+        await connection.rollback();
+        return { handled: false, reason: 'unknown_refund' };
+      } else {
+        // Started from the gateway dashboard
+        await Payment.createRefund({
+          payment_id: payment.id,
+          amount: event.amount,
+          provider_refund_id: event.refundId,
+          reason: 'Refunded through the payment gateway',
+          status: 'processed'
+        }, connection);
+      }
+
+      const fullyRefunded = await payment.getRefundedAmount(connection) >= Number(payment.amount);
+      payment = await payment.update({ status: fullyRefunded ? 'refunded' : 'partially_refunded' }, connection);
+      if (!refund && fullyRefunded) {
+        await order.markRefunded(connection);
+      }
+      break;
+    }
+
+    default:
+      return { handled: false, reason: 'ignored_event' };
+  }
+
+  return { handled: true, payment };
+};
+
+// Apply a verified webhook event. The event is claimed and applied in one
+// transaction, so concurrent deliveries of it are applied once and a failure
+// leaves it unclaimed for the gateway's retry. Captures and refunds are only
+// requested from the provider after the commit.
+const handleWebhookEvent = async (event) => {
+  const provider = getProvider();
+  const { capture, refund, ...result } = await db.transaction(connection => applyWebhookEvent(provider, event, connection));
+
+  if (capture) {
+    try {
+      await provider.capture(capture.paymentId, capture.amount);
+    } catch (error) {
+      // Let the gateway's retry of this event capture again
+      await Payment.releaseWebhookEvent(provider.name, event.id);
+      throw error;
+    }
+  }
+
+  if (refund) {
+    await issueRefund(refund);
+  }
+
+  return result;
+};
+
+// Record a refund of part or all of a single purchase (e.g. when a dispute is
+// settled) in the caller's transaction; pass the result to issueRefund() after
+// the commit
+const recordPurchaseRefund = async (purchase, amount, reason, connection) => {
+  const payment = await Payment.findLatestByOrder(purchase.order_id, connection);
+
+  if (!payment || !['captured', 'partially_refunded'].includes(payment.status)) {
+    throw new Error(`Purchase ${purchase.id} has no captured payment to refund`);
+  }
+
+  return recordRefund(payment, { purchaseId: purchase.id, amount, reason }, connection);
+};
+
+module.exports = {
+  getProvider,
+  setProvider,
+  createIntentForOrder,
+  handleWebhookEvent,
+  recordPurchaseRefund,
+  issueRefund
+};
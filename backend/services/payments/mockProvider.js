@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Fully local payment provider for development and tests. Intents and payments live
+// in memory and webhooks are built with simulatePayment()/simulateRefund() and then
+// posted to /api/payments/webhook like a real gateway would.
+class MockProvider {
+  constructor({ webhookSecret } = {}) {
+    this.name = 'mock';
+    this.webhookSecret = webhookSecret || process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider');
+    }
+    this.intents = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+  }
+
+  async createIntent({ amount, currency = 'INR', reference }) {
+    const intent = {
+      id: `mock_order_${uuidv4()}`,
+      amount,
+      currency,
+      reference,
+      status: 'created'
+    };
+    this.intents.set(intent.id, intent);
+
+    return {
+      id: intent.id,
+      amount,
+      currency,
+      status: intent.status,
+      checkout: {
+        provider: this.name,
+        intent_id: intent.id
+      }
+    };
+  }
+
+  async capture(paymentId, amount) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`Unknown mock payment ${paymentId}`);
+    }
+
+    payment.status = 'captured';
+    payment.captured_amount = amount;
+    return { id: paymentId, status: payment.status, amount };
+  }
+
+  async refund(paymentId, amount) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`Unknown mock payment ${paymentId}`);
+    }
+
+    const refund = { id: `mock_rfnd_${uuidv4()}`, payment_id: paymentId, amount };
+    payment.refunds = (payment.refunds || []).concat(refund);
+    this.refunds.set(refund.id, refund);
+    return { id: refund.id, status: 'processed', amount };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    if (!signature || !rawBody) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Returns null for a payload that is not a mock gateway event
+  parseWebhookEvent(body) {
+    if (!body || !body.id || !body.event || !body.payment) {
+      return null;
+    }
+
+    return {
+      id: body.id,
+      type: body.event,
+      intentId: body.payment.intent_id,
+      paymentId: body.payment.id,
+      refundId: body.refund ? body.refund.id : null,
+      amount: body.refund ? body.refund.amount : body.payment.amount,
+      method: body.payment.method
+    };
+  }
+
+  buildWebhook(event, payment, refund) {
+    const body = { id: `mock_evt_${uuidv4()}`, event, payment, ...(refund ? { refund } : {}) };
+    const rawBody = JSON.stringify(body);
+
+    return {
+      body,
+      rawBody,
+      headers: {
+        'content-type': 'application/json',
+        'x-mock-signature': this.sign(rawBody)
+      }
+    };
+  }
+
+  // Pretend the buyer paid for an intent; returns the webhook the gateway would send
+  simulatePayment(intentId, { method = 'upi', event = 'payment.captured' } = {}) {
+    const intent = this.intents.get(intentId);
+    if (!intent) {
+      throw new Error(`Unknown mock intent ${intentId}`);
+    }
+
+    const payment = {
+      id: `mock_pay_${uuidv4()}`,
+      intent_id: intentId,
+      amount: intent.amount,
+      method,
+      status: event === 'payment.failed' ? 'failed' : 'authorized'
+    };
+    this.payments.set(payment.id, payment);
+
+    return this.buildWebhook(event, payment);
+  }
+
+  // Confirm a refund made through refund(), or a full refund started outside the
+  // app when no refund ID is given
+  simulateRefund(paymentId, refundId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`Unknown mock payment ${paymentId}`);
+    }
+
+    const refund = refundId ? this.refunds.get(refundId) : null;
+    return this.buildWebhook('refund.processed', payment, refund || undefined);
+  }
+}
+
+module.exports = MockProvider;
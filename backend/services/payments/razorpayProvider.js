@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const https = require('https');
+
+const API_HOST = 'api.razorpay.com';
+
+// Convert rupees to paise, Razorpay's unit for amounts
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const toRupees = (paise) => Number(paise) / 100;
+
+// Razorpay adapter (UPI, cards, netbanking). Talks to the REST API directly so no SDK
+// is needed; webhooks are signed with HMAC-SHA256 of the raw body.
+class RazorpayProvider {
+  constructor({ keyId, keySecret, webhookSecret } = {}) {
+    this.name = 'razorpay';
+    this.keyId = keyId || process.env.RAZORPAY_KEY_ID;
+    this.keySecret = keySecret || process.env.RAZORPAY_KEY_SECRET;
+    this.webhookSecret = webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET;
+
+    if (!this.keyId || !this.keySecret || !this.webhookSecret) {
+      throw new Error('RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET must be set to use Razorpay');
+    }
+  }
+
+  request(method, path, body) {
+    const payload = body ? JSON.stringify(body) : null;
+    const auth = Buffer.from(`${this.keyId}:${this.keySecret}`).toString('base64');
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        host: API_HOST,
+        path: `/v1${path}`,
+        method,
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = data ? JSON.parse(data) : {};
+          } catch (error) {
+            return reject(new Error(`Invalid response from Razorpay (${res.statusCode})`));
+          }
+
+          if (res.statusCode >= 400) {
+            const description = parsed.error && parsed.error.description;
+            return reject(new Error(`Razorpay request failed: ${description || res.statusCode}`));
+          }
+          resolve(parsed);
+        });
+      });
+
+      req.on('error', reject);
+      if (payload) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  async createIntent({ amount, currency = 'INR', reference }) {
+    const order = await this.request('POST', '/orders', {
+      amount: toPaise(amount),
+      currency,
+      receipt: String(reference),
+      payment_capture: 0
+    });
+
+    return {
+      id: order.id,
+      amount: toRupees(order.amount),
+      currency: order.currency,
+      status: order.status,
+      // Passed to Razorpay Checkout on the client
+      checkout: {
+        provider: this.name,
+        key: this.keyId,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  }
+
+  async capture(paymentId, amount, currency = 'INR') {
+    const payment = await this.request('POST', `/payments/${paymentId}/capture`, {
+      amount: toPaise(amount),
+      currency
+    });
+    return { id: payment.id, status: payment.status, amount: toRupees(payment.amount) };
+  }
+
+  async refund(paymentId, amount) {
+    const refund = await this.request('POST', `/payments/${paymentId}/refund`, {
+      amount: toPaise(amount)
+    });
+    return { id: refund.id, status: refund.status, amount: toRupees(refund.amount) };
+  }
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers['x-razorpay-signature'];
+    if (!signature || !rawBody || !this.webhookSecret) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Returns null for a payload without a payment or refund entity
+  parseWebhookEvent(body, headers = {}) {
+    const payment = body && body.payload && body.payload.payment && body.payload.payment.entity;
+    const refund = body && body.payload && body.payload.refund && body.payload.refund.entity;
+
+    if (!body || !body.event || (!payment && !refund)) {
+      return null;
+    }
+
+    return {
+      id: headers['x-razorpay-event-id'] || `${body.event}:${(refund || payment || {}).id}`,
+      type: body.event,
+      intentId: payment ? payment.order_id : null,
+      paymentId: payment ? payment.id : (refund ? refund.payment_id : null),
+      refundId: refund ? refund.id : null,
+      amount: toRupees((refund || payment || {}).amount || 0),
+      method: payment ? payment.method : null
+    };
+  }
+}
+
+module.exports = RazorpayProvider;
@@ -0,0 +1,89 @@
+const { boundingBox } = require('./geocoding');
+
+// SQL conditions for the listing filters accepted by GET /api/products, against a
+// products table aliased as p. Filters named in exclude are skipped, which facet
+// counts use to ignore their own dimension.
+const buildFilterClause = (filters = {}, { exclude = [] } = {}) => {
+  const conditions = [];
+  const params = [];
+  const applies = (name) => !exclude.includes(name);
+
+  if (applies('seller_id') && filters.seller_id) {
+    conditions.push('p.seller_id = ?');
+    params.push(filters.seller_id);
+  }
+
+  if (applies('category_id') && filters.category_id) {
+    conditions.push('p.category_id = ?');
+    params.push(filters.category_id);
+  }
+
+  if (applies('price') && filters.min_price !== undefined && !isNaN(filters.min_price)) {
+    conditions.push('p.price >= ?');
+    params.push(filters.min_price);
+  }
+
+  if (applies('price') && filters.max_price !== undefined && !isNaN(filters.max_price)) {
+    conditions.push('p.price <= ?');
+    params.push(filters.max_price);
+  }
+
+  if (applies('condition') && filters.condition) {
+    conditions.push('p.condition = ?');
+    params.push(filters.condition);
+  }
+
+  if (applies('brand') && filters.brand) {
+    conditions.push('p.brand = ?');
+    params.push(filters.brand);
+  }
+
+  if (applies('location') && filters.location) {
+    conditions.push('p.location LIKE ?');
+    params.push(`%${filters.location}%`);
+  }
+
+  // Only the bounding box; callers drop the corners with withinRadius
+  if (applies('near') && filters.near) {
+    const box = boundingBox(filters.near, filters.near.radius_km);
+    conditions.push('p.latitude BETWEEN ? AND ?', 'p.longitude BETWEEN ? AND ?');
+    params.push(box.minLatitude, box.maxLatitude, box.minLongitude, box.maxLongitude);
+  }
+
+  return {
+    clause: conditions.map(condition => ` AND ${condition}`).join(''),
+    params
+  };
+};
+
+// Keyset order for each sort_by option that pages by cursor: the sort column with
+// the product id as tie-breaker. distance has no column and only sorts rows from
+// withinRadius in memory.
+const PRODUCT_KEYSETS = {
+  newest: [
+    { column: 'p.created_at', field: 'created_at', direction: 'DESC', type: 'date' },
+    { column: 'p.id', field: 'id', direction: 'DESC' }
+  ],
+  price_low: [
+    { column: 'p.price', field: 'price', direction: 'ASC' },
+    { column: 'p.id', field: 'id', direction: 'ASC' }
+  ],
+  price_high: [
+    { column: 'p.price', field: 'price', direction: 'DESC' },
+    { column: 'p.id', field: 'id', direction: 'DESC' }
+  ],
+  distance: [
+    { field: 'distance_km', direction: 'ASC' },
+    { field: 'id', direction: 'ASC' }
+  ]
+};
+
+// Keys for a sort_by value ('price-low' and 'price_low' alike), or undefined for
+// orders without a keyset such as relevance
+const productKeyset = (sortBy) => PRODUCT_KEYSETS[String(sortBy || '').replace('-', '_')];
+
+module.exports = {
+  PRODUCT_KEYSETS,
+  productKeyset,
+  buildFilterClause
+};
@@ -0,0 +1,105 @@
+const db = require('../config/database');
+const Review = require('../models/Review');
+const ProductImage = require('../models/ProductImage');
+const { PRODUCT_KEYSETS, productKeyset, buildFilterClause } = require('./productFilters');
+const { paginateQuery } = require('../middleware/pagination');
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const loadPrimaryImages = async (productIds) => {
+  const [rows] = await db.execute(
+    `SELECT *
+     FROM product_images
+     WHERE is_primary = TRUE AND product_id IN (${placeholders(productIds)})`,
+    productIds
+  );
+  return new Map(rows.map(row => [row.product_id, new ProductImage(row)]));
+};
+
+const loadSellers = async (sellerIds) => {
+  const [rows] = await db.execute(
+    `SELECT id, name, avatar, location
+     FROM users
+     WHERE id IN (${placeholders(sellerIds)})`,
+    sellerIds
+  );
+  return new Map(rows.map(row => [row.id, row]));
+};
+
+const loadFavoriteIds = async (userId, productIds) => {
+  if (!userId) {
+    return null;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT product_id
+     FROM favorites
+     WHERE user_id = ? AND product_id IN (${placeholders(productIds)})`,
+    [userId, ...productIds]
+  );
+  return new Set(rows.map(row => row.product_id));
+};
+
+// Add the primary image (with its variants and placeholder), seller summary (name,
+// avatar, location and rating) and, for a signed-in user, favorite status to
+// every product in one page of a listing. Each is loaded for the whole page at
+// once, so the number of queries does not grow with the page size.
+const decorateProducts = async (products, { userId } = {}) => {
+  if (products.length === 0) {
+    return products;
+  }
+
+  const productIds = products.map(product => product.id);
+  const sellerIds = [...new Set(products.map(product => product.seller_id))];
+
+  const [images, sellers, ratings, favoriteIds] = await Promise.all([
+    loadPrimaryImages(productIds),
+    loadSellers(sellerIds),
+    Review.getSellerRatings(sellerIds),
+    loadFavoriteIds(userId, productIds)
+  ]);
+
+  products.forEach(product => {
+    const seller = sellers.get(product.seller_id);
+    const rating = ratings.get(product.seller_id);
+    const image = images.get(product.id);
+
+    product.primary_image = image ? image.image_url : null;
+    product.primary_image_variants = image ? image.getVariants() : null;
+    product.primary_image_blurhash = image ? image.blurhash : null;
+    product.primary_image_color = image ? image.dominant_color : null;
+    product.seller_name = seller ? seller.name : null;
+    product.seller_avatar = seller ? seller.avatar : null;
+    product.seller_location = seller ? seller.location : null;
+    product.seller_rating = rating ? rating.average : null;
+    product.seller_review_count = rating ? rating.count : 0;
+
+    if (favoriteIds) {
+      product.is_favorited = favoriteIds.has(product.id);
+    }
+  });
+
+  return products;
+};
+
+// One page of approved products matching the listing filters (including
+// seller_id), paged by keyset cursor in sort_by order: newest first unless it asks
+// for price order
+const listProducts = (pagination, filters = {}) => {
+  const { clause, params } = buildFilterClause(filters);
+  const keys = productKeyset(filters.sort_by);
+
+  return paginateQuery(pagination, {
+    select: 'p.*, c.name as category_name, c.icon as category_icon',
+    from: 'FROM products p JOIN categories c ON p.category_id = c.id',
+    where: `WHERE p.status = 'approved'${clause}`,
+    params,
+    // distance has no column and is only sorted in memory for nearby listings
+    keys: keys && keys[0].column ? keys : PRODUCT_KEYSETS.newest
+  });
+};
+
+module.exports = {
+  decorateProducts,
+  listProducts
+};
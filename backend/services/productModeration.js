@@ -0,0 +1,170 @@
+const db = require('../config/database');
+const { notifySavedSearches } = require('./savedSearchAlerts');
+
+const MODERATION_STATUSES = ['approved', 'rejected'];
+// Statuses a bulk action may move a product out of: pending, or between approved
+// and rejected. Reserved and sold products belong to a purchase and are skipped.
+const MODERATABLE_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_BULK_PRODUCTS = 200;
+
+// Read product_ids of a bulk request into a list of unique IDs, in the order
+// given. Returns { productIds } or { error } with a message for the client.
+const normalizeProductIds = (input) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'product_ids must be a non-empty array' };
+  }
+
+  const productIds = [];
+  for (const value of input) {
+    const productId = Number(value);
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return { error: `Invalid product ID: ${value}` };
+    }
+    if (!productIds.includes(productId)) {
+      productIds.push(productId);
+    }
+  }
+
+  if (productIds.length > MAX_BULK_PRODUCTS) {
+    return { error: `Up to ${MAX_BULK_PRODUCTS} products can be moderated at once` };
+  }
+
+  return { productIds };
+};
+
+const quoteTitles = (products) => products.map(product => `"${product.title}"`).join(', ');
+
+// One notification per seller covering every product of theirs in the batch
+const sellerNotification = (products, status, reason) => {
+  const data = { product_ids: products.map(product => product.id), status };
+
+  if (products.length === 1) {
+    const title = quoteTitles(products);
+    return {
+      title: `Product ${status}`,
+      message: status === 'approved'
+        ? `Your product ${title} has been approved and is now live`
+        : `Your product ${title} has been rejected. Reason: ${reason || 'No reason provided'}`,
+      data
+    };
+  }
+
+  return {
+    title: `${products.length} products ${status}`,
+    message: status === 'approved'
+      ? `${products.length} of your products have been approved and are now live: ${quoteTitles(products)}`
+      : `${products.length} of your products have been rejected: ${quoteTitles(products)}. Reason: ${reason || 'No reason provided'}`,
+    data
+  };
+};
+
+// Approve or reject a batch of products in one transaction. If any product does
+// not exist nothing is changed. Products already in the requested status are left
+// alone and products outside MODERATABLE_STATUSES are skipped; the rest are
+// updated and their sellers get one notification each. Returns
+// { applied, results } with one result per product ID.
+const moderateProducts = async ({ productIds, status, reason = null }) => {
+  const placeholders = productIds.map(() => '?').join(', ');
+
+  const { applied, results, changed } = await db.transaction(async (connection) => {
+    const [rows] = await connection.execute(
+      `SELECT id, seller_id, title, status FROM products WHERE id IN (${placeholders})`,
+      productIds
+    );
+    const products = new Map(rows.map(row => [Number(row.id), row]));
+
+    const results = productIds.map(productId => {
+      const product = products.get(productId);
+      if (!product) {
+        return { product_id: productId, result: 'not_found', message: 'Product not found' };
+      }
+      if (!MODERATABLE_STATUSES.includes(product.status)) {
+        return {
+          product_id: productId,
+          title: product.title,
+          previous_status: product.status,
+          status: product.status,
+          result: 'skipped',
+          message: `Product is ${product.status} and can no longer be moderated`
+        };
+      }
+      return {
+        product_id: productId,
+        title: product.title,
+        previous_status: product.status,
+        status,
+        result: product.status === status ? 'unchanged' : 'updated'
+      };
+    });
+
+    if (results.some(item => item.result === 'not_found')) {
+      const skipped = results.map(item => (item.result === 'not_found' ? item : { ...item, result: 'skipped' }));
+      return { applied: false, results: skipped, changed: [] };
+    }
+
+    const changed = rows.filter(product => MODERATABLE_STATUSES.includes(product.status) && product.status !== status);
+    if (changed.length === 0) {
+      return { applied: true, results, changed };
+    }
+
+    const changedIds = changed.map(product => product.id);
+    const changedPlaceholders = changedIds.map(() => '?').join(', ');
+    // Leave products alone that were reserved or sold since they were read
+    const moderatable = `status IN (${MODERATABLE_STATUSES.map(() => '?').join(', ')})`;
+
+    if (status === 'approved') {
+      await connection.execute(
+        `UPDATE products
+         SET status = 'approved', rejection_reason = NULL,
+             approved_at = COALESCE(approved_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (${changedPlaceholders}) AND ${moderatable}`,
+        [...changedIds, ...MODERATABLE_STATUSES]
+      );
+    } else {
+      await connection.execute(
+        `UPDATE products SET status = ?, rejection_reason = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (${changedPlaceholders}) AND ${moderatable}`,
+        [status, reason, ...changedIds, ...MODERATABLE_STATUSES]
+      );
+    }
+
+    const bySeller = new Map();
+    for (const product of changed) {
+      if (!bySeller.has(product.seller_id)) {
+        bySeller.set(product.seller_id, []);
+      }
+      bySeller.get(product.seller_id).push(product);
+    }
+
+    for (const [sellerId, products] of bySeller) {
+      const notification = sellerNotification(products, status, reason);
+      await connection.execute(
+        `INSERT INTO notifications (user_id, type, title, message, data)
+         VALUES (?, 'admin', ?, ?, ?)`,
+        [sellerId, notification.title, notification.message, JSON.stringify(notification.data)]
+      );
+    }
+
+    return { applied: true, results, changed };
+  });
+
+  // Alert buyers whose saved searches match the newly approved listings. The
+  // approvals stand even if this fails.
+  if (status === 'approved') {
+    try {
+      await notifySavedSearches(changed.map(product => product.id));
+    } catch (error) {
+      console.error('Saved search alerts failed:', error);
+    }
+  }
+
+  return { applied, results };
+};
+
+module.exports = {
+  MODERATION_STATUSES,
+  MODERATABLE_STATUSES,
+  MAX_BULK_PRODUCTS,
+  normalizeProductIds,
+  moderateProducts
+};
@@ -0,0 +1,180 @@
+const db = require('../config/database');
+const SavedSearch = require('../models/SavedSearch');
+const { createProductMatcher } = require('./search');
+const { geocodePincode, distanceKm } = require('./geocoding');
+
+const DIGEST_INTERVAL_HOURS = 24;
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+const includesText = (value, text) => String(value || '').toLowerCase().includes(text.toLowerCase());
+
+// Whether a product passes a saved filter set, with the same meaning as the
+// GET /api/products filters
+const matchesFilters = (product, filters, matchesText) => {
+  const price = Number(product.price);
+
+  if (filters.category_id && product.category_id !== filters.category_id) return false;
+  if (filters.min_price !== undefined && price < filters.min_price) return false;
+  if (filters.max_price !== undefined && price > filters.max_price) return false;
+  if (filters.condition && product.condition !== filters.condition) return false;
+  if (filters.brand && String(product.brand || '').toLowerCase() !== filters.brand.toLowerCase()) return false;
+  if (filters.location && !includesText(product.location, filters.location)) return false;
+
+  if (filters.near) {
+    const point = geocodePincode(filters.near);
+    if (!point || product.latitude === null || product.latitude === undefined) return false;
+
+    const distance = distanceKm(point, { latitude: Number(product.latitude), longitude: Number(product.longitude) });
+    if (distance > filters.radius_km) return false;
+  }
+
+  if (filters.search && !matchesText(filters.search)) return false;
+
+  return true;
+};
+
+const notifyInstant = (savedSearch, product) => db.execute(
+  `INSERT INTO notifications (user_id, type, title, message, data)
+   VALUES (?, 'saved_search', 'New Listing Alert', ?, ?)`,
+  [
+    savedSearch.user_id,
+    `"${product.title}" matches your saved search "${savedSearch.name}"`,
+    JSON.stringify({ saved_search_id: savedSearch.id, product_id: product.id })
+  ]
+);
+
+// Record newly approved products against every saved search they match, other
+// than their sellers' own. Instant alerts are sent straight away; daily ones wait
+// for the digest. A product is only ever reported once per saved search, even if
+// it is approved again. The saved searches and earlier matches are loaded once
+// for the whole batch.
+const notifySavedSearches = async (productIds) => {
+  if (productIds.length === 0) {
+    return 0;
+  }
+
+  const placeholders = productIds.map(() => '?').join(', ');
+  const [products] = await db.execute(
+    `SELECT p.*, c.name as category_name
+     FROM products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     WHERE p.id IN (${placeholders}) AND p.status = 'approved'`,
+    productIds
+  );
+  if (products.length === 0) {
+    return 0;
+  }
+
+  const savedSearches = await SavedSearch.findAlerting();
+  if (savedSearches.length === 0) {
+    return 0;
+  }
+
+  const [alreadyMatched] = await db.execute(
+    `SELECT saved_search_id, product_id FROM saved_search_matches WHERE product_id IN (${placeholders})`,
+    productIds
+  );
+  const reported = new Set(alreadyMatched.map(row => `${row.saved_search_id}:${row.product_id}`));
+
+  let count = 0;
+  for (const product of products) {
+    const matchesText = createProductMatcher(product);
+    const matching = savedSearches.filter(savedSearch =>
+      savedSearch.user_id !== product.seller_id &&
+      !reported.has(`${savedSearch.id}:${product.id}`) &&
+      matchesFilters(product, savedSearch.filters, matchesText)
+    );
+
+    for (const savedSearch of matching) {
+      const instant = savedSearch.alert_mode === 'instant';
+      await db.execute(
+        'INSERT INTO saved_search_matches (saved_search_id, product_id, notified_at) VALUES (?, ?, ?)',
+        [savedSearch.id, product.id, instant ? new Date() : null]
+      );
+
+      if (instant) {
+        await notifyInstant(savedSearch, product);
+      }
+      count++;
+    }
+  }
+
+  return count;
+};
+
+// Send one notification per daily saved search with listings waiting, at most
+// once every DIGEST_INTERVAL_HOURS. Listings no longer approved are dropped.
+const sendDailyDigests = async () => {
+  const cutoff = new Date(Date.now() - DIGEST_INTERVAL_HOURS * 60 * 60 * 1000);
+  const [due] = await db.execute(
+    `SELECT DISTINCT ss.*
+     FROM saved_searches ss
+     JOIN saved_search_matches m ON m.saved_search_id = ss.id
+     WHERE ss.alert_mode = 'daily' AND m.notified_at IS NULL
+       AND (ss.last_digest_at IS NULL OR ss.last_digest_at <= ?)`,
+    [cutoff]
+  );
+
+  let sent = 0;
+  for (const row of due) {
+    const savedSearch = new SavedSearch(row);
+    const [matches] = await db.execute(
+      `SELECT m.id, p.id as product_id, p.title
+       FROM saved_search_matches m
+       JOIN products p ON m.product_id = p.id
+       WHERE m.saved_search_id = ? AND m.notified_at IS NULL AND p.status = 'approved'
+       ORDER BY m.created_at ASC`,
+      [savedSearch.id]
+    );
+
+    const now = new Date();
+    await db.execute(
+      'UPDATE saved_search_matches SET notified_at = ? WHERE saved_search_id = ? AND notified_at IS NULL',
+      [now, savedSearch.id]
+    );
+    await db.execute(
+      'UPDATE saved_searches SET last_digest_at = ? WHERE id = ?',
+      [now, savedSearch.id]
+    );
+
+    if (matches.length === 0) {
+      continue;
+    }
+
+    const first = matches[0].title;
+    const message = matches.length === 1
+      ? `"${first}" matches your saved search "${savedSearch.name}"`
+      : `"${first}" and ${matches.length - 1} more new listings match your saved search "${savedSearch.name}"`;
+
+    await db.execute(
+      `INSERT INTO notifications (user_id, type, title, message, data)
+       VALUES (?, 'saved_search', 'Daily Listing Digest', ?, ?)`,
+      [
+        savedSearch.user_id,
+        message,
+        JSON.stringify({ saved_search_id: savedSearch.id, product_ids: matches.map(match => match.product_id) })
+      ]
+    );
+    sent++;
+  }
+
+  return sent;
+};
+
+// Check for due digests every hour while the server runs
+const startDigestScheduler = () => {
+  const run = () => sendDailyDigests().catch(error => {
+    console.error('Saved search digest failed:', error);
+  });
+
+  const timer = setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  matchesFilters,
+  notifySavedSearches,
+  sendDailyDigests,
+  startDigestScheduler
+};
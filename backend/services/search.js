@@ -0,0 +1,503 @@
+const db = require('../config/database');
+const { productKeyset, buildFilterClause } = require('./productFilters');
+const { withinRadius } = require('./geocoding');
+const { paginateRows, offsetPagination } = require('../middleware/pagination');
+
+// Relative weight of a match in each indexed product field
+const FIELD_WEIGHTS = {
+  title: 3,
+  brand: 2.5,
+  category: 1.5,
+  description: 1
+};
+
+// How much a prefix, misspelled or sound-alike match counts compared to an exact one
+const PREFIX_MATCH_WEIGHT = 0.8;
+const FUZZY_MATCH_WEIGHT = 0.6;
+const PHONETIC_MATCH_WEIGHT = 0.4;
+
+// BM25 term-frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Text matches are checked against status and filters this many ids per query
+const MATCH_BATCH_SIZE = 500;
+
+// Vocabulary terms are bucketed by their first letters for prefix matching
+const PREFIX_BUCKET_LENGTH = 2;
+
+const SNIPPET_WORDS = 24;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'of', 'in', 'on', 'with', 'to', 'is', 'by', 'at', 'or']);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip accents so "Café" and "cafe" index the same
+const normalizeToken = (token) => token
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const tokenize = (text) => (String(text || '').match(TOKEN_PATTERN) || []).map(normalizeToken);
+
+// Edits allowed when matching a misspelled term: none for short terms, where
+// almost everything is one edit away, and up to two for long brand names
+const maxEditsFor = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Rough phonetic key for transliterated Indian names, so spelling variants like
+// "Godrage"/"Godrej" or "Mikromax"/"Micromax" share a key: aspirated consonants
+// lose their h, c/q/ck become k, z becomes j, and vowels after the first letter
+// and repeated letters are dropped
+const phoneticKey = (term) => {
+  const key = term
+    .replace(/ph/g, 'f')
+    .replace(/dge|dj|ge$/g, 'j')
+    .replace(/([bcdgkpstw])h/g, '$1')
+    .replace(/ck|c|q/g, 'k')
+    .replace(/z/g, 'j')
+    .replace(/w/g, 'v');
+
+  return (key[0] + key.slice(1).replace(/[aeiouy]/g, '')).replace(/(.)\1+/g, '$1');
+};
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once it
+// exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap matched words in <mark>. Long text is cut to a window of words around the
+// first match; everything else is HTML-escaped.
+const highlight = (text, matchedTerms, maxWords) => {
+  if (!text) {
+    return null;
+  }
+
+  const source = String(text);
+  const words = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    words.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      matched: matchedTerms.has(normalizeToken(match[0]))
+    });
+  }
+
+  let from = 0;
+  let to = source.length;
+  let prefix = '';
+  let suffix = '';
+
+  if (maxWords && words.length > maxWords) {
+    const firstMatch = Math.max(words.findIndex(word => word.matched), 0);
+    const startWord = Math.max(0, Math.min(firstMatch - Math.floor(maxWords / 3), words.length - maxWords));
+    const endWord = startWord + maxWords - 1;
+
+    from = words[startWord].start;
+    to = words[endWord].end;
+    prefix = startWord > 0 ? '…' : '';
+    suffix = endWord < words.length - 1 ? '…' : '';
+  }
+
+  let result = '';
+  let cursor = from;
+  words
+    .filter(word => word.matched && word.start >= from && word.end <= to)
+    .forEach(word => {
+      result += escapeHtml(source.slice(cursor, word.start));
+      result += `<mark>${escapeHtml(source.slice(word.start, word.end))}</mark>`;
+      cursor = word.end;
+    });
+  result += escapeHtml(source.slice(cursor, to));
+
+  return prefix + result + suffix;
+};
+
+const addToBucket = (buckets, key, term) => {
+  if (!buckets.has(key)) {
+    buckets.set(key, new Set());
+  }
+  buckets.get(key).add(term);
+};
+
+const removeFromBucket = (buckets, key, term) => {
+  const terms = buckets.get(key);
+  terms.delete(term);
+  if (terms.size === 0) {
+    buckets.delete(key);
+  }
+};
+
+// In-memory inverted index over product title, brand, category and description.
+// Postings map each term to the products containing it and the term frequency per
+// field; scores are BM25 per field, weighted by FIELD_WEIGHTS.
+class SearchIndex {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map();
+    this.phoneticTerms = new Map();
+    this.termsByPrefix = new Map();
+    this.termsByLength = new Map();
+    this.fieldLengthTotals = { title: 0, brand: 0, category: 0, description: 0 };
+  }
+
+  add(product) {
+    this.remove(product.id);
+
+    const fields = {
+      title: tokenize(product.title),
+      brand: tokenize(product.brand),
+      category: tokenize(product.category_name),
+      description: tokenize(product.description)
+    };
+    const lengths = {};
+
+    Object.keys(fields).forEach(field => {
+      lengths[field] = fields[field].length;
+      this.fieldLengthTotals[field] += fields[field].length;
+
+      fields[field].forEach(term => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+          this.addTerm(term);
+        }
+        const documentPostings = this.postings.get(term);
+        if (!documentPostings.has(product.id)) {
+          documentPostings.set(product.id, {});
+        }
+        const frequencies = documentPostings.get(product.id);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+      });
+    });
+
+    this.documents.set(product.id, { lengths, terms: new Set(Object.values(fields).flat()) });
+  }
+
+  remove(productId) {
+    const document = this.documents.get(productId);
+    if (!document) {
+      return;
+    }
+
+    Object.keys(document.lengths).forEach(field => {
+      this.fieldLengthTotals[field] -= document.lengths[field];
+    });
+
+    document.terms.forEach(term => {
+      const documentPostings = this.postings.get(term);
+      documentPostings.delete(productId);
+      if (documentPostings.size === 0) {
+        this.postings.delete(term);
+        this.removeTerm(term);
+      }
+    });
+
+    this.documents.delete(productId);
+  }
+
+  // Vocabulary lookups by sound, leading letters and length, so expand() only
+  // compares a query term against plausible candidates
+  addTerm(term) {
+    addToBucket(this.phoneticTerms, phoneticKey(term), term);
+    addToBucket(this.termsByPrefix, term.slice(0, PREFIX_BUCKET_LENGTH), term);
+    addToBucket(this.termsByLength, term.length, term);
+  }
+
+  removeTerm(term) {
+    removeFromBucket(this.phoneticTerms, phoneticKey(term), term);
+    removeFromBucket(this.termsByPrefix, term.slice(0, PREFIX_BUCKET_LENGTH), term);
+    removeFromBucket(this.termsByLength, term.length, term);
+  }
+
+  // Indexed terms a query term should match, with the weight of each match: the
+  // exact term, terms it is a prefix of, terms within maxEditsFor() edits and
+  // terms that sound the same
+  expand(term, isLastTerm) {
+    const expansions = new Map();
+    const maxEdits = maxEditsFor(term);
+    const allowPrefix = term.length >= 3 || (isLastTerm && term.length >= 2);
+
+    if (this.postings.has(term)) {
+      expansions.set(term, 1);
+    }
+
+    if (allowPrefix) {
+      (this.termsByPrefix.get(term.slice(0, PREFIX_BUCKET_LENGTH)) || []).forEach(candidate => {
+        if (candidate !== term && candidate.startsWith(term)) {
+          expansions.set(candidate, PREFIX_MATCH_WEIGHT);
+        }
+      });
+    }
+
+    // Terms more than maxEdits longer or shorter can't be within maxEdits edits
+    for (let length = term.length - maxEdits; maxEdits > 0 && length <= term.length + maxEdits; length++) {
+      (this.termsByLength.get(length) || []).forEach(candidate => {
+        if (candidate === term || expansions.has(candidate)) {
+          return;
+        }
+
+        const distance = editDistance(term, candidate, maxEdits);
+        if (distance <= maxEdits) {
+          expansions.set(candidate, FUZZY_MATCH_WEIGHT / distance);
+        }
+      });
+    }
+
+    const key = phoneticKey(term);
+    if (term.length >= 4 && key.length >= 3 && this.phoneticTerms.has(key)) {
+      this.phoneticTerms.get(key).forEach(candidate => {
+        expansions.set(candidate, Math.max(expansions.get(candidate) || 0, PHONETIC_MATCH_WEIGHT));
+      });
+    }
+
+    return expansions;
+  }
+
+  // Ranked matches as [{ id, score, matchedTerms }], best first
+  search(query) {
+    let queryTerms = [...new Set(tokenize(query))];
+    const meaningfulTerms = queryTerms.filter(term => !STOP_WORDS.has(term));
+    if (meaningfulTerms.length > 0) {
+      queryTerms = meaningfulTerms;
+    }
+
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return [];
+    }
+
+    const documentCount = this.documents.size;
+    const averageLengths = {};
+    Object.keys(this.fieldLengthTotals).forEach(field => {
+      averageLengths[field] = this.fieldLengthTotals[field] / documentCount || 1;
+    });
+
+    const results = new Map();
+
+    queryTerms.forEach((queryTerm, position) => {
+      const expansions = this.expand(queryTerm, position === queryTerms.length - 1);
+
+      expansions.forEach((matchWeight, term) => {
+        const documentPostings = this.postings.get(term);
+        const idf = Math.log(1 + (documentCount - documentPostings.size + 0.5) / (documentPostings.size + 0.5));
+
+        documentPostings.forEach((frequencies, productId) => {
+          const { lengths } = this.documents.get(productId);
+          let termScore = 0;
+
+          Object.keys(frequencies).forEach(field => {
+            const frequency = frequencies[field];
+            const lengthNorm = 1 - BM25_B + BM25_B * (lengths[field] / averageLengths[field]);
+            termScore += FIELD_WEIGHTS[field] * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+          });
+
+          if (!results.has(productId)) {
+            results.set(productId, { id: productId, scores: new Map(), matchedTerms: new Set() });
+          }
+          const result = results.get(productId);
+          const score = matchWeight * idf * termScore;
+
+          // A query term counts once per product, through its best matching expansion
+          result.scores.set(queryTerm, Math.max(result.scores.get(queryTerm) || 0, score));
+          result.matchedTerms.add(term);
+        });
+      });
+    });
+
+    // Products matching more of the query rank higher; those matching under half
+    // of a multi-word query are dropped
+    return [...results.values()]
+      .map(result => {
+        const coverage = result.scores.size / queryTerms.length;
+        const score = [...result.scores.values()].reduce((sum, value) => sum + value, 0) * coverage * coverage;
+        return { id: result.id, score, coverage, matchedTerms: result.matchedTerms };
+      })
+      .filter(result => queryTerms.length === 1 || result.coverage >= 0.5)
+      .sort((a, b) => b.score - a.score || b.id - a.id);
+  }
+}
+
+const INDEX_QUERY = `
+  SELECT p.id, p.title, p.description, p.brand, c.name as category_name
+  FROM products p
+  LEFT JOIN categories c ON p.category_id = c.id
+`;
+
+let indexPromise = null;
+
+const buildIndex = async () => {
+  const [rows] = await db.execute(INDEX_QUERY);
+  const index = new SearchIndex();
+  rows.forEach(row => index.add(row));
+  return index;
+};
+
+// The shared index, built from the database on first use
+const getIndex = () => {
+  if (!indexPromise) {
+    indexPromise = buildIndex().catch(error => {
+      indexPromise = null;
+      throw error;
+    });
+  }
+  return indexPromise;
+};
+
+// Re-index a product after it was created or edited
+const indexProduct = async (productId) => {
+  if (!indexPromise) {
+    return;
+  }
+
+  const index = await getIndex();
+  const [rows] = await db.execute(`${INDEX_QUERY} WHERE p.id = ?`, [productId]);
+
+  if (rows.length > 0) {
+    index.add(rows[0]);
+  } else {
+    index.remove(productId);
+  }
+};
+
+const removeProduct = async (productId) => {
+  if (!indexPromise) {
+    return;
+  }
+
+  const index = await getIndex();
+  index.remove(productId);
+};
+
+// Drop the index so it is rebuilt on the next search (e.g. after a category rename)
+const invalidateIndex = () => {
+  indexPromise = null;
+};
+
+// Whether a text query would find the product (with title, description, brand and
+// category_name), for checking one listing against stored queries
+const createProductMatcher = (product) => {
+  const index = new SearchIndex();
+  index.add(product);
+  return (query) => index.search(query).length > 0;
+};
+
+// Approved products among the given ids that pass the listing filters
+const findFilteredMatches = async (ids, filters) => {
+  const filterClause = buildFilterClause(filters);
+  const [rows] = await db.execute(
+    `SELECT p.*, c.name as category_name, c.icon as category_icon
+     FROM products p
+     JOIN categories c ON p.category_id = c.id
+     WHERE p.status = 'approved' AND p.id IN (${ids.map(() => '?').join(', ')})${filterClause.clause}`,
+    [...ids, ...filterClause.params]
+  );
+  return rows;
+};
+
+// Search approved products, apply the usual listing filters and return one page
+// with its pagination info over the true number of matches. Every text match is
+// checked against status and filters before paging. Results are ordered by
+// relevance and paged by offset unless sort_by asks for newest, price or distance
+// order (distance needs filters.near), which page by keyset cursor. matchIds are
+// all text matches before filtering, for computing facets over the search.
+const searchProducts = async (query, filters = {}, pagination) => {
+  const index = await getIndex();
+  const matches = index.search(query);
+
+  if (matches.length === 0) {
+    return { products: [], pagination: offsetPagination(pagination, { total: 0, itemCount: 0 }), matchIds: [] };
+  }
+
+  const matchIds = matches.map(match => match.id);
+  const found = [];
+  for (let start = 0; start < matchIds.length; start += MATCH_BATCH_SIZE) {
+    found.push(...await findFilteredMatches(matchIds.slice(start, start + MATCH_BATCH_SIZE), filters));
+  }
+
+  const rows = filters.near ? withinRadius(found, filters.near) : found;
+
+  const matchesById = new Map(matches.map(match => [match.id, match]));
+  const keys = productKeyset(filters.sort_by);
+  let page;
+  let pageInfo;
+  if (keys) {
+    ({ items: page, pagination: pageInfo } = paginateRows(pagination, rows, keys));
+  } else {
+    const { limit, offset } = pagination;
+    rows.sort((a, b) => matchesById.get(b.id).score - matchesById.get(a.id).score);
+    page = rows.slice(offset, offset + limit);
+    pageInfo = offsetPagination(pagination, { total: rows.length, itemCount: page.length });
+  }
+
+  const products = page.map(row => {
+    const { score, matchedTerms } = matchesById.get(row.id);
+    return {
+      ...row,
+      relevance: Math.round(score * 1000) / 1000,
+      highlights: {
+        title: highlight(row.title, matchedTerms),
+        brand: highlight(row.brand, matchedTerms),
+        description: highlight(row.description, matchedTerms, SNIPPET_WORDS)
+      }
+    };
+  });
+
+  return { products, pagination: pageInfo, matchIds };
+};
+
+module.exports = {
+  SearchIndex,
+  tokenize,
+  editDistance,
+  phoneticKey,
+  highlight,
+  getIndex,
+  indexProduct,
+  removeProduct,
+  invalidateIndex,
+  createProductMatcher,
+  searchProducts
+};